@@ -6,6 +6,12 @@ import { ConversationsModule } from './modules/conversations.js';
 import { InsightsModule } from './modules/insights.js';
 import { AnchorsModule } from './modules/anchors.js';
 import { ContextPanel } from './modules/contextPanel.js';
+import { HubApi } from './modules/hubApi.js';
+import { GlobalSearch } from './modules/globalSearch.js';
+import { parseConversationQuery } from './modules/conversationQuery.js';
+import { Router, tabForRoute } from './modules/router.js';
+import { HubCache } from './modules/hubCache.js';
+import { LiveReload } from './modules/liveReload.js';
 
 class AIMemoryHub {
     constructor() {
@@ -15,6 +21,14 @@ class AIMemoryHub {
         this.insightsModule = null;
         this.anchorsModule = null;
         this.contextPanel = null;
+        this.globalSearch = null;
+        this.anchorsLoading = null; // Tab initialisation (runs once)
+        this.anchorsSearchLoading = null; // Read-only load of anchors.json for global search
+        this.hubApi = new HubApi();
+        this.hubCache = new HubCache(); // Shared IndexedDB cache of archives and data files
+        this.router = new Router(route => this.showRoute(route));
+        this.liveReload = null;
+        this.reloading = Promise.resolve(); // Live reloads run one after another
     }
 
     /**
@@ -28,17 +42,29 @@ class AIMemoryHub {
         this.themeManager.init();
 
         // Initialize context panel
-        this.contextPanel = new ContextPanel();
+        this.contextPanel = new ContextPanel(this.router);
 
         // Set up tab navigation
         this.setupTabNavigation();
 
-        // Load initial tab (conversations)
+        // Ctrl+K search across all modules
+        this.globalSearch = new GlobalSearch(this.getSearchSources());
+        this.globalSearch.init();
+
+        // Start listening for URL changes
+        const initialRoute = this.router.start();
+
+        // Load conversations first (the context panel links need them), then restore the URL's view
         await this.loadTab('conversations');
+        await this.showRoute(initialRoute);
 
         // Preload insights data so context panel links are ready immediately
         await this.preloadInsights();
 
+        // Merge data the sync or synthesizer writes while the hub is open
+        this.liveReload = new LiveReload(files => this.reloadData(files));
+        this.liveReload.start();
+
         console.log('AI Memory Hub initialized successfully!');
     }
 
@@ -49,15 +75,43 @@ class AIMemoryHub {
         const tabButtons = document.querySelectorAll('.tab-btn');
 
         tabButtons.forEach(btn => {
-            btn.addEventListener('click', async (e) => {
+            btn.addEventListener('click', (e) => {
                 const targetTab = e.target.dataset.tab;
                 if (targetTab !== this.currentTab) {
-                    await this.switchTab(targetTab);
+                    this.router.navigate(this.getTabRoute(targetTab));
                 }
             });
         });
     }
 
+    /**
+     * Route for a tab, returning to whatever it last showed
+     */
+    getTabRoute(tabName) {
+        const module = this.getTabModule(tabName);
+        return module ? module.getRoute() : { tab: tabName, id: null, params: {} };
+    }
+
+    /**
+     * Module shown in a tab (null until it has loaded)
+     */
+    getTabModule(tabName) {
+        return {
+            conversations: this.conversationsModule,
+            insights: this.insightsModule,
+            anchors: this.anchorsModule
+        }[tabName] || null;
+    }
+
+    /**
+     * Show the view for a route: switch tab, then let the tab's module restore its state
+     */
+    async showRoute(route) {
+        const tabName = tabForRoute(route);
+        await this.switchTab(tabName);
+        this.getTabModule(tabName)?.showRoute(route);
+    }
+
     /**
      * Switch to a specific tab
      */
@@ -104,7 +158,7 @@ class AIMemoryHub {
             if (tabName === 'conversations' && !this.conversationsModule) {
                 console.log('Loading conversations module...');
                 const container = document.getElementById('conversations-tab');
-                this.conversationsModule = new ConversationsModule(container, this.contextPanel);
+                this.conversationsModule = new ConversationsModule(container, this.contextPanel, this.router, this.hubCache);
                 await this.conversationsModule.init();
 
                 // Set module reference in context panel
@@ -116,7 +170,7 @@ class AIMemoryHub {
                 if (!this.insightsModule) {
                 console.log('Loading insights module...');
                 const container = document.getElementById('insights-tab');
-                this.insightsModule = new InsightsModule(container, this.contextPanel);
+                this.insightsModule = new InsightsModule(container, this.contextPanel, this.router, this.hubCache);
                     await this.insightsModule.init({ render });
 
                 // Set module reference in context panel
@@ -128,12 +182,14 @@ class AIMemoryHub {
                 }
 
             } else if (tabName === 'anchors') {
-                if (!this.anchorsModule) {
+                if (!this.anchorsLoading) {
                     console.log('Loading anchors module...');
-                    const container = document.getElementById('anchors-tab');
-                    this.anchorsModule = new AnchorsModule(container, this.contextPanel);
-                    await this.anchorsModule.init();
+                    this.anchorsLoading = this.getAnchorsModule().init();
+                    await this.anchorsLoading;
                     console.log('Anchors module loaded successfully!');
+                } else {
+                    // Finish a load already in progress
+                    await this.anchorsLoading;
                 }
             }
         } catch (error) {
@@ -144,6 +200,133 @@ class AIMemoryHub {
         }
     }
 
+    /**
+     * Anchors module, created on first use. Global search creates it without
+     * initialising the tab.
+     */
+    getAnchorsModule() {
+        if (!this.anchorsModule) {
+            const container = document.getElementById('anchors-tab');
+            this.anchorsModule = new AnchorsModule(container, this.contextPanel, this.hubApi, this.router, this.hubCache);
+        }
+        return this.anchorsModule;
+    }
+
+    /**
+     * Anchors module with anchors.json loaded, for searching. Until the tab has
+     * been opened only the file is read: initialising the tab can write
+     * (audit log baseline), which a search keystroke must never do.
+     */
+    async loadAnchorsForSearch() {
+        if (this.anchorsLoading) {
+            await this.anchorsLoading;
+        } else {
+            this.anchorsSearchLoading ??= this.getAnchorsModule().loadAnchors();
+            await this.anchorsSearchLoading;
+        }
+        return this.anchorsModule;
+    }
+
+    /**
+     * Result types for the global search palette. Results navigate the same way
+     * as the context panel links.
+     */
+    getSearchSources() {
+        return [
+            {
+                type: 'conversations',
+                label: 'Conversations',
+                icon: '💬',
+                search: (query) => {
+                    if (!this.conversationsModule) return [];
+                    const terms = this.conversationsModule.getHighlightTerms(parseConversationQuery(query));
+
+                    return this.conversationsModule.search(query).map(({ conv, searchResult }) => {
+                        const hit = searchResult?.hits[0];
+                        return {
+                            title: conv.conversation.title || 'Untitled Conversation',
+                            meta: `${this.conversationsModule.getToolLabel(conv.tool)} • ${conv.messageCount ?? '?'} messages`,
+                            text: hit?.text,
+                            open: () => this.contextPanel.navigateToConversation(
+                                conv,
+                                hit ? { messageIndex: hit.messageIndex, terms } : null
+                            )
+                        };
+                    });
+                }
+            },
+            {
+                type: 'insights',
+                label: 'Insights',
+                icon: '💡',
+                search: (query) => {
+                    if (!this.insightsModule) return [];
+
+                    return this.insightsModule.search(query).map(insight => ({
+                        title: insight.content,
+                        meta: `${insight.category} • ${Math.round((insight.strength || 0) * 100)}% strength`,
+                        open: () => this.contextPanel.navigateToInsight(insight)
+                    }));
+                }
+            },
+            {
+                type: 'anchors',
+                label: 'Anchors',
+                icon: '⚓',
+                search: async (query) => {
+                    const anchorsModule = await this.loadAnchorsForSearch();
+
+                    return anchorsModule.search(query).map(({ anchor, archived }) => ({
+                        title: anchor.statement,
+                        meta: [
+                            anchorsModule.categoryTitle(anchor.category || 'uncategorized'),
+                            anchor.scope,
+                            archived ? 'archived' : null
+                        ].filter(Boolean).join(' • '),
+                        open: () => this.navigateToAnchor(anchor.id)
+                    }));
+                }
+            }
+        ];
+    }
+
+    /**
+     * Merge rewritten data files into the modules that have loaded.
+     * Modules not loaded yet read the new files when they load.
+     * @param {Array} files - Changed file names: 'sync-status', 'insights', 'anchors'
+     */
+    reloadData(files) {
+        this.reloading = this.reloading.then(async () => {
+            console.log(`Data changed on disk: ${files.join(', ')}`);
+
+            if (files.includes('sync-status')) {
+                await this.conversationsModule?.reloadSyncStatus();
+            }
+            if (files.includes('insights')) {
+                await this.insightsModule?.reload();
+            }
+
+            const anchorFiles = files.filter(file => file === 'anchors' || file === 'insights');
+            if (anchorFiles.length > 0 && this.anchorsLoading) {
+                await this.anchorsLoading;
+                await this.anchorsModule.reload(anchorFiles);
+            } else if (files.includes('anchors')) {
+                // Global search reads the file again next time
+                this.anchorsSearchLoading = null;
+            }
+        }).catch(error => {
+            console.error('Live reload failed:', error);
+        });
+        return this.reloading;
+    }
+
+    /**
+     * Open an anchor's detail view
+     */
+    navigateToAnchor(anchorId) {
+        this.router.navigate({ tab: 'anchors', id: anchorId, params: {} });
+    }
+
     /**
      * Show error message to user
      */
@@ -1,39 +1,142 @@
 // Anchors Module - Manage user-confirmed preferences and insights
 // Handles review of pending insights and elevation to anchors
 
+import { Modal } from './modal.js';
+import { ContextGenerator, DEFAULT_CLAUDE_MD_TEMPLATE } from './contextGenerator.js';
+import { ContextExporter } from './contextExport.js';
+import { diffLines, diffStats, diffWords } from './diff.js';
+import { ReviewSessionStore } from './reviewSession.js';
+import { SimilarityEngine, SIMILARITY_METHODS, DEFAULT_SIMILARITY_SETTINGS } from './similarity.js';
+import { ConflictDetector } from './conflicts.js';
+import { scopeMatches, describeScope, isGlobScope, normalizeProjectPath, projectDirectory } from './scope.js';
+import { SuppressionFilter, SUPPRESSION_RULE_TYPES, validateSuppressionRule, describeSuppressionRule } from './suppression.js';
+import { POLICY_ACTIONS, validatePolicy, describePolicy, matchesPolicy, evaluatePolicies } from './policies.js';
+import { AuditLog, AUDIT_ACTIONS, diffAnchorLists, replayAuditLog } from './auditLog.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Interval used when a confirmed anchor's review date can't be carried forward
+const DEFAULT_REVALIDATION_DAYS = 90;
+
+// Categories end up in file names (Cursor rules) and markup
+const CATEGORY_PATTERN = /^[a-z0-9_-]+$/;
+
+// Rejection feedback file, relative to output/context
+const REJECTION_FEEDBACK_PATH = 'feedback/rejections.json';
+
+// Why an insight was rejected (stored as `reason` in rejected-insights.json)
+const REJECTION_REASONS = {
+    wrong: 'Wrong',
+    outdated: 'Outdated',
+    too_specific: 'Too specific',
+    duplicate: 'Duplicate',
+    private: 'Private'
+};
+
 export class AnchorsModule {
-    constructor(container, contextPanel) {
+    constructor(container, contextPanel, api = null, router = null, cache = null) {
         this.container = container;
         this.contextPanel = contextPanel;
+        this.api = api;
+        this.router = router;
+        this.cache = cache; // HubCache for anchors/insights files (optional)
+        this.routing = false; // Applying a route from the URL - don't write it back
 
         // Data paths (relative to ai-memory-sync)
         this.paths = {
             anchors: '../ai-memory-sync/state/insights/anchors.json',
             insights: '../ai-memory-sync/state/insights/insights.json',
             rejected: '../ai-memory-sync/state/insights/rejected-insights.json',
+            suppression: '../ai-memory-sync/state/insights/suppression-rules.json',
+            policies: '../ai-memory-sync/state/insights/auto-approve-policies.json',
+            auditLog: '../ai-memory-sync/state/insights/audit-log.jsonl',
             claudeMd: '../ai-memory-sync/output/context/CLAUDE.md'
         };
 
         // Data stores
         this.anchors = [];
+        this.archived = [];
         this.insights = [];
         this.rejected = [];
         this.pendingInsights = [];
 
+        // Suppression rules hide matching insights from pendingInsights.
+        // suppressedInsights maps rule id -> insights it hid.
+        this.suppressionRules = [];
+        this.suppressedInsights = new Map();
+        this.unsuppressedPending = [];
+
+        // Append-only audit log of anchor changes, review decisions and exports
+        this.auditLog = new AuditLog(api, this.paths.auditLog);
+        this.auditFilters = { action: 'all', from: '', to: '', anchorId: '' };
+
+        // Auto-approve policies. 'approve' matches are approved together after one
+        // confirm; 'suggest' matches can be unticked first.
+        this.policies = [];
+        this.policyApprovals = [];
+        this.policySuggestions = [];
+        this.claudeMd = { exists: false, content: '', generatedAt: null };
+
+        // CLAUDE.md template (editable, persisted per browser)
+        this.claudeMdTemplate = localStorage.getItem('claudeMdTemplate') || DEFAULT_CLAUDE_MD_TEMPLATE;
+
+        // Exporters for other tools (GEMINI.md, AGENTS.md, Cursor rules, JSON)
+        this.contextExporter = new ContextExporter();
+
+        // Duplicate detection across anchors, pending and rejected insights.
+        // The index is rebuilt lazily whenever one of those lists is replaced.
+        this.similaritySettings = this.loadSimilaritySettings();
+        this.similarityEngine = null;
+        this.similarityIndexedFrom = null;
+        this.similarAnchorsCache = null; // { engine, results: Map of insight text -> similar anchors }
+
+        // Contradictory anchor pairs (cached per anchors list), minus pairs marked "not a conflict"
+        this.conflictCache = null;
+        this.dismissedConflicts = new Set(JSON.parse(localStorage.getItem('dismissedConflicts') || '[]'));
+
         // UI state
-        this.currentView = 'overview'; // overview | review | manage
+        this.currentView = 'overview'; // overview | review | triage | revalidate | archived | rejected | suppression | policies | audit | detail
+        this.detailAnchorId = null;
+        this.detailReturnView = 'overview';
         this.reviewIndex = 0;
         this.filterCategory = 'all';
         this.searchQuery = '';
+        this.scopeFilter = 'all'; // all | global | scope:<scope> | project:<path>
+
+        // Rejected insights browser filters
+        this.rejectedFilters = { query: '', reason: 'all' };
+
+        // Re-validation walk-through (anchor ids due when it started)
+        this.revalidateQueue = [];
+        this.revalidateIndex = 0;
+
+        // Bulk triage state
+        this.triageFilters = { category: 'all', source: 'all', minStrength: 0, maxStrength: 100 };
+        this.triageSelection = new Set(); // Selected insight ids (always within the filtered rows)
 
         // Review session state
+        this.reviewStore = new ReviewSessionStore(api); // Saved session + skipped queue
+        this.reviewSession = null; // Active session (ids, queue, start time)
+        this.reviewItems = []; // Insights in the active session, in review order
         this.reviewDecisions = []; // Track approve/reject/skip decisions
         this.reviewedInsights = new Set(); // Track which insights were reviewed
+        this.advanceTimer = null; // Pending auto-advance after a decision
+        this.deciding = false; // A decision is being persisted
+        this.undoStack = []; // Decisions that can be undone (most recent last)
+        this.redoStack = []; // Undone decisions that can be redone
+        this.undoBusy = false; // An undo/redo is being persisted
+        this.undoToast = null;
 
-        // Read-only mode for safe initial deployment
+        // Read-only until the write-back server is detected
         this.readOnly = true;
 
-        console.log('AnchorsModule created (READ-ONLY MODE)');
+        // Data files rewritten on disk while a review or dialog was open (applied afterwards)
+        this.pendingReload = new Set();
+        this.savesInFlight = 0; // Writes of anchors.json / rejected.json in progress
+        this.saveCount = 0; // Writes started, so a reload can tell one began while it fetched
+        this.lastSavedAnchors = null; // [anchors, archived] as the hub last wrote them (JSON)
+
+        console.log('AnchorsModule created');
     }
 
     /**
@@ -43,7 +146,17 @@ export class AnchorsModule {
         console.log('Initializing AnchorsModule...');
 
         try {
+            if (this.api) {
+                this.readOnly = !(await this.api.detect());
+            }
+            console.log(`AnchorsModule running in ${this.readOnly ? 'READ-ONLY' : 'WRITE'} mode`);
+
+            this.attachEventListeners();
             await this.loadData();
+            if (!this.readOnly) {
+                await this.auditLog.reconcile(this.anchors, this.archived);
+            }
+            await this.loadReviewState();
             this.render();
             console.log('AnchorsModule initialized successfully!');
         } catch (error) {
@@ -58,41 +171,13 @@ export class AnchorsModule {
     async loadData() {
         console.log('Loading anchors data...');
 
-        // Load anchors (or initialize empty if doesn't exist)
-        try {
-            const response = await fetch(this.paths.anchors);
-            if (response.ok) {
-                const data = await response.json();
-                this.anchors = data.anchors || [];
-                console.log(`Loaded ${this.anchors.length} anchors`);
-            } else {
-                console.log('No anchors file found, starting with empty list');
-                this.anchors = [];
-            }
-        } catch (error) {
-            console.log('No anchors file found, starting with empty list');
-            this.anchors = [];
-        }
+        await this.loadAnchors();
 
         // Load insights
         try {
-            const response = await fetch(this.paths.insights);
-            if (response.ok) {
-                const data = await response.json();
-
-                // Normalize data to array regardless of source structure
-                if (Array.isArray(data)) {
-                    this.insights = data;
-                } else if (Array.isArray(data.insights)) {
-                    this.insights = data.insights;
-                } else if (data && typeof data.insights === 'object') {
-                    this.insights = Object.values(data.insights);
-                } else if (data && typeof data === 'object') {
-                    this.insights = Object.values(data);
-                } else {
-                    this.insights = [];
-                }
-
+            const data = await this.fetchJson(this.paths.insights);
+            if (data) {
+                this.insights = this.normalizeInsights(data);
                 console.log(`Loaded ${this.insights.length} insights`);
             } else {
                 console.warn('No insights file found');
@@ -105,9 +190,8 @@ export class AnchorsModule {
 
         // Load rejected insights
         try {
-            const response = await fetch(this.paths.rejected);
-            if (response.ok) {
-                const data = await response.json();
+            const data = await this.fetchJson(this.paths.rejected);
+            if (data) {
                 this.rejected = data.rejected || [];
                 console.log(`Loaded ${this.rejected.length} rejected insights`);
             } else {
@@ -117,30 +201,280 @@ export class AnchorsModule {
             this.rejected = [];
         }
 
-        // Calculate pending insights (not anchored, not rejected)
+        // Load suppression rules
+        try {
+            const data = await this.fetchJson(this.paths.suppression);
+            if (data) {
+                this.suppressionRules = data.rules || [];
+                console.log(`Loaded ${this.suppressionRules.length} suppression rules`);
+            } else {
+                this.suppressionRules = [];
+            }
+        } catch (error) {
+            this.suppressionRules = [];
+        }
+
+        // Load auto-approve policies
+        try {
+            const data = await this.fetchJson(this.paths.policies);
+            if (data) {
+                this.policies = data.policies || [];
+                console.log(`Loaded ${this.policies.length} auto-approve policies`);
+            } else {
+                this.policies = [];
+            }
+        } catch (error) {
+            this.policies = [];
+        }
+
+        // Load current CLAUDE.md (to detect when it's out of date)
+        await this.loadClaudeMd();
+
+        // Calculate pending insights (not anchored, not rejected, not suppressed)
+        this.calculatePendingInsights();
+    }
+
+    /**
+     * Load anchors.json (or initialize empty if it doesn't exist). Only reads,
+     * so global search can use it before the tab has been opened.
+     */
+    async loadAnchors() {
+        try {
+            const data = await this.fetchJson(this.paths.anchors);
+            if (data) {
+                this.anchors = data.anchors || [];
+                this.archived = data.archived || [];
+                console.log(`Loaded ${this.anchors.length} anchors (${this.archived.length} archived)`);
+            } else {
+                console.log('No anchors file found, starting with empty list');
+                this.anchors = [];
+                this.archived = [];
+            }
+        } catch (error) {
+            console.log('No anchors file found, starting with empty list');
+            this.anchors = [];
+            this.archived = [];
+        }
+    }
+
+    /**
+     * Normalize insights.json to an array regardless of source structure
+     */
+    normalizeInsights(data) {
+        if (Array.isArray(data)) {
+            return data;
+        } else if (Array.isArray(data.insights)) {
+            return data.insights;
+        } else if (data && typeof data.insights === 'object') {
+            return Object.values(data.insights);
+        } else if (data && typeof data === 'object') {
+            return Object.values(data);
+        }
+        return [];
+    }
+
+    /**
+     * Merge rewritten data files (live reload): `files` lists 'anchors' and/or 'insights'.
+     * Held back while a review session or dialog is open, so neither loses its place,
+     * and while a save is being written, so the older file can't replace newer changes.
+     */
+    async reload(files) {
+        files.forEach(file => this.pendingReload.add(file));
+        if (this.isReloadDeferred()) {
+            console.log(`Live reload of ${[...this.pendingReload].join(', ')} waiting for the review, dialog or save to finish`);
+            return;
+        }
+        await this.applyPendingReload();
+    }
+
+    /**
+     * Check whether reloading now would disturb the user
+     */
+    isReloadDeferred() {
+        return this.currentView === 'review' || Modal.isOpen() || this.savesInFlight > 0;
+    }
+
+    /**
+     * Re-read the pending files and re-render the current view if anything changed,
+     * keeping filters, selections and the scroll position
+     */
+    async applyPendingReload() {
+        const files = [...this.pendingReload];
+        this.pendingReload.clear();
+        const saveCount = this.saveCount;
+        let changed = false;
+
+        try {
+            if (files.includes('anchors')) {
+                const data = await this.fetchJson(this.paths.anchors);
+                const anchors = data?.anchors || [];
+                const archived = data?.archived || [];
+                const serialized = JSON.stringify([anchors, archived]);
+
+                // The file may predate a save made while it was fetched: try again once it's written
+                if (this.saveCount !== saveCount) {
+                    files.forEach(file => this.pendingReload.add(file));
+                    if (this.savesInFlight === 0) return this.applyPendingReload();
+                    return;
+                }
+
+                // Skip the hub's own writes (and files that match what's shown)
+                if (serialized !== this.lastSavedAnchors && serialized !== JSON.stringify([this.anchors, this.archived])) {
+                    this.anchors = anchors;
+                    this.archived = archived;
+                    changed = true;
+
+                    // Log the outside change so a rebuild from the log keeps it
+                    if (!this.readOnly) {
+                        await this.auditLog.reconcile(anchors, archived);
+                    }
+                }
+            }
+
+            if (files.includes('insights')) {
+                const data = await this.fetchJson(this.paths.insights);
+                const insights = data ? this.normalizeInsights(data) : [];
+                if (JSON.stringify(insights) !== JSON.stringify(this.insights)) {
+                    this.insights = insights;
+                    changed = true;
+                }
+            }
+        } catch (error) {
+            // Keep what's shown if a file is mid-write or unreadable
+            console.warn('Could not reload anchors data:', error);
+            return;
+        }
+
+        if (!changed) return;
+        console.log(`Reloaded ${files.join(', ')}: ${this.anchors.length} anchors, ${this.insights.length} insights`);
+
         this.calculatePendingInsights();
+
+        // A review or dialog opened while the files loaded; re-render once it closes
+        if (this.isReloadDeferred()) return;
+
+        const scroller = this.container.querySelector('.anchors-container');
+        const scrollTop = scroller?.scrollTop || 0;
+        const view = this.currentView;
+
+        this.render();
+        this.container.querySelector('.anchors-container').scrollTop = scrollTop;
+
+        // The anchor being viewed was removed
+        if (this.currentView !== view) {
+            this.updateRoute();
+        }
+    }
+
+    /**
+     * Fetch a JSON data file, through the cache when there is one.
+     * Returns null if the file doesn't exist.
+     */
+    async fetchJson(path) {
+        if (this.cache) {
+            return this.cache.fetchJson(path);
+        }
+        const response = await fetch(path);
+        return response.ok ? response.json() : null;
+    }
+
+    /**
+     * Load the generated CLAUDE.md and its generation time
+     */
+    async loadClaudeMd() {
+        try {
+            const response = await fetch(this.paths.claudeMd, { cache: 'no-store' });
+            if (response.ok) {
+                const content = await response.text();
+                // Fall back to the file's mtime if it wasn't generated by the hub
+                const generatedAt = ContextGenerator.parseGeneratedAt(content)
+                    || response.headers.get('Last-Modified');
+                this.claudeMd = { exists: true, content, generatedAt };
+            } else {
+                this.claudeMd = { exists: false, content: '', generatedAt: null };
+            }
+        } catch (error) {
+            this.claudeMd = { exists: false, content: '', generatedAt: null };
+        }
+    }
+
+    /**
+     * Load the saved review session and skipped queue, dropping anything no longer pending
+     */
+    async loadReviewState() {
+        await this.reviewStore.load();
+
+        // Suppressed insights are still pending: they come back if the rule is removed
+        const pendingIds = new Set(this.unsuppressedPending.map(i => this.getInsightId(i)));
+        this.reviewStore.pruneSkipped(pendingIds);
+
+        if (this.reviewStore.getSession() && !this.getResumableSession()) {
+            this.reviewStore.clearSession();
+        }
+    }
+
+    /**
+     * Get a stable id for an insight
+     */
+    getInsightId(insight) {
+        return insight.id || insight.insight_id || `insight_${this.insights.indexOf(insight)}`;
+    }
+
+    /**
+     * Ids of the insights an anchor was created from (one, or several when merged)
+     */
+    getSourceInsightIds(anchor) {
+        const ids = Array.isArray(anchor.source?.insight_ids) ? anchor.source.insight_ids : [];
+        return anchor.source?.insight_id ? [anchor.source.insight_id, ...ids] : ids;
+    }
+
+    /**
+     * Describe where an anchor came from
+     */
+    describeAnchorSource(anchor, long = false) {
+        switch (anchor.source?.type) {
+            case 'elevated_from_insight':
+                return long ? `Elevated from insight ${anchor.source.insight_id}` : `From: ${anchor.source.insight_id}`;
+            case 'merged_from_insights':
+                return long
+                    ? `Merged from insights ${anchor.source.insight_ids.join(', ')}`
+                    : `Merged from ${anchor.source.insight_ids.length} insights`;
+            case 'auto_policy':
+                return long
+                    ? `Approved from insight ${anchor.source.insight_id} by policy ${anchor.source.policy_id}${anchor.source.confirmed ? ' (suggested, confirmed)' : ''}`
+                    : `Policy: ${anchor.source.policy_id}`;
+            default:
+                return long ? 'Created manually' : 'Manual';
+        }
     }
 
     /**
      * Calculate which insights are pending review
      */
     calculatePendingInsights() {
+        // Archived anchors still count as handled - archiving shouldn't resurface the insight
         const anchoredIds = new Set(
-            this.anchors
-                .filter(a => a.source?.insight_id)
-                .map(a => a.source.insight_id)
+            [...this.anchors, ...this.archived].flatMap(a => this.getSourceInsightIds(a))
         );
 
         const rejectedIds = new Set(
             this.rejected.map(r => r.insight_id)
         );
 
-        this.pendingInsights = this.insights.filter(insight => {
-            const id = insight.id || insight.insight_id;
+        this.unsuppressedPending = this.insights.filter(insight => {
+            const id = this.getInsightId(insight);
             return !anchoredIds.has(id) && !rejectedIds.has(id);
         });
 
-        console.log(`Found ${this.pendingInsights.length} pending insights for review`);
+        const { visible, hidden } = this.buildSuppressionFilter(this.suppressionRules).apply(this.unsuppressedPending);
+        this.pendingInsights = visible;
+        this.suppressedInsights = hidden;
+        const { approve, suggest } = evaluatePolicies(this.policies, visible);
+        this.policyApprovals = approve;
+        this.policySuggestions = suggest;
+
+        const hiddenCount = this.unsuppressedPending.length - visible.length;
+        console.log(`Found ${this.pendingInsights.length} pending insights for review${hiddenCount ? ` (${hiddenCount} suppressed)` : ''}`);
     }
 
     /**
@@ -160,20 +494,55 @@ export class AnchorsModule {
                 </div>
 
                 <div class="anchors-content">
-                    ${this.renderOverview()}
+                    ${this.renderCurrentView()}
                 </div>
             </div>
         `;
 
-        this.attachEventListeners();
+        // Apply data files that changed while a review or dialog was open
+        if (this.pendingReload.size > 0 && !this.isReloadDeferred()) {
+            this.applyPendingReload();
+        }
+    }
+
+    /**
+     * Render the active non-review view
+     */
+    renderCurrentView() {
+        switch (this.currentView) {
+            case 'archived':
+                return this.renderArchivedView();
+            case 'rejected':
+                return this.renderRejectedView();
+            case 'suppression':
+                return this.renderSuppressionView();
+            case 'policies':
+                return this.renderPoliciesView();
+            case 'audit':
+                return this.renderAuditView();
+            case 'triage':
+                return this.renderTriageView();
+            case 'revalidate':
+                return this.renderRevalidationView();
+            case 'detail':
+                return this.renderAnchorDetail();
+            default:
+                return this.renderOverview();
+        }
     }
 
     /**
      * Render overview section
      */
     renderOverview() {
-        const needsReview = this.pendingInsights.length;
-        const claudeMdNeedsUpdate = this.anchors.length > 0; // Simplified check for now
+        const newInsights = this.getReviewQueue('new').length;
+        const skippedInsights = this.getReviewQueue('skipped').length;
+        const resumable = this.getResumableSession();
+        const needsReview = newInsights + skippedInsights;
+        const claudeMdStatus = this.getClaudeMdStatus();
+        const claudeMdNeedsUpdate = claudeMdStatus.state !== 'current';
+        const conflicts = this.getConflicts();
+        const dueAnchors = this.getAnchorsDueForRevalidation();
 
         return `
             <div class="overview-section">
@@ -191,7 +560,7 @@ export class AnchorsModule {
                         <div class="stat-icon">📋</div>
                         <div class="stat-info">
                             <div class="stat-value">${needsReview}</div>
-                            <div class="stat-label">Pending Review</div>
+                            <div class="stat-label">Pending Review${skippedInsights > 0 ? ` (${skippedInsights} skipped)` : ''}</div>
                         </div>
                     </div>
 
@@ -203,29 +572,144 @@ export class AnchorsModule {
                         </div>
                     </div>
 
-                    <div class="stat-card">
+                    <div class="stat-card clickable" data-action="view-rejected" title="Browse rejected insights">
                         <div class="stat-icon">🚫</div>
                         <div class="stat-info">
                             <div class="stat-value">${this.rejected.length}</div>
                             <div class="stat-label">Rejected</div>
                         </div>
                     </div>
+
+                    <div class="stat-card clickable" data-action="view-suppression" title="Manage suppression rules">
+                        <div class="stat-icon">🧹</div>
+                        <div class="stat-info">
+                            <div class="stat-value">${this.unsuppressedPending.length - this.pendingInsights.length}</div>
+                            <div class="stat-label">Suppressed (${this.suppressionRules.length} rule${this.suppressionRules.length === 1 ? '' : 's'})</div>
+                        </div>
+                    </div>
+
+                    <div class="stat-card clickable" data-action="view-policies" title="Manage auto-approve policies">
+                        <div class="stat-icon">🤖</div>
+                        <div class="stat-info">
+                            <div class="stat-value">${this.anchors.filter(a => a.source?.type === 'auto_policy').length}</div>
+                            <div class="stat-label">Auto-approved (${this.policies.length} polic${this.policies.length === 1 ? 'y' : 'ies'})</div>
+                        </div>
+                    </div>
                 </div>
 
                 <!-- Attention Needed -->
-                ${needsReview > 0 || claudeMdNeedsUpdate ? `
+                ${needsReview > 0 || claudeMdNeedsUpdate || conflicts.length > 0 || dueAnchors.length > 0 || this.policyApprovals.length > 0 || this.policySuggestions.length > 0 ? `
                 <div class="attention-section">
                     <h3>⚠️ Attention Needed</h3>
                     <div class="attention-items">
-                        ${needsReview > 0 ? `
+                        ${conflicts.slice(0, 3).map(conflict => `
+                        <div class="attention-item">
+                            <div class="attention-icon">⚔️</div>
+                            <div class="attention-content">
+                                <div class="attention-title">Conflicting anchors in ${this.formatCategory(conflict.a.category || 'uncategorized')}</div>
+                                <div class="attention-description">
+                                    "${this.escapeHtml(conflict.a.statement)}" vs "${this.escapeHtml(conflict.b.statement)}"
+                                </div>
+                            </div>
+                            <button class="btn btn-secondary" data-action="resolve-conflict" data-id="${this.escapeHtml(conflict.id)}">
+                                Resolve
+                            </button>
+                        </div>
+                        `).join('')}
+                        ${conflicts.length > 3 ? `
+                        <div class="attention-more">+ ${conflicts.length - 3} more conflicting pairs</div>
+                        ` : ''}
+                        ${this.policyApprovals.length > 0 ? `
+                        <div class="attention-item">
+                            <div class="attention-icon">🤖</div>
+                            <div class="attention-content">
+                                <div class="attention-title">${this.policyApprovals.length} insight${this.policyApprovals.length === 1 ? '' : 's'} matched by auto-approve policies</div>
+                                <div class="attention-description">Check the matches and approve them all at once</div>
+                            </div>
+                            <button class="btn btn-primary" data-action="confirm-policy-approvals" ${this.readOnly ? 'disabled' : ''}>
+                                Approve Matches
+                            </button>
+                        </div>
+                        ` : ''}
+                        ${this.policySuggestions.length > 0 ? `
+                        <div class="attention-item">
+                            <div class="attention-icon">🤖</div>
+                            <div class="attention-content">
+                                <div class="attention-title">${this.policySuggestions.length} insight${this.policySuggestions.length === 1 ? '' : 's'} suggested for approval</div>
+                                <div class="attention-description">Matched by auto-approve policies - confirm them in one step</div>
+                            </div>
+                            <button class="btn btn-primary" data-action="review-suggestions" ${this.readOnly ? 'disabled' : ''}>
+                                Review Suggestions
+                            </button>
+                        </div>
+                        ` : ''}
+                        ${dueAnchors.length > 0 ? `
+                        <div class="attention-item">
+                            <div class="attention-icon">⏰</div>
+                            <div class="attention-content">
+                                <div class="attention-title">${dueAnchors.length} anchor${dueAnchors.length === 1 ? '' : 's'} due for re-validation</div>
+                                <div class="attention-description">Check they still hold against recent insights</div>
+                            </div>
+                            <button class="btn btn-primary" data-action="start-revalidation">
+                                Re-validate
+                            </button>
+                        </div>
+                        ` : ''}
+                        ${resumable ? `
+                        <div class="attention-item">
+                            <div class="attention-icon">⏯</div>
+                            <div class="attention-content">
+                                <div class="attention-title">Unfinished review session</div>
+                                <div class="attention-description">
+                                    ${resumable.remaining} of ${resumable.total} ${resumable.session.queue === 'skipped' ? 'skipped ' : ''}insights left ·
+                                    started ${this.formatDateTime(resumable.session.started_at)}
+                                </div>
+                            </div>
+                            <button class="btn btn-primary" data-action="resume-review">
+                                Resume Review
+                            </button>
+                        </div>
+                        ` : ''}
+                        ${newInsights > 0 ? `
                         <div class="attention-item">
                             <div class="attention-icon">📋</div>
                             <div class="attention-content">
-                                <div class="attention-title">${needsReview} insights need review</div>
+                                <div class="attention-title">${newInsights} insights need review</div>
                                 <div class="attention-description">Review and approve high-confidence insights</div>
                             </div>
-                            <button class="btn btn-primary" data-action="start-review">
-                                Review Now
+                            <div class="attention-actions">
+                                <button class="btn btn-secondary" data-action="open-triage">
+                                    Bulk Triage
+                                </button>
+                                <button class="btn ${resumable ? 'btn-secondary' : 'btn-primary'}" data-action="start-review">
+                                    ${resumable ? 'Start New Review' : 'Review Now'}
+                                </button>
+                            </div>
+                        </div>
+                        ` : ''}
+                        ${skippedInsights > 0 ? `
+                        <div class="attention-item">
+                            <div class="attention-icon">↷</div>
+                            <div class="attention-content">
+                                <div class="attention-title">${skippedInsights} skipped insight${skippedInsights === 1 ? '' : 's'}</div>
+                                <div class="attention-description">Insights you skipped in earlier sessions</div>
+                            </div>
+                            <button class="btn btn-secondary" data-action="review-skipped">
+                                Review Skipped
+                            </button>
+                        </div>
+                        ` : ''}
+                        ${claudeMdNeedsUpdate ? `
+                        <div class="attention-item">
+                            <div class="attention-icon">📄</div>
+                            <div class="attention-content">
+                                <div class="attention-title">${claudeMdStatus.state === 'missing' ? 'CLAUDE.md has not been generated' : 'CLAUDE.md is out of date'}</div>
+                                <div class="attention-description">${claudeMdStatus.state === 'missing'
+                                    ? `${this.anchors.length} active anchors are not in any context file yet`
+                                    : `${claudeMdStatus.changedCount} anchor change${claudeMdStatus.changedCount === 1 ? '' : 's'} since it was last generated ${this.formatDate(claudeMdStatus.generatedAt)}`}</div>
+                            </div>
+                            <button class="btn btn-primary" data-action="generate-claude-md">
+                                Preview & Generate
                             </button>
                         </div>
                         ` : ''}
@@ -237,11 +721,29 @@ export class AnchorsModule {
                 <div class="anchors-list-section">
                     <div class="section-header">
                         <h3>🎯 Active Anchors (${this.anchors.length})</h3>
-                        <button class="btn btn-secondary" data-action="add-anchor" ${this.readOnly ? 'disabled' : ''}>
-                            + New Anchor
-                        </button>
+                        <div class="section-actions">
+                            <button class="btn btn-secondary" data-action="generate-claude-md">
+                                📄 CLAUDE.md
+                            </button>
+                            <button class="btn btn-secondary" data-action="export-context">
+                                📤 Export
+                            </button>
+                            <button class="btn btn-secondary" data-action="similarity-settings" title="Duplicate detection settings">
+                                ⚙
+                            </button>
+                            <button class="btn btn-secondary" data-action="view-archived">
+                                🗄 Archived (${this.archived.length})
+                            </button>
+                            <button class="btn btn-secondary" data-action="view-audit" title="Audit log">
+                                📜
+                            </button>
+                            <button class="btn btn-secondary" data-action="add-anchor" ${this.readOnly ? 'disabled' : ''}>
+                                + New Anchor
+                            </button>
+                        </div>
                     </div>
 
+                    ${this.renderScopeFilter()}
                     ${this.renderAnchorsList()}
                 </div>
 
@@ -249,13 +751,82 @@ export class AnchorsModule {
                 <div class="read-only-notice">
                     <strong>Note:</strong> Running in read-only mode for safety.
                     Data can be viewed but not modified.
-                    Write operations will be enabled in a future update.
+                    Start the hub with <code>node server.js</code> to enable saving.
                 </div>
                 ` : ''}
             </div>
         `;
     }
 
+    /**
+     * Render the scope filter for the anchors list
+     */
+    renderScopeFilter() {
+        const scopes = [...new Set(this.anchors.map(a => a.scope).filter(Boolean))].sort();
+        const projects = this.getKnownProjects();
+        if (scopes.length === 0 && projects.length === 0) return '';
+
+        const option = (value, label) =>
+            `<option value="${this.escapeHtml(value)}" ${this.scopeFilter === value ? 'selected' : ''}>${this.escapeHtml(label)}</option>`;
+
+        return `
+            <div class="scope-filter">
+                <label class="form-field">
+                    <span class="form-label">Scope</span>
+                    <select data-scope-filter>
+                        ${option('all', 'All anchors')}
+                        ${option('global', 'Global only')}
+                        ${scopes.length > 0 ? `
+                            <optgroup label="Scoped to">
+                                ${scopes.map(scope => option(`scope:${scope}`, scope)).join('')}
+                            </optgroup>
+                        ` : ''}
+                        ${projects.length > 0 ? `
+                            <optgroup label="Applies to project">
+                                ${projects.map(path => option(`project:${path}`, path)).join('')}
+                            </optgroup>
+                        ` : ''}
+                    </select>
+                </label>
+            </div>
+        `;
+    }
+
+    /**
+     * Active anchors matching the scope filter
+     */
+    getFilteredAnchors() {
+        const filter = this.scopeFilter;
+
+        if (filter === 'global') return this.anchors.filter(a => !a.scope);
+        if (filter.startsWith('scope:')) return this.anchors.filter(a => a.scope === filter.slice(6));
+        if (filter.startsWith('project:')) return this.getAnchorsForProject(filter.slice(8));
+        return this.anchors;
+    }
+
+    /**
+     * Anchors that apply to a project: global ones plus those scoped to it.
+     * With no project, only global anchors.
+     */
+    getAnchorsForProject(projectPath = null) {
+        return this.anchors.filter(anchor => scopeMatches(anchor.scope, projectPath));
+    }
+
+    /**
+     * Project paths seen in conversations or used as anchor scopes
+     */
+    getKnownProjects() {
+        const conversations = this.contextPanel?.conversationsModule?.conversations;
+        const fromConversations = conversations
+            ? [...conversations.values()].map(conv => conv.conversation?.project_path)
+            : [];
+        const fromScopes = this.anchors.map(a => a.scope).filter(scope => scope && !isGlobScope(scope));
+
+        return [...new Set(
+            [...fromConversations, ...fromScopes].filter(Boolean).map(normalizeProjectPath)
+        )].sort();
+    }
+
     /**
      * Render list of anchors grouped by category
      */
@@ -268,8 +839,17 @@ export class AnchorsModule {
             `;
         }
 
+        const anchors = this.getFilteredAnchors();
+        if (anchors.length === 0) {
+            return `
+                <div class="empty-state">
+                    <p>No anchors match this scope.</p>
+                </div>
+            `;
+        }
+
         // Group by category
-        const grouped = this.anchors.reduce((acc, anchor) => {
+        const grouped = anchors.reduce((acc, anchor) => {
             const category = anchor.category || 'uncategorized';
             if (!acc[category]) acc[category] = [];
             acc[category].push(anchor);
@@ -293,624 +873,4280 @@ export class AnchorsModule {
      */
     renderAnchorCard(anchor) {
         const createdDate = anchor.created ? new Date(anchor.created).toLocaleDateString() : 'Unknown';
-        const source = anchor.source?.type === 'elevated_from_insight'
-            ? `From: ${anchor.source.insight_id}`
-            : 'Manual';
+        const source = this.describeAnchorSource(anchor);
+        const due = this.getRevalidationDate(anchor);
 
         return `
-            <div class="anchor-card" data-anchor-id="${anchor.id}">
+            <div class="anchor-card" data-anchor-id="${this.escapeHtml(anchor.id)}">
                 <div class="anchor-statement">${this.escapeHtml(anchor.statement)}</div>
                 <div class="anchor-meta">
                     <span class="anchor-date">Created: ${createdDate}</span>
-                    <span class="anchor-source">${source}</span>
+                    <span class="anchor-source">${this.escapeHtml(source)}</span>
+                    ${anchor.scope ? `<span class="anchor-scope" title="${this.escapeHtml(describeScope(anchor.scope))}">📁 ${this.escapeHtml(anchor.scope)}</span>` : ''}
+                    ${due && due <= new Date() ? '<span class="anchor-due">⏰ Re-validation due</span>' : ''}
                 </div>
                 ${anchor.notes ? `<div class="anchor-notes">${this.escapeHtml(anchor.notes)}</div>` : ''}
                 <div class="anchor-actions">
-                    <button class="btn-link" data-action="view-anchor" data-id="${anchor.id}">View</button>
-                    <button class="btn-link" data-action="edit-anchor" data-id="${anchor.id}" ${this.readOnly ? 'disabled' : ''}>Edit</button>
-                    <button class="btn-link danger" data-action="archive-anchor" data-id="${anchor.id}" ${this.readOnly ? 'disabled' : ''}>Archive</button>
+                    <button class="btn-link" data-action="view-anchor" data-id="${this.escapeHtml(anchor.id)}">View</button>
+                    <button class="btn-link" data-action="edit-anchor" data-id="${this.escapeHtml(anchor.id)}" ${this.readOnly ? 'disabled' : ''}>Edit</button>
+                    <button class="btn-link danger" data-action="archive-anchor" data-id="${this.escapeHtml(anchor.id)}" ${this.readOnly ? 'disabled' : ''}>Archive</button>
                 </div>
             </div>
         `;
     }
 
     /**
-     * Attach event listeners
+     * Render the archived anchors list
      */
-    attachEventListeners() {
-        // Action buttons
-        this.container.addEventListener('click', (e) => {
-            const action = e.target.dataset.action;
-            if (!action) return;
-
-            switch (action) {
-                case 'start-review':
-                    this.startReview();
-                    break;
-                case 'add-anchor':
-                    if (!this.readOnly) this.showAddAnchorModal();
-                    break;
-                case 'view-anchor':
-                    this.viewAnchor(e.target.dataset.id);
-                    break;
-                case 'edit-anchor':
-                    if (!this.readOnly) this.editAnchor(e.target.dataset.id);
-                    break;
-                case 'archive-anchor':
-                    if (!this.readOnly) this.archiveAnchor(e.target.dataset.id);
-                    break;
-            }
-        });
-    }
+    renderArchivedView() {
+        const sorted = [...this.archived].sort((a, b) =>
+            new Date(b.archived_at || 0) - new Date(a.archived_at || 0)
+        );
+
+        return `
+            <div class="anchors-list-section">
+                <div class="section-header">
+                    <div>
+                        <button class="btn-link" data-action="exit-archived">← Back to Overview</button>
+                        <h3>🗄 Archived Anchors (${this.archived.length})</h3>
+                    </div>
+                </div>
+
+                ${sorted.length === 0 ? `
+                    <div class="empty-state">
+                        <p>No archived anchors. Archived anchors are kept here and can be restored at any time.</p>
+                    </div>
+                ` : `
+                    <div class="anchor-items">
+                        ${sorted.map(anchor => this.renderArchivedCard(anchor)).join('')}
+                    </div>
+                `}
+            </div>
+        `;
+    }
+
+    /**
+     * Render an archived anchor card
+     */
+    renderArchivedCard(anchor) {
+        return `
+            <div class="anchor-card archived" data-anchor-id="${this.escapeHtml(anchor.id)}">
+                <div class="anchor-statement">${this.escapeHtml(anchor.statement)}</div>
+                <div class="anchor-meta">
+                    <span class="anchor-category-label">${this.formatCategory(anchor.category || 'uncategorized')}</span>
+                    <span class="anchor-date">Archived: ${this.formatDate(anchor.archived_at)}</span>
+                </div>
+                ${anchor.archive_reason ? `
+                    <div class="anchor-notes"><strong>Reason:</strong> ${this.escapeHtml(anchor.archive_reason)}</div>
+                ` : ''}
+                <div class="anchor-actions">
+                    <button class="btn-link" data-action="view-anchor" data-id="${this.escapeHtml(anchor.id)}">View</button>
+                    <button class="btn-link" data-action="restore-anchor" data-id="${this.escapeHtml(anchor.id)}" ${this.readOnly ? 'disabled' : ''}>Restore</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Rejected entries matching the browser filters, newest first
+     */
+    getFilteredRejected() {
+        const { query, reason } = this.rejectedFilters;
+        const needle = query.trim().toLowerCase();
+
+        return this.rejected
+            .filter(entry => reason === 'all' || (entry.reason || 'none') === reason)
+            .filter(entry => !needle ||
+                [entry.statement, entry.notes, entry.category, entry.insight_id]
+                    .some(field => (field || '').toLowerCase().includes(needle)))
+            .sort((a, b) => new Date(b.rejected_at || 0) - new Date(a.rejected_at || 0));
+    }
+
+    /**
+     * Render the rejected insights browser
+     */
+    renderRejectedView() {
+        const { query, reason } = this.rejectedFilters;
+        const counts = this.rejected.reduce((acc, entry) => {
+            const key = entry.reason || 'none';
+            acc[key] = (acc[key] || 0) + 1;
+            return acc;
+        }, {});
+
+        return `
+            <div class="anchors-list-section">
+                <div class="section-header">
+                    <div>
+                        <button class="btn-link" data-action="exit-rejected">← Back to Overview</button>
+                        <h3>🚫 Rejected Insights (${this.rejected.length})</h3>
+                    </div>
+                    <div class="section-actions">
+                        <button class="btn btn-secondary" data-action="export-rejections" data-mode="download" ${this.rejected.length === 0 ? 'disabled' : ''}>
+                            Download reasons
+                        </button>
+                        <button class="btn btn-secondary" data-action="export-rejections" data-mode="write" ${this.readOnly || this.rejected.length === 0 ? 'disabled' : ''}>
+                            Write to disk
+                        </button>
+                    </div>
+                </div>
+
+                <div class="triage-filters">
+                    <label class="form-field rejected-search">
+                        <span class="form-label">Search</span>
+                        <input type="search" value="${this.escapeHtml(query)}" placeholder="Statement, notes or category" data-rejected-filter="query">
+                    </label>
+                    <label class="form-field">
+                        <span class="form-label">Reason</span>
+                        <select data-rejected-filter="reason">
+                            <option value="all">All reasons</option>
+                            ${Object.entries(REJECTION_REASONS).map(([key, label]) => `
+                                <option value="${key}" ${key === reason ? 'selected' : ''}>${label} (${counts[key] || 0})</option>
+                            `).join('')}
+                            <option value="none" ${reason === 'none' ? 'selected' : ''}>No reason given (${counts.none || 0})</option>
+                        </select>
+                    </label>
+                </div>
+
+                <div data-role="rejected-list">
+                    ${this.renderRejectedList()}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the filtered rejected entries (re-rendered alone while typing a search)
+     */
+    renderRejectedList() {
+        const entries = this.getFilteredRejected();
+
+        if (entries.length === 0) {
+            return `
+                <div class="empty-state">
+                    <p>${this.rejected.length === 0 ? 'No rejected insights.' : 'No rejected insights match these filters.'}</p>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="anchor-items">
+                ${entries.map(entry => `
+                    <div class="anchor-card archived">
+                        <div class="anchor-statement">${this.escapeHtml(entry.statement || entry.insight_id)}</div>
+                        <div class="anchor-meta">
+                            <span class="anchor-category-label">${this.formatCategory(entry.category || 'uncategorized')}</span>
+                            <span class="rejection-reason">${REJECTION_REASONS[entry.reason] || 'No reason given'}</span>
+                            <span class="anchor-date">Rejected: ${this.formatDate(entry.rejected_at)}</span>
+                        </div>
+                        ${entry.notes ? `<div class="anchor-notes">${this.escapeHtml(entry.notes)}</div>` : ''}
+                        <div class="anchor-actions">
+                            <button class="btn-link" data-action="unreject-insight" data-id="${this.escapeHtml(entry.insight_id)}" ${this.readOnly ? 'disabled' : ''}>
+                                Un-reject
+                            </button>
+                            <button class="btn-link" data-action="suppress-similar" data-id="${this.escapeHtml(entry.insight_id)}" ${this.readOnly ? 'disabled' : ''}>
+                                Suppress similar
+                            </button>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Remove an insight from the rejected list so it returns to the pending queue
+     */
+    async unrejectInsight(insightId) {
+        const entry = this.rejected.find(r => r.insight_id === insightId);
+        if (!entry) return;
+
+        try {
+            await this.saveRejectedChanges(() => {
+                this.rejected = this.rejected.filter(r => r !== entry);
+            }, { action: 'review.unreject', insightIds: [insightId] });
+        } catch (error) {
+            console.error('Error un-rejecting insight:', error);
+            this.showFeedback(`Failed to save: ${error.message}`, 'error');
+            return;
+        }
+
+        this.calculatePendingInsights();
+        this.render();
+
+        const pending = this.pendingInsights.some(insight => this.getInsightId(insight) === insightId);
+        this.showFeedback(
+            pending ? '↩ Insight returned to the pending queue' : '↩ Un-rejected (the insight is no longer in the insights data)',
+            'success'
+        );
+    }
+
+    /**
+     * Rejections with their reasons, for the synthesizer to learn from
+     */
+    buildRejectionFeedback() {
+        const counts = Object.fromEntries(Object.keys(REJECTION_REASONS).map(key => [key, 0]));
+        this.rejected.forEach(entry => {
+            if (entry.reason in counts) counts[entry.reason]++;
+        });
+
+        return {
+            generated_at: new Date().toISOString(),
+            reasons: REJECTION_REASONS,
+            counts,
+            rejected: this.rejected.map(entry => ({
+                insight_id: entry.insight_id,
+                statement: entry.statement,
+                category: entry.category,
+                reason: entry.reason || null,
+                notes: entry.notes || null,
+                rejected_at: entry.rejected_at
+            }))
+        };
+    }
+
+    /**
+     * Download or write the rejection feedback file
+     */
+    async exportRejections(mode) {
+        const content = JSON.stringify(this.buildRejectionFeedback(), null, 2);
+
+        if (mode === 'download') {
+            this.downloadFile('rejections.json', content, 'application/json');
+            this.auditLog.record('export', { details: { target: 'rejections', mode } });
+            return;
+        }
+
+        try {
+            await this.api.saveContextFile(REJECTION_FEEDBACK_PATH, content);
+            this.auditLog.record('export', { details: { target: 'rejections', mode, paths: [REJECTION_FEEDBACK_PATH] } });
+            this.showFeedback(`✓ Wrote ${REJECTION_FEEDBACK_PATH}`, 'success');
+        } catch (error) {
+            console.error('Error exporting rejections:', error);
+            this.showFeedback(`Export failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Reason picker and notes shared by single and bulk rejection
+     */
+    renderRejectionReasonFields() {
+        return `
+            <div class="form-field">
+                <span class="form-label">Reason</span>
+                <div class="reason-options">
+                    ${Object.entries(REJECTION_REASONS).map(([key, label], index) => `
+                        <label class="reason-option">
+                            <input type="radio" name="reason" value="${key}" ${index === 0 ? 'checked' : ''}>
+                            ${label}
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+            <label class="form-field">
+                <span class="form-label">Notes (optional)</span>
+                <textarea name="notes" rows="2" placeholder="e.g. Only applied to one client project"></textarea>
+            </label>
+        `;
+    }
+
+    /**
+     * Read and validate the reason fields from a modal's values
+     */
+    readRejectionReason(values) {
+        if (!REJECTION_REASONS[values.reason]) {
+            throw new Error('Please choose a reason');
+        }
+        return { reason: values.reason, notes: values.notes || '' };
+    }
+
+    /**
+     * Build a filter for a set of suppression rules
+     */
+    buildSuppressionFilter(rules) {
+        return new SuppressionFilter(rules, {
+            getText: insight => this.getInsightText(insight),
+            rejected: this.rejected,
+            getEngine: () => this.getSimilarityEngine()
+        });
+    }
+
+    /**
+     * Render the suppression rules list with how many insights each one hides
+     */
+    renderSuppressionView() {
+        return `
+            <div class="anchors-list-section">
+                <div class="section-header">
+                    <div>
+                        <button class="btn-link" data-action="exit-suppression">← Back to Overview</button>
+                        <h3>🧹 Suppression Rules (${this.suppressionRules.length})</h3>
+                    </div>
+                    <div class="section-actions">
+                        <button class="btn btn-secondary" data-action="add-suppression-rule" ${this.readOnly ? 'disabled' : ''}>
+                            + New Rule
+                        </button>
+                    </div>
+                </div>
+
+                <p class="form-hint">
+                    Pending insights matching an enabled rule are hidden from review and triage.
+                    Each insight is counted against the first rule that matches it.
+                </p>
+
+                ${this.suppressionRules.length === 0 ? `
+                    <div class="empty-state">
+                        <p>No suppression rules. Add one here, or use <strong>Suppress similar</strong> on a rejected insight.</p>
+                    </div>
+                ` : `
+                    <div class="anchor-items">
+                        ${this.suppressionRules.map(rule => this.renderSuppressionRule(rule)).join('')}
+                    </div>
+                `}
+            </div>
+        `;
+    }
+
+    /**
+     * Render a single suppression rule card
+     */
+    renderSuppressionRule(rule) {
+        const hidden = this.suppressedInsights.get(rule.id) || [];
+        const errors = validateSuppressionRule(rule);
+
+        return `
+            <div class="anchor-card ${rule.enabled === false ? 'archived' : ''}">
+                <div class="anchor-statement">${this.escapeHtml(describeSuppressionRule(rule, this.rejected))}</div>
+                <div class="anchor-meta">
+                    <span class="anchor-category-label">${SUPPRESSION_RULE_TYPES[rule.type] || this.escapeHtml(rule.type)}</span>
+                    <span class="suppression-count">${rule.enabled === false ? 'Disabled' : `Hiding ${hidden.length} insight${hidden.length === 1 ? '' : 's'}`}</span>
+                    ${rule.created ? `<span class="anchor-date">Created: ${this.formatDate(rule.created)}</span>` : ''}
+                </div>
+                ${errors.length > 0 ? `<div class="anchor-notes">⚠️ ${this.escapeHtml(errors.join('; '))}</div>` : ''}
+                ${hidden.length > 0 ? `
+                    <details class="suppression-hidden">
+                        <summary>Show hidden insights</summary>
+                        <ul>
+                            ${hidden.slice(0, 20).map(insight => `<li>${this.escapeHtml(this.getInsightText(insight))}</li>`).join('')}
+                            ${hidden.length > 20 ? `<li>+ ${hidden.length - 20} more</li>` : ''}
+                        </ul>
+                    </details>
+                ` : ''}
+                <div class="anchor-actions">
+                    <label class="suppression-toggle">
+                        <input type="checkbox" data-suppression-toggle="${this.escapeHtml(rule.id)}"
+                            ${rule.enabled !== false ? 'checked' : ''} ${this.readOnly ? 'disabled' : ''}>
+                        Enabled
+                    </label>
+                    <button class="btn-link" data-action="edit-suppression-rule" data-id="${this.escapeHtml(rule.id)}" ${this.readOnly ? 'disabled' : ''}>Edit</button>
+                    <button class="btn-link danger" data-action="delete-suppression-rule" data-id="${this.escapeHtml(rule.id)}" ${this.readOnly ? 'disabled' : ''}>Delete</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Add or edit a suppression rule. `defaults` pre-fills a new rule.
+     */
+    showSuppressionRuleModal(ruleId = null, defaults = {}) {
+        const existing = ruleId ? this.suppressionRules.find(r => r.id === ruleId) : null;
+        if (ruleId && !existing) return;
+
+        const rule = { type: 'pattern', mode: 'keywords', pattern: '', threshold: 0.5, ...defaults, ...existing };
+        const categories = [...new Set([
+            ...this.insights.map(i => i.category || 'uncategorized'),
+            ...this.anchors.map(a => a.category || 'uncategorized')
+        ])].sort();
+        const rejected = [...this.rejected].sort((a, b) => new Date(b.rejected_at || 0) - new Date(a.rejected_at || 0));
+
+        const readRule = (values) => {
+            const next = { id: existing?.id, type: values.type };
+            if (values.type === 'pattern') {
+                next.mode = values.mode === 'regex' ? 'regex' : 'keywords';
+                next.pattern = (values.pattern || '').trim();
+            } else if (values.type === 'category') {
+                next.category = values.category;
+            } else if (values.type === 'similar') {
+                next.rejected_id = values.rejected_id;
+                next.threshold = Number(values.threshold) / 100;
+            }
+            return next;
+        };
+
+        new Modal({
+            title: existing ? '✏️ Edit Suppression Rule' : '🧹 New Suppression Rule',
+            body: `
+                <label class="form-field">
+                    <span class="form-label">Hide pending insights that…</span>
+                    <select name="type">
+                        <option value="pattern" ${rule.type === 'pattern' ? 'selected' : ''}>match a text pattern</option>
+                        <option value="category" ${rule.type === 'category' ? 'selected' : ''}>are in a category</option>
+                        <option value="similar" ${rule.type === 'similar' ? 'selected' : ''} ${rejected.length === 0 ? 'disabled' : ''}>are similar to a rejected insight</option>
+                    </select>
+                </label>
+
+                <div class="form-row" data-rule-type="pattern">
+                    <label class="form-field">
+                        <span class="form-label">Match</span>
+                        <select name="mode">
+                            <option value="keywords" ${rule.mode !== 'regex' ? 'selected' : ''}>Any keyword (comma-separated)</option>
+                            <option value="regex" ${rule.mode === 'regex' ? 'selected' : ''}>Regular expression</option>
+                        </select>
+                    </label>
+                    <label class="form-field">
+                        <span class="form-label">Pattern</span>
+                        <input type="text" name="pattern" value="${this.escapeHtml(rule.pattern || '')}" placeholder="e.g. emoji, exclamation">
+                    </label>
+                </div>
+
+                <label class="form-field" data-rule-type="category">
+                    <span class="form-label">Category</span>
+                    <select name="category">
+                        ${categories.map(c => `
+                            <option value="${this.escapeHtml(c)}" ${c === rule.category ? 'selected' : ''}>${this.formatCategory(c)}</option>
+                        `).join('')}
+                    </select>
+                </label>
+
+                <div data-rule-type="similar">
+                    <label class="form-field">
+                        <span class="form-label">Rejected insight</span>
+                        <select name="rejected_id">
+                            ${rejected.map(entry => `
+                                <option value="${this.escapeHtml(entry.insight_id)}" ${entry.insight_id === rule.rejected_id ? 'selected' : ''}>
+                                    ${this.escapeHtml((entry.statement || entry.insight_id).slice(0, 90))}
+                                </option>
+                            `).join('')}
+                        </select>
+                    </label>
+                    <label class="form-field">
+                        <span class="form-label">Minimum similarity (%)</span>
+                        <input type="number" name="threshold" min="1" max="100" value="${Math.round((rule.threshold || 0.5) * 100)}">
+                    </label>
+                </div>
+
+                <p class="form-hint" data-role="rule-preview"></p>
+            `,
+            submitLabel: existing ? 'Save Rule' : 'Add Rule',
+            onOpen: (form) => {
+                const update = () => {
+                    const type = form.elements.type.value;
+                    form.querySelectorAll('[data-rule-type]').forEach(el => {
+                        el.classList.toggle('hidden', el.dataset.ruleType !== type);
+                    });
+
+                    const values = Object.fromEntries(new FormData(form));
+                    const candidate = readRule(values);
+                    const preview = form.querySelector('[data-role="rule-preview"]');
+                    if (validateSuppressionRule(candidate).length > 0) {
+                        preview.textContent = '';
+                        return;
+                    }
+                    const { hidden } = this.buildSuppressionFilter([{ ...candidate, id: 'preview' }]).apply(this.unsuppressedPending);
+                    const count = hidden.get('preview')?.length || 0;
+                    preview.textContent = `Would hide ${count} of ${this.unsuppressedPending.length} pending insight${this.unsuppressedPending.length === 1 ? '' : 's'}.`;
+                };
+                form.addEventListener('change', update);
+                form.addEventListener('input', update);
+                update();
+            },
+            onSubmit: async (values) => {
+                const next = readRule(values);
+                const errors = validateSuppressionRule(next);
+                if (errors.length > 0) {
+                    throw new Error(errors[0]);
+                }
+
+                next.id = existing?.id || `rule_${Date.now()}`;
+                next.enabled = existing ? existing.enabled !== false : true;
+                next.created = existing?.created || new Date().toISOString();
+
+                await this.saveSuppressionRules(existing
+                    ? this.suppressionRules.map(r => r.id === existing.id ? next : r)
+                    : [...this.suppressionRules, next]);
+
+                const count = this.suppressedInsights.get(next.id)?.length || 0;
+                this.showFeedback(`🧹 Rule saved - hiding ${count} insight${count === 1 ? '' : 's'}`, 'success');
+                this.render();
+            }
+        }).open();
+    }
+
+    /**
+     * Enable or disable a suppression rule
+     */
+    async toggleSuppressionRule(ruleId, enabled) {
+        try {
+            await this.saveSuppressionRules(this.suppressionRules.map(rule =>
+                rule.id === ruleId ? { ...rule, enabled } : rule
+            ));
+        } catch (error) {
+            console.error('Error saving suppression rule:', error);
+            this.showFeedback(`Failed to save: ${error.message}`, 'error');
+        }
+        this.render();
+    }
+
+    /**
+     * Delete a suppression rule after confirmation
+     */
+    deleteSuppressionRule(ruleId) {
+        const rule = this.suppressionRules.find(r => r.id === ruleId);
+        if (!rule) return;
+
+        const hidden = this.suppressedInsights.get(ruleId)?.length || 0;
+
+        new Modal({
+            title: 'Delete Suppression Rule',
+            body: `
+                <div class="modal-quote">${this.escapeHtml(describeSuppressionRule(rule, this.rejected))}</div>
+                <p>${hidden > 0 ? `${hidden} insight${hidden === 1 ? '' : 's'} hidden by this rule will return to the pending queue.` : 'This rule is not hiding any insights.'}</p>
+            `,
+            submitLabel: 'Delete',
+            danger: true,
+            onSubmit: async () => {
+                await this.saveSuppressionRules(this.suppressionRules.filter(r => r.id !== ruleId));
+                this.showFeedback('🧹 Rule deleted', 'info');
+                this.render();
+            }
+        }).open();
+    }
+
+    /**
+     * List the pending insights matched by 'approve' policies and, once confirmed,
+     * elevate them all in a single write. Nothing is written without the confirm.
+     */
+    confirmPolicyApprovals() {
+        const approvals = this.policyApprovals;
+        if (approvals.length === 0 || this.readOnly) return;
+
+        const count = `${approvals.length} insight${approvals.length === 1 ? '' : 's'}`;
+
+        new Modal({
+            title: `🤖 Approve ${count}?`,
+            wide: true,
+            body: `
+                <p>Your auto-approve policies match ${count}. Each becomes an active anchor.</p>
+                <div class="suggestion-list">
+                    ${approvals.map(({ insight, policy }) => `
+                        <div class="suggestion-item">
+                            <span>
+                                ${this.escapeHtml(this.getInsightText(insight))}
+                                <span class="form-hint">
+                                    ${this.formatCategory(insight.category || 'uncategorized')} ·
+                                    ${Math.round((insight.strength || insight.confidence || 0) * 100)}% ·
+                                    ${this.escapeHtml(describePolicy(policy, c => this.categoryTitle(c)))}
+                                </span>
+                            </span>
+                        </div>
+                    `).join('')}
+                </div>
+            `,
+            submitLabel: `Approve ${count}`,
+            onSubmit: async () => {
+                const insightIds = approvals.map(({ insight }) => this.getInsightId(insight));
+                const anchors = approvals.map(({ insight, policy }, i) => this.buildAnchorFromInsight(
+                    insight,
+                    insightIds[i],
+                    this.getInsightText(insight),
+                    { type: 'auto_policy', policy_id: policy.id }
+                ));
+
+                await this.saveAnchorChanges(() => {
+                    this.anchors.push(...anchors);
+                }, {
+                    action: 'policy.approve',
+                    insightIds,
+                    details: { policy_ids: [...new Set(approvals.map(({ policy }) => policy.id))] }
+                });
+                insightIds.forEach(id => this.reviewStore.removeSkipped(id));
+
+                this.calculatePendingInsights();
+                this.render();
+                console.log(`Approved ${anchors.length} insights by policy`);
+                this.showFeedback(`🤖 Approved ${anchors.length} insight${anchors.length === 1 ? '' : 's'} by policy`, 'success');
+            }
+        }).open();
+    }
+
+    /**
+     * Replace the policies and persist them. Matches of 'approve' policies wait
+     * for confirmPolicyApprovals().
+     */
+    async savePolicies(policies) {
+        const snapshot = this.policies;
+        this.policies = policies;
+
+        try {
+            await this.api.saveAutoApprovePolicies({ policies });
+        } catch (error) {
+            this.policies = snapshot;
+            throw error;
+        }
+
+        this.calculatePendingInsights();
+    }
+
+    /**
+     * Render the auto-approve policies list
+     */
+    renderPoliciesView() {
+        return `
+            <div class="anchors-list-section">
+                <div class="section-header">
+                    <div>
+                        <button class="btn-link" data-action="exit-policies">← Back to Overview</button>
+                        <h3>🤖 Auto-Approve Policies (${this.policies.length})</h3>
+                    </div>
+                    <div class="section-actions">
+                        <button class="btn btn-secondary" data-action="add-policy" ${this.readOnly ? 'disabled' : ''}>
+                            + New Policy
+                        </button>
+                    </div>
+                </div>
+
+                <p class="form-hint">
+                    Policies are checked against pending insights when the hub loads and whenever a policy changes.
+                    Matches are only approved once you confirm them from the Attention section.
+                    Anchors they create have <code>source.type = "auto_policy"</code> and the policy id.
+                </p>
+
+                ${this.policies.length === 0 ? `
+                    <div class="empty-state">
+                        <p>No policies. Add one to approve trusted, high-confidence insights without reviewing them one by one.</p>
+                    </div>
+                ` : `
+                    <div class="anchor-items">
+                        ${this.policies.map(policy => this.renderPolicy(policy)).join('')}
+                    </div>
+                `}
+            </div>
+        `;
+    }
+
+    /**
+     * Render a single policy card with its audit counts
+     */
+    renderPolicy(policy) {
+        const created = [...this.anchors, ...this.archived].filter(a =>
+            a.source?.type === 'auto_policy' && a.source.policy_id === policy.id
+        ).length;
+        const suggested = this.policySuggestions.filter(s => s.policy.id === policy.id).length;
+        const errors = validatePolicy(policy);
+
+        return `
+            <div class="anchor-card ${policy.enabled === false ? 'archived' : ''}">
+                <div class="anchor-statement">${this.escapeHtml(describePolicy(policy, c => this.categoryTitle(c)))}</div>
+                <div class="anchor-meta">
+                    <span class="anchor-category-label">${POLICY_ACTIONS[policy.action] || this.escapeHtml(policy.action)}</span>
+                    <span class="suppression-count">${created} anchor${created === 1 ? '' : 's'} created</span>
+                    ${policy.action === 'suggest' ? `<span>${suggested} waiting for confirmation</span>` : ''}
+                    <span class="anchor-date">${this.escapeHtml(policy.id)}</span>
+                </div>
+                ${errors.length > 0 ? `<div class="anchor-notes">⚠️ ${this.escapeHtml(errors.join('; '))}</div>` : ''}
+                <div class="anchor-actions">
+                    <label class="suppression-toggle">
+                        <input type="checkbox" data-policy-toggle="${this.escapeHtml(policy.id)}"
+                            ${policy.enabled !== false ? 'checked' : ''} ${this.readOnly ? 'disabled' : ''}>
+                        Enabled
+                    </label>
+                    <button class="btn-link" data-action="edit-policy" data-id="${this.escapeHtml(policy.id)}" ${this.readOnly ? 'disabled' : ''}>Edit</button>
+                    <button class="btn-link danger" data-action="delete-policy" data-id="${this.escapeHtml(policy.id)}" ${this.readOnly ? 'disabled' : ''}>Delete</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Add or edit an auto-approve policy
+     */
+    showPolicyModal(policyId = null) {
+        const existing = policyId ? this.policies.find(p => p.id === policyId) : null;
+        if (policyId && !existing) return;
+
+        const policy = { category: 'all', min_strength: 0.9, min_occurrences: 5, action: 'suggest', ...existing };
+        const categories = [...new Set(this.insights.map(i => i.category || 'uncategorized'))].sort();
+
+        let saved = null;
+
+        const readPolicy = (values) => ({
+            category: values.category,
+            min_strength: Number(values.min_strength) / 100,
+            min_occurrences: Number(values.min_occurrences),
+            action: values.action
+        });
+
+        new Modal({
+            title: existing ? '✏️ Edit Policy' : '🤖 New Auto-Approve Policy',
+            body: `
+                <label class="form-field">
+                    <span class="form-label">Category</span>
+                    <select name="category">
+                        <option value="all" ${policy.category === 'all' ? 'selected' : ''}>Any category</option>
+                        ${categories.map(c => `
+                            <option value="${this.escapeHtml(c)}" ${c === policy.category ? 'selected' : ''}>${this.formatCategory(c)}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                <div class="form-row">
+                    <label class="form-field">
+                        <span class="form-label">Minimum strength (%)</span>
+                        <input type="number" name="min_strength" min="0" max="100" value="${Math.round(policy.min_strength * 100)}">
+                    </label>
+                    <label class="form-field">
+                        <span class="form-label">Minimum occurrences</span>
+                        <input type="number" name="min_occurrences" min="0" step="1" value="${policy.min_occurrences}">
+                    </label>
+                </div>
+                <label class="form-field">
+                    <span class="form-label">When an insight matches</span>
+                    <select name="action">
+                        ${Object.entries(POLICY_ACTIONS).map(([key, label]) => `
+                            <option value="${key}" ${key === policy.action ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                <p class="form-hint" data-role="policy-preview"></p>
+            `,
+            submitLabel: existing ? 'Save Policy' : 'Add Policy',
+            onOpen: (form) => {
+                const update = () => {
+                    const candidate = readPolicy(Object.fromEntries(new FormData(form)));
+                    const preview = form.querySelector('[data-role="policy-preview"]');
+                    const errors = validatePolicy(candidate);
+                    if (errors.length > 0) {
+                        preview.textContent = errors[0];
+                        return;
+                    }
+                    const count = this.pendingInsights.filter(insight => matchesPolicy(candidate, insight)).length;
+                    preview.textContent = candidate.action === 'approve'
+                        ? `${count} pending insight${count === 1 ? '' : 's'} will be listed for you to approve after you save.`
+                        : `${count} pending insight${count === 1 ? '' : 's'} will be suggested for approval.`;
+                };
+                form.addEventListener('change', update);
+                form.addEventListener('input', update);
+                update();
+            },
+            onSubmit: async (values) => {
+                const next = readPolicy(values);
+                const errors = validatePolicy(next);
+                if (errors.length > 0) {
+                    throw new Error(errors[0]);
+                }
+
+                next.id = existing?.id || `policy_${Date.now()}`;
+                next.enabled = existing ? existing.enabled !== false : true;
+                next.created = existing?.created || new Date().toISOString();
+
+                await this.savePolicies(existing
+                    ? this.policies.map(p => p.id === existing.id ? next : p)
+                    : [...this.policies, next]);
+                saved = next;
+
+                this.showFeedback('🤖 Policy saved', 'success');
+                this.render();
+            },
+            onClose: () => {
+                // Offer the new policy's matches straight away
+                if (saved?.action === 'approve') this.confirmPolicyApprovals();
+            }
+        }).open();
+    }
+
+    /**
+     * Enable or disable a policy
+     */
+    async togglePolicy(policyId, enabled) {
+        try {
+            await this.savePolicies(this.policies.map(policy =>
+                policy.id === policyId ? { ...policy, enabled } : policy
+            ));
+        } catch (error) {
+            console.error('Error saving policy:', error);
+            this.showFeedback(`Failed to save: ${error.message}`, 'error');
+        }
+        this.render();
+    }
+
+    /**
+     * Delete a policy after confirmation. Anchors it created keep their policy id.
+     */
+    deletePolicy(policyId) {
+        const policy = this.policies.find(p => p.id === policyId);
+        if (!policy) return;
+
+        new Modal({
+            title: 'Delete Policy',
+            body: `
+                <div class="modal-quote">${this.escapeHtml(describePolicy(policy, c => this.categoryTitle(c)))}</div>
+                <p>Anchors this policy already created are kept and still record its id.</p>
+            `,
+            submitLabel: 'Delete',
+            danger: true,
+            onSubmit: async () => {
+                await this.savePolicies(this.policies.filter(p => p.id !== policyId));
+                this.showFeedback('🤖 Policy deleted', 'info');
+                this.render();
+            }
+        }).open();
+    }
+
+    /**
+     * Confirm insights suggested by 'suggest' policies in one step
+     */
+    showPolicySuggestions() {
+        const suggestions = this.policySuggestions;
+        if (suggestions.length === 0) return;
+
+        new Modal({
+            title: `🤖 ${suggestions.length} Suggested Approval${suggestions.length === 1 ? '' : 's'}`,
+            wide: true,
+            body: `
+                <p class="form-hint">Untick any you'd rather review by hand.</p>
+                <div class="suggestion-list">
+                    ${suggestions.map(({ insight, policy }) => `
+                        <label class="suggestion-item">
+                            <input type="checkbox" name="insight" value="${this.escapeHtml(this.getInsightId(insight))}" checked>
+                            <span>
+                                ${this.escapeHtml(this.getInsightText(insight))}
+                                <span class="form-hint">
+                                    ${this.formatCategory(insight.category || 'uncategorized')} ·
+                                    ${Math.round((insight.strength || insight.confidence || 0) * 100)}% ·
+                                    ${this.escapeHtml(describePolicy(policy, c => this.categoryTitle(c)))}
+                                </span>
+                            </span>
+                        </label>
+                    `).join('')}
+                </div>
+            `,
+            submitLabel: 'Approve Selected',
+            onSubmit: async (values, form) => {
+                const selected = new Set([...form.querySelectorAll('input[name="insight"]:checked')].map(input => input.value));
+                if (selected.size === 0) {
+                    throw new Error('Select at least one insight');
+                }
+
+                const anchors = suggestions
+                    .filter(({ insight }) => selected.has(this.getInsightId(insight)))
+                    .map(({ insight, policy }) => this.buildAnchorFromInsight(
+                        insight,
+                        this.getInsightId(insight),
+                        this.getInsightText(insight),
+                        { type: 'auto_policy', policy_id: policy.id, confirmed: true }
+                    ));
+
+                await this.saveAnchorChanges(() => {
+                    this.anchors.push(...anchors);
+                }, {
+                    action: 'policy.approve',
+                    insightIds: [...selected],
+                    details: { confirmed: true }
+                });
+                selected.forEach(id => this.reviewStore.removeSkipped(id));
+
+                this.calculatePendingInsights();
+                this.render();
+                this.showFeedback(`✓ Approved ${anchors.length} suggested insight${anchors.length === 1 ? '' : 's'}`, 'success');
+            }
+        }).open();
+    }
+
+    /**
+     * Load the audit log and show the viewer
+     */
+    async openAuditLog() {
+        await this.auditLog.load();
+        this.currentView = 'audit';
+        this.render();
+    }
+
+    /**
+     * Audit entries matching the viewer filters, newest first
+     */
+    getFilteredAuditEntries() {
+        const { action, from, to, anchorId } = this.auditFilters;
+        const needle = anchorId.trim().toLowerCase();
+        // Date inputs are local days; compare against the entry's local date
+        const day = (iso) => {
+            const date = new Date(iso);
+            return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+        };
+
+        return (this.auditLog.entries || [])
+            .filter(entry => action === 'all' || entry.action === action)
+            .filter(entry => !from || day(entry.at) >= from)
+            .filter(entry => !to || day(entry.at) <= to)
+            .filter(entry => !needle || (entry.anchor_ids || []).some(id => id.toLowerCase().includes(needle)))
+            .reverse();
+    }
+
+    /**
+     * Render the audit log viewer
+     */
+    renderAuditView() {
+        const entries = this.auditLog.entries || [];
+        const { action, from, to, anchorId } = this.auditFilters;
+        const actions = [...new Set(entries.map(entry => entry.action))].sort();
+
+        return `
+            <div class="anchors-list-section triage-section">
+                <div class="section-header">
+                    <div>
+                        <button class="btn-link" data-action="exit-audit">← Back to Overview</button>
+                        <h3>📜 Audit Log (${entries.length})</h3>
+                    </div>
+                    <div class="section-actions">
+                        <button class="btn btn-secondary" data-action="view-audit">↻ Reload</button>
+                        <button class="btn btn-secondary danger" data-action="rebuild-anchors" ${this.readOnly || entries.length === 0 ? 'disabled' : ''}>
+                            Rebuild anchors.json
+                        </button>
+                    </div>
+                </div>
+
+                <div class="triage-filters">
+                    <label class="form-field">
+                        <span class="form-label">Action</span>
+                        <select data-audit-filter="action">
+                            <option value="all">All actions</option>
+                            ${actions.map(a => `
+                                <option value="${this.escapeHtml(a)}" ${a === action ? 'selected' : ''}>${AUDIT_ACTIONS[a] || this.escapeHtml(a)}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                    <label class="form-field">
+                        <span class="form-label">From</span>
+                        <input type="date" value="${this.escapeHtml(from)}" data-audit-filter="from">
+                    </label>
+                    <label class="form-field">
+                        <span class="form-label">To</span>
+                        <input type="date" value="${this.escapeHtml(to)}" data-audit-filter="to">
+                    </label>
+                    <label class="form-field">
+                        <span class="form-label">Anchor id</span>
+                        <input type="search" value="${this.escapeHtml(anchorId)}" placeholder="anchor_..." data-audit-filter="anchorId">
+                    </label>
+                    <button class="btn-link" data-action="reset-audit-filters">Reset filters</button>
+                </div>
+
+                ${this.readOnly ? `
+                    <p class="form-hint">Read-only mode: new changes aren't logged until the hub is served by server.js.</p>
+                ` : ''}
+
+                <div data-role="audit-list">
+                    ${this.renderAuditList()}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the filtered audit entries (re-rendered alone while typing an anchor id)
+     */
+    renderAuditList() {
+        const entries = this.getFilteredAuditEntries();
+        const limit = 200;
+
+        if (entries.length === 0) {
+            return `
+                <div class="empty-state">
+                    <p>${(this.auditLog.entries || []).length === 0 ? 'The audit log is empty.' : 'No entries match these filters.'}</p>
+                </div>
+            `;
+        }
+
+        const known = new Set([...this.anchors, ...this.archived].map(anchor => anchor.id));
+
+        return `
+            <table class="triage-table audit-table">
+                <thead>
+                    <tr>
+                        <th>When</th>
+                        <th>Who</th>
+                        <th>Action</th>
+                        <th>Details</th>
+                        <th>Anchors</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${entries.slice(0, limit).map(entry => `
+                        <tr>
+                            <td class="audit-time">${this.formatDateTime(entry.at)}</td>
+                            <td>${this.escapeHtml(entry.actor || '')}</td>
+                            <td>${AUDIT_ACTIONS[entry.action] || this.escapeHtml(entry.action)}</td>
+                            <td>${this.escapeHtml(this.describeAuditEntry(entry))}</td>
+                            <td class="audit-anchors">
+                                ${(entry.anchor_ids || []).slice(0, 3).map(id => known.has(id)
+                                    ? `<button class="btn-link" data-action="view-anchor" data-id="${this.escapeHtml(id)}">${this.escapeHtml(id)}</button>`
+                                    : `<span>${this.escapeHtml(id)}</span>`
+                                ).join(' ')}
+                                ${(entry.anchor_ids || []).length > 3 ? `+ ${entry.anchor_ids.length - 3} more` : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${entries.length > limit ? `<p class="form-hint">Showing the newest ${limit} of ${entries.length} entries. Narrow the filters to see older ones.</p>` : ''}
+        `;
+    }
+
+    /**
+     * One-line summary of an audit entry's details
+     */
+    describeAuditEntry(entry) {
+        const parts = [];
+        const details = entry.details || {};
+        const changes = entry.changes || [];
+
+        const states = changes.reduce((acc, change) => {
+            acc[change.state] = (acc[change.state] || 0) + 1;
+            return acc;
+        }, {});
+        if (states.active) parts.push(`${states.active} active`);
+        if (states.archived) parts.push(`${states.archived} archived`);
+        if (states.deleted) parts.push(`${states.deleted} removed`);
+
+        if (entry.insight_ids?.length) {
+            parts.push(entry.insight_ids.length === 1 ? `insight ${entry.insight_ids[0]}` : `${entry.insight_ids.length} insights`);
+        }
+        if (details.decision) parts.push(`${details.decision} decision`);
+        if (details.reason) parts.push(`reason: ${REJECTION_REASONS[details.reason] || details.reason}`);
+        if (details.changed?.length) parts.push(`changed ${details.changed.join(', ')}`);
+        if (details.resolution) parts.push(`resolution: ${details.resolution}`);
+        if (details.policy_ids?.length) parts.push(`policy ${details.policy_ids.join(', ')}`);
+        if (details.target) parts.push(`${details.target} (${details.mode}${details.project ? `, ${details.project}` : ''})`);
+        if (details.bulk) parts.push('bulk');
+
+        return parts.join(' · ');
+    }
+
+    /**
+     * Replay the audit log and, after confirmation, overwrite anchors.json with the result
+     */
+    confirmRebuildFromAuditLog() {
+        const entries = this.auditLog.entries || [];
+        const replayed = replayAuditLog(entries);
+
+        const current = new Map([...this.anchors, ...this.archived].map(anchor => [anchor.id, anchor]));
+        const rebuilt = new Map([...replayed.anchors, ...replayed.archived].map(anchor => [anchor.id, anchor]));
+        const added = [...rebuilt.keys()].filter(id => !current.has(id)).length;
+        const removed = [...current.keys()].filter(id => !rebuilt.has(id)).length;
+        const changed = [...rebuilt].filter(([id, anchor]) =>
+            current.has(id) && JSON.stringify(current.get(id)) !== JSON.stringify(anchor)
+        ).length;
+        const hasBaseline = entries[0]?.action === 'audit.baseline';
+
+        new Modal({
+            title: 'Rebuild anchors.json from the audit log',
+            body: `
+                <p>Replaying ${entries.length} entries gives ${replayed.anchors.length} active and ${replayed.archived.length} archived anchors.</p>
+                <ul class="bulk-summary">
+                    <li>${added} anchor${added === 1 ? '' : 's'} would be added</li>
+                    <li>${removed} anchor${removed === 1 ? '' : 's'} would be removed</li>
+                    <li>${changed} anchor${changed === 1 ? '' : 's'} would change</li>
+                </ul>
+                ${hasBaseline ? '' : `
+                    <div class="similarity-warning">
+                        <h4>⚠️ The log has no baseline entry</h4>
+                        <div class="similarity-note">Anchors created before logging started won't be in the rebuilt file.</div>
+                    </div>
+                `}
+                <p class="form-hint">The current anchors.json is kept as anchors.json.bak.</p>
+            `,
+            submitLabel: 'Rebuild',
+            danger: true,
+            onSubmit: async () => {
+                await this.saveAnchorChanges(() => {
+                    this.anchors = replayed.anchors;
+                    this.archived = replayed.archived;
+                }, { action: 'audit.rebuild', details: { entries: entries.length } });
+
+                this.calculatePendingInsights();
+                this.showFeedback('✓ anchors.json rebuilt from the audit log', 'success');
+                this.render();
+            }
+        }).open();
+    }
+
+    /**
+     * Get the source (platform) of an insight from its first piece of evidence
+     */
+    getInsightSource(insight) {
+        const first = Array.isArray(insight.evidence) ? insight.evidence[0] : null;
+        if (typeof first === 'string') return first.split('/')[0];
+        return first?.source || first?.platform || insight.source || '';
+    }
+
+    /**
+     * Pending insights matching the triage filters, strongest first
+     */
+    getTriageRows() {
+        const { category, source, minStrength, maxStrength } = this.triageFilters;
+
+        return this.pendingInsights
+            .filter(insight => {
+                const strength = Math.round((insight.strength || insight.confidence || 0) * 100);
+                return (category === 'all' || (insight.category || 'uncategorized') === category) &&
+                    (source === 'all' || this.getInsightSource(insight) === source) &&
+                    strength >= minStrength && strength <= maxStrength;
+            })
+            .sort((a, b) => (b.strength || b.confidence || 0) - (a.strength || a.confidence || 0));
+    }
+
+    /**
+     * Update a triage filter, dropping selected rows that are no longer shown
+     */
+    setTriageFilter(name, value) {
+        if (name === 'minStrength' || name === 'maxStrength') {
+            const number = Math.min(100, Math.max(0, Number(value)));
+            this.triageFilters[name] = Number.isFinite(number) ? number : (name === 'minStrength' ? 0 : 100);
+        } else {
+            this.triageFilters[name] = value;
+        }
+
+        const visibleIds = new Set(this.getTriageRows().map(i => this.getInsightId(i)));
+        this.triageSelection = new Set([...this.triageSelection].filter(id => visibleIds.has(id)));
+
+        this.render();
+    }
+
+    /**
+     * Select or deselect a row ('all' toggles every visible row)
+     */
+    toggleTriageSelection(id, selected) {
+        const ids = id === 'all'
+            ? this.getTriageRows().map(i => this.getInsightId(i))
+            : [id];
+
+        ids.forEach(insightId => {
+            if (selected) {
+                this.triageSelection.add(insightId);
+            } else {
+                this.triageSelection.delete(insightId);
+            }
+        });
+
+        this.render();
+    }
+
+    /**
+     * Render the bulk triage table
+     */
+    renderTriageView() {
+        const rows = this.getTriageRows();
+        const skippedIds = this.reviewStore.getSkippedIds();
+        const categories = [...new Set(this.pendingInsights.map(i => i.category || 'uncategorized'))].sort();
+        const sources = [...new Set(this.pendingInsights.map(i => this.getInsightSource(i)).filter(Boolean))].sort();
+        const { category, source, minStrength, maxStrength } = this.triageFilters;
+        const selectedCount = this.triageSelection.size;
+        const allSelected = rows.length > 0 && selectedCount === rows.length;
+
+        return `
+            <div class="anchors-list-section triage-section">
+                <div class="section-header">
+                    <div>
+                        <button class="btn-link" data-action="exit-triage">← Back to Overview</button>
+                        <h3>☰ Bulk Triage (${rows.length} of ${this.pendingInsights.length} pending)</h3>
+                    </div>
+                </div>
+
+                <div class="triage-filters">
+                    <label class="form-field">
+                        <span class="form-label">Category</span>
+                        <select data-triage-filter="category">
+                            <option value="all">All categories</option>
+                            ${categories.map(c => `
+                                <option value="${this.escapeHtml(c)}" ${c === category ? 'selected' : ''}>${this.formatCategory(c)}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                    <label class="form-field">
+                        <span class="form-label">Source</span>
+                        <select data-triage-filter="source">
+                            <option value="all">All sources</option>
+                            ${sources.map(src => `
+                                <option value="${this.escapeHtml(src)}" ${src === source ? 'selected' : ''}>${this.escapeHtml(src)}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                    <label class="form-field">
+                        <span class="form-label">Strength %</span>
+                        <span class="triage-range">
+                            <input type="number" min="0" max="100" value="${minStrength}" data-triage-filter="minStrength">
+                            –
+                            <input type="number" min="0" max="100" value="${maxStrength}" data-triage-filter="maxStrength">
+                        </span>
+                    </label>
+                    <button class="btn-link" data-action="reset-triage-filters">Reset filters</button>
+                    <button class="btn-link" data-action="similarity-settings">Similarity settings</button>
+                </div>
+
+                <div class="triage-toolbar">
+                    <span class="triage-count">${selectedCount} selected</span>
+                    <button class="btn btn-primary" data-action="bulk-action" data-bulk="approve" ${selectedCount === 0 ? 'disabled' : ''}>
+                        ✓ Approve
+                    </button>
+                    <button class="btn btn-secondary" data-action="bulk-merge" ${selectedCount < 2 ? 'disabled' : ''}>
+                        ⧉ Merge
+                    </button>
+                    <button class="btn btn-secondary" data-action="bulk-action" data-bulk="skip" ${selectedCount === 0 ? 'disabled' : ''}>
+                        ↷ Skip
+                    </button>
+                    <button class="btn btn-secondary danger" data-action="bulk-action" data-bulk="reject" ${selectedCount === 0 ? 'disabled' : ''}>
+                        ✗ Reject
+                    </button>
+                </div>
+
+                ${rows.length === 0 ? `
+                    <div class="empty-state">
+                        <p>No pending insights match these filters.</p>
+                    </div>
+                ` : `
+                    <table class="triage-table">
+                        <thead>
+                            <tr>
+                                <th><input type="checkbox" data-triage-select="all" ${allSelected ? 'checked' : ''} title="Select all shown"></th>
+                                <th>Insight</th>
+                                <th>Category</th>
+                                <th>Strength</th>
+                                <th>Source</th>
+                                <th>Similar Anchors</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(insight => this.renderTriageRow(insight, skippedIds)).join('')}
+                        </tbody>
+                    </table>
+                `}
+
+                ${this.readOnly ? `
+                    <div class="review-notice">
+                        <strong>Read-Only Mode:</strong> Bulk actions are simulated. No files will be modified.
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Render one triage table row
+     */
+    renderTriageRow(insight, skippedIds) {
+        const insightId = this.getInsightId(insight);
+        const text = this.getInsightText(insight) || 'No content';
+        const strength = insight.strength || insight.confidence || 0;
+        const similar = this.findSimilarAnchors(text);
+        const selected = this.triageSelection.has(insightId);
+
+        return `
+            <tr class="${selected ? 'selected' : ''}">
+                <td><input type="checkbox" data-triage-select="${this.escapeHtml(insightId)}" ${selected ? 'checked' : ''}></td>
+                <td class="triage-statement">
+                    ${this.escapeHtml(text)}
+                    ${skippedIds.has(insightId) ? '<span class="triage-badge">skipped</span>' : ''}
+                </td>
+                <td>${this.formatCategory(insight.category || 'uncategorized')}</td>
+                <td>${(strength * 100).toFixed(0)}%</td>
+                <td>${this.escapeHtml(this.getInsightSource(insight))}</td>
+                <td class="triage-similar">
+                    ${similar.length > 0 ? `
+                        <span class="triage-warning">
+                            ⚠️ ${(similar[0].similarity * 100).toFixed(0)}% match
+                        </span>
+                        <div class="triage-similar-text">"${this.escapeHtml(similar[0].statement)}"</div>
+                        ${similar.length > 1 ? `<div class="triage-similar-more">+ ${similar.length - 1} more</div>` : ''}
+                    ` : '—'}
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Show a confirmation summary before applying a bulk action
+     */
+    confirmBulkAction(action) {
+        const insights = this.getTriageRows().filter(i => this.triageSelection.has(this.getInsightId(i)));
+        if (insights.length === 0) return;
+
+        const labels = {
+            approve: { verb: 'Approve', result: 'become active anchors' },
+            reject: { verb: 'Reject', result: 'are rejected permanently' },
+            skip: { verb: 'Skip', result: 'move to the skipped queue' }
+        };
+        const { verb, result } = labels[action];
+
+        const byCategory = insights.reduce((acc, insight) => {
+            const category = insight.category || 'uncategorized';
+            acc[category] = (acc[category] || 0) + 1;
+            return acc;
+        }, {});
+        const flagged = insights.filter(insight => this.findSimilarAnchors(this.getInsightText(insight)).length > 0);
+
+        new Modal({
+            title: `${verb} ${insights.length} insight${insights.length === 1 ? '' : 's'}?`,
+            body: `
+                <p>${insights.length} selected insight${insights.length === 1 ? '' : 's'} will ${result}.</p>
+                <ul class="bulk-summary">
+                    ${Object.entries(byCategory).sort(([a], [b]) => a.localeCompare(b)).map(([category, count]) => `
+                        <li>${this.formatCategory(category)}: ${count}</li>
+                    `).join('')}
+                </ul>
+                ${action === 'approve' && flagged.length > 0 ? `
+                    <div class="similarity-warning">
+                        <h4>⚠️ ${flagged.length} may duplicate existing anchors</h4>
+                        <div class="similarity-note">
+                            ${flagged.slice(0, 5).map(i => `"${this.escapeHtml(this.getInsightText(i))}"`).join('<br>')}
+                            ${flagged.length > 5 ? `<br>+ ${flagged.length - 5} more` : ''}
+                        </div>
+                    </div>
+                ` : ''}
+                ${action === 'reject' ? this.renderRejectionReasonFields() : ''}
+                ${this.readOnly ? '<p class="form-hint">Read-only mode: this will be simulated and nothing will be saved.</p>' : ''}
+            `,
+            submitLabel: verb,
+            danger: action === 'reject',
+            onSubmit: (values) => this.applyBulkAction(
+                action,
+                insights,
+                action === 'reject' ? this.readRejectionReason(values) : undefined
+            )
+        }).open();
+    }
+
+    /**
+     * Apply a bulk action in a single write
+     * @param {Object} [details] - Rejection { reason, notes } when rejecting
+     */
+    async applyBulkAction(action, insights, details) {
+        const count = insights.length;
+
+        const insightIds = insights.map(insight => this.getInsightId(insight));
+
+        if (action === 'skip') {
+            insightIds.forEach(id => this.reviewStore.addSkipped(id));
+            this.auditLog.record('review.skip', { insightIds, details: { bulk: true } });
+        } else if (this.readOnly) {
+            this.showFeedback(`Would ${action} ${count} insights (read-only mode)`, 'info');
+            return;
+        } else if (action === 'approve') {
+            const anchors = insights.map(insight =>
+                this.buildAnchorFromInsight(insight, this.getInsightId(insight), this.getInsightText(insight))
+            );
+            await this.saveAnchorChanges(() => {
+                this.anchors.push(...anchors);
+            }, { action: 'review.approve', insightIds, details: { bulk: true } });
+        } else if (action === 'reject') {
+            const entries = insights.map(insight => this.buildRejection(insight, this.getInsightId(insight), details));
+            await this.saveRejectedChanges(() => {
+                this.rejected.push(...entries);
+            }, { action: 'review.reject', insightIds, details: { bulk: true, ...details } });
+        }
+
+        if (action !== 'skip') {
+            insights.forEach(insight => this.reviewStore.removeSkipped(this.getInsightId(insight)));
+        }
+
+        const messages = {
+            approve: `✓ Created ${count} anchors`,
+            reject: `✗ Rejected ${count} insights`,
+            skip: `↷ Skipped ${count} insights`
+        };
+
+        this.triageSelection.clear();
+        this.calculatePendingInsights();
+        this.render();
+        this.showFeedback(messages[action], action === 'reject' ? 'warning' : 'success');
+    }
+
+    /**
+     * Attach a single delegated click handler for overview and review actions.
+     * Bound once in init() - the container's innerHTML is replaced on every render.
+     */
+    attachEventListeners() {
+        this.container.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-action]');
+            if (!target || target.disabled) return;
+
+            const action = target.dataset.action;
+            const id = target.dataset.id;
+
+            switch (action) {
+                // Overview actions
+                case 'start-review':
+                    this.startReview('new');
+                    break;
+                case 'review-skipped':
+                    this.startReview('skipped');
+                    break;
+                case 'resume-review':
+                    this.resumeReview();
+                    break;
+                case 'add-anchor':
+                    if (!this.readOnly) this.showAddAnchorModal();
+                    break;
+                case 'view-anchor':
+                    this.viewAnchor(id);
+                    break;
+                case 'edit-anchor':
+                    if (!this.readOnly) this.editAnchor(id);
+                    break;
+                case 'archive-anchor':
+                    if (!this.readOnly) this.archiveAnchor(id);
+                    break;
+                case 'restore-anchor':
+                    if (!this.readOnly) this.restoreAnchor(id);
+                    break;
+                case 'view-archived':
+                    this.currentView = 'archived';
+                    this.render();
+                    break;
+                case 'view-rejected':
+                    this.currentView = 'rejected';
+                    this.render();
+                    break;
+                case 'exit-rejected':
+                    this.currentView = 'overview';
+                    this.render();
+                    break;
+                case 'unreject-insight':
+                    if (!this.readOnly) this.unrejectInsight(id);
+                    break;
+                case 'export-rejections':
+                    this.exportRejections(target.dataset.mode);
+                    break;
+
+                // Suppression rule actions
+                case 'view-suppression':
+                    this.currentView = 'suppression';
+                    this.render();
+                    break;
+                case 'exit-suppression':
+                    this.currentView = 'overview';
+                    this.render();
+                    break;
+                case 'add-suppression-rule':
+                    if (!this.readOnly) this.showSuppressionRuleModal();
+                    break;
+                case 'suppress-similar':
+                    if (!this.readOnly) this.showSuppressionRuleModal(null, { type: 'similar', rejected_id: id });
+                    break;
+                case 'edit-suppression-rule':
+                    if (!this.readOnly) this.showSuppressionRuleModal(id);
+                    break;
+                case 'delete-suppression-rule':
+                    if (!this.readOnly) this.deleteSuppressionRule(id);
+                    break;
+
+                // Auto-approve policy actions
+                case 'view-policies':
+                    this.currentView = 'policies';
+                    this.render();
+                    break;
+                case 'exit-policies':
+                    this.currentView = 'overview';
+                    this.render();
+                    break;
+                case 'add-policy':
+                    if (!this.readOnly) this.showPolicyModal();
+                    break;
+                case 'edit-policy':
+                    if (!this.readOnly) this.showPolicyModal(id);
+                    break;
+                case 'delete-policy':
+                    if (!this.readOnly) this.deletePolicy(id);
+                    break;
+                case 'confirm-policy-approvals':
+                    if (!this.readOnly) this.confirmPolicyApprovals();
+                    break;
+                case 'review-suggestions':
+                    if (!this.readOnly) this.showPolicySuggestions();
+                    break;
+
+                // Audit log actions
+                case 'view-audit':
+                    this.openAuditLog();
+                    break;
+                case 'exit-audit':
+                    this.currentView = 'overview';
+                    this.render();
+                    break;
+                case 'reset-audit-filters':
+                    this.auditFilters = { action: 'all', from: '', to: '', anchorId: '' };
+                    this.render();
+                    break;
+                case 'rebuild-anchors':
+                    if (!this.readOnly) this.confirmRebuildFromAuditLog();
+                    break;
+                case 'exit-archived':
+                    this.currentView = 'overview';
+                    this.render();
+                    break;
+                case 'exit-detail':
+                    this.currentView = this.detailReturnView;
+                    this.render();
+                    this.updateRoute();
+                    break;
+                case 'revert-anchor':
+                    if (!this.readOnly) this.revertAnchor(id, Number(target.dataset.version));
+                    break;
+                case 'generate-claude-md':
+                    this.showClaudeMdGenerator();
+                    break;
+                case 'export-context':
+                    this.showExportDialog();
+                    break;
+                case 'similarity-settings':
+                    this.showSimilaritySettings();
+                    break;
+                case 'resolve-conflict':
+                    this.showConflictDialog(id);
+                    break;
+
+                // Re-validation actions
+                case 'start-revalidation':
+                    this.startRevalidation();
+                    break;
+                case 'confirm-anchor':
+                    if (!this.readOnly) this.confirmAnchor(id);
+                    break;
+                case 'reject-anchor':
+                    if (!this.readOnly) this.rejectAnchor(id);
+                    break;
+                case 'skip-revalidation':
+                    this.nextRevalidation();
+                    break;
+                case 'exit-revalidation':
+                    this.currentView = 'overview';
+                    this.render();
+                    break;
+
+                // Bulk triage actions
+                case 'open-triage':
+                    this.currentView = 'triage';
+                    this.triageSelection.clear();
+                    this.render();
+                    break;
+                case 'exit-triage':
+                    this.currentView = 'overview';
+                    this.render();
+                    break;
+                case 'bulk-action':
+                    this.confirmBulkAction(target.dataset.bulk);
+                    break;
+                case 'bulk-merge':
+                    this.bulkMerge();
+                    break;
+                case 'reset-triage-filters':
+                    this.triageFilters = { category: 'all', source: 'all', minStrength: 0, maxStrength: 100 };
+                    this.triageSelection.clear();
+                    this.render();
+                    break;
+
+                // Review actions
+                case 'exit-review':
+                    this.exitReview();
+                    break;
+                case 'approve-insight':
+                    this.approveInsight(id);
+                    break;
+                case 'edit-and-approve':
+                    this.editAndApprove(id);
+                    break;
+                case 'skip-insight':
+                    this.skipInsight(id);
+                    break;
+                case 'reject-insight':
+                    this.rejectInsight(id);
+                    break;
+                case 'merge-insight':
+                    this.mergeInsight(id);
+                    break;
+                case 'prev-insight':
+                    this.navigateReview(-1);
+                    break;
+                case 'next-insight':
+                    this.navigateReview(1);
+                    break;
+            }
+        });
+
+        // Triage filters and row checkboxes
+        this.container.addEventListener('change', (e) => {
+            const target = e.target;
+
+            if (target.matches('[data-scope-filter]')) {
+                this.scopeFilter = target.value;
+                this.render();
+            } else if (target.dataset.triageFilter) {
+                this.setTriageFilter(target.dataset.triageFilter, target.value);
+            } else if (target.dataset.triageSelect) {
+                this.toggleTriageSelection(target.dataset.triageSelect, target.checked);
+            } else if (target.dataset.rejectedFilter === 'reason') {
+                this.rejectedFilters.reason = target.value;
+                this.render();
+            } else if (target.dataset.suppressionToggle) {
+                this.toggleSuppressionRule(target.dataset.suppressionToggle, target.checked);
+            } else if (target.dataset.policyToggle) {
+                this.togglePolicy(target.dataset.policyToggle, target.checked);
+            } else if (target.dataset.auditFilter && target.dataset.auditFilter !== 'anchorId') {
+                this.auditFilters[target.dataset.auditFilter] = target.value;
+                this.render();
+            }
+        });
+
+        // Text filters re-render only their list so the input keeps focus
+        this.container.addEventListener('input', (e) => {
+            if (e.target.dataset.rejectedFilter === 'query') {
+                this.rejectedFilters.query = e.target.value;
+                const list = this.container.querySelector('[data-role="rejected-list"]');
+                if (list) list.innerHTML = this.renderRejectedList();
+            } else if (e.target.dataset.auditFilter === 'anchorId') {
+                this.auditFilters.anchorId = e.target.value;
+                const list = this.container.querySelector('[data-role="audit-list"]');
+                if (list) list.innerHTML = this.renderAuditList();
+            }
+        });
+    }
+
+    /**
+     * Get pending insights for a review queue.
+     * 'new' = never skipped, 'skipped' = skipped in an earlier session
+     */
+    getReviewQueue(queue) {
+        const skippedIds = this.reviewStore.getSkippedIds();
+        return this.pendingInsights.filter(insight =>
+            skippedIds.has(this.getInsightId(insight)) === (queue === 'skipped')
+        );
+    }
+
+    /**
+     * Get the saved session if it still has undecided, pending insights
+     */
+    getResumableSession() {
+        const session = this.reviewStore.getSession();
+        if (!session) return null;
+
+        const pendingIds = new Set(this.pendingInsights.map(i => this.getInsightId(i)));
+        const decidedIds = new Set(session.decisions.flatMap(d => this.getDecisionInsightIds(d)));
+        const remaining = session.insight_ids
+            .filter(id => pendingIds.has(id) && !decidedIds.has(id))
+            .length;
+
+        return remaining > 0
+            ? { session, remaining, total: session.insight_ids.length }
+            : null;
+    }
+
+    /**
+     * Start insight review workflow
+     * @param {string} queue - 'new' or 'skipped'
+     */
+    startReview(queue = 'new') {
+        console.log(`Starting insight review (${queue})...`);
+
+        const items = this.getReviewQueue(queue);
+        if (items.length === 0) {
+            alert(queue === 'skipped' ? 'No skipped insights to review!' : 'No insights to review!');
+            return;
+        }
+
+        if (this.getResumableSession() && !confirm('Discard your unfinished review session and start a new one?')) {
+            return;
+        }
+
+        // Sort pending insights by strength (highest first)
+        items.sort((a, b) => {
+            const strengthA = a.strength || a.confidence || 0;
+            const strengthB = b.strength || b.confidence || 0;
+            return strengthB - strengthA;
+        });
+
+        this.beginSession({
+            id: `review_${Date.now().toString(36)}`,
+            queue,
+            started_at: new Date().toISOString(),
+            insight_ids: items.map(insight => this.getInsightId(insight)),
+            index: 0,
+            decisions: []
+        });
+    }
+
+    /**
+     * Resume the saved review session
+     */
+    resumeReview() {
+        const resumable = this.getResumableSession();
+        if (!resumable) {
+            this.reviewStore.clearSession();
+            this.render();
+            return;
+        }
+
+        console.log('Resuming review session:', resumable.session.id);
+        this.beginSession(resumable.session);
+    }
+
+    /**
+     * Enter review mode for a (new or restored) session
+     */
+    beginSession(session) {
+        const byId = new Map(this.insights.map(insight => [this.getInsightId(insight), insight]));
+        const insightIds = session.insight_ids.filter(id => byId.has(id));
+
+        this.reviewSession = { ...session, insight_ids: insightIds };
+        this.reviewItems = insightIds.map(id => byId.get(id));
+        this.reviewDecisions = [...session.decisions];
+        this.reviewedInsights = new Set(
+            this.reviewDecisions.filter(d => d.action !== 'skip').flatMap(d => this.getDecisionInsightIds(d))
+        );
+        this.reviewIndex = Math.max(0, Math.min(session.index, this.reviewItems.length - 1));
+        this.undoStack = [];
+        this.redoStack = [];
+
+        this.currentView = 'review';
+        this.saveReviewSession();
+        this.renderReviewInterface();
+        this.setupKeyboardShortcuts();
+    }
+
+    /**
+     * Persist the active session so a reload can resume it
+     */
+    saveReviewSession() {
+        if (!this.reviewSession) return;
+
+        this.reviewStore.saveSession({
+            ...this.reviewSession,
+            index: this.reviewIndex,
+            decisions: this.reviewDecisions
+        });
+    }
+
+    /**
+     * Render the review interface
+     */
+    renderReviewInterface() {
+        const insight = this.reviewItems[this.reviewIndex];
+        if (!insight) {
+            this.finishReview();
+            return;
+        }
+
+        const insightId = this.getInsightId(insight);
+        const priorDecision = this.reviewedInsights.has(insightId)
+            ? [...this.reviewDecisions].reverse().find(d => this.getDecisionInsightIds(d).includes(insightId))
+            : null;
+        const decisionLabels = { reject: '✗ Rejected', merge: '⧉ Merged' };
+        const insightText = insight.insight || insight.content || insight.statement || 'No content';
+        const category = insight.category || 'uncategorized';
+        const strength = insight.strength || insight.confidence || 0;
+        const firstSeen = insight.first_observed || insight.created || 'Unknown';
+        const lastSeen = insight.last_observed || insight.updated || 'Unknown';
+
+        // Get evidence (conversation sources)
+        const evidence = this.getInsightEvidence(insight);
+
+        // Check for similar anchors and near-duplicate insights
+        const similarAnchors = this.findSimilarAnchors(insightText);
+        const similarInsights = this.findSimilarInsights(insightText, insightId);
+
+        const progress = this.reviewIndex + 1;
+        const total = this.reviewItems.length;
+        const progressPercent = (progress / total) * 100;
+
+        this.container.innerHTML = `
+            <div class="review-container">
+                <!-- Header with Progress -->
+                <div class="review-header">
+                    <button class="btn-link" data-action="exit-review">
+                        ← Back to Overview
+                    </button>
+                    <div class="review-progress">
+                        <span class="progress-text">${progress} of ${total}</span>
+                        <div class="progress-bar">
+                            <div class="progress-fill" style="width: ${progressPercent}%"></div>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Insight Card -->
+                <div class="insight-review-card">
+                    <div class="insight-header">
+                        <span class="insight-category-badge">${this.formatCategory(category)}</span>
+                        <span class="insight-id">${this.escapeHtml(insightId)}</span>
+                    </div>
+
+                    <div class="insight-statement">
+                        "${this.escapeHtml(insightText)}"
+                    </div>
+
+                    <div class="insight-meta">
+                        <div class="meta-item">
+                            <span class="meta-label">Confidence:</span>
+                            <div class="confidence-bar">
+                                <div class="confidence-fill" style="width: ${strength * 100}%"></div>
+                            </div>
+                            <span class="meta-value">${(strength * 100).toFixed(0)}%</span>
+                        </div>
+                        <div class="meta-item">
+                            <span class="meta-label">First Seen:</span>
+                            <span class="meta-value">${this.formatDate(firstSeen)}</span>
+                        </div>
+                        <div class="meta-item">
+                            <span class="meta-label">Last Seen:</span>
+                            <span class="meta-value">${this.formatDate(lastSeen)}</span>
+                        </div>
+                    </div>
+
+                    <!-- Evidence Section -->
+                    <div class="evidence-section">
+                        <h4>📊 Evidence (${evidence.length} conversations)</h4>
+                        ${evidence.length > 0 ? `
+                            <div class="evidence-list">
+                                ${evidence.slice(0, 5).map(e => `
+                                    <div class="evidence-item">
+                                        <div class="evidence-date">${this.formatDate(e.date)}</div>
+                                        <div class="evidence-text">"${this.escapeHtml(e.text)}"</div>
+                                    </div>
+                                `).join('')}
+                                ${evidence.length > 5 ? `
+                                    <div class="evidence-more">
+                                        + ${evidence.length - 5} more conversations
+                                    </div>
+                                ` : ''}
+                            </div>
+                        ` : `
+                            <div class="no-evidence">No specific evidence available</div>
+                        `}
+                    </div>
+
+                    <!-- Similar Anchors Warning -->
+                    ${similarAnchors.length > 0 ? `
+                        <div class="similarity-warning">
+                            <h4>⚠️ Similar Anchors Detected</h4>
+                            <div class="similar-anchors-list">
+                                ${similarAnchors.map(anchor => `
+                                    <div class="similar-anchor">
+                                        <div class="similarity-score">${(anchor.similarity * 100).toFixed(0)}% match</div>
+                                        <div class="similar-text">"${this.escapeHtml(anchor.statement)}"</div>
+                                        <div class="similar-meta">Created ${this.formatDate(anchor.created)}</div>
+                                    </div>
+                                `).join('')}
+                            </div>
+                            <div class="similarity-note">
+                                This insight may be redundant. Consider if it adds new information.
+                            </div>
+                        </div>
+                    ` : ''}
+
+                    ${similarInsights.length > 0 ? `
+                        <div class="similarity-warning">
+                            <div class="similarity-warning-header">
+                                <h4>🔁 Similar Insights</h4>
+                                ${!priorDecision && similarInsights.some(doc => doc.kind === 'insight') ? `
+                                    <button class="btn btn-secondary" data-action="merge-insight" data-id="${this.escapeHtml(insightId)}">
+                                        ⧉ Merge into one anchor
+                                    </button>
+                                ` : ''}
+                            </div>
+                            <div class="similar-anchors-list">
+                                ${similarInsights.map(doc => `
+                                    <div class="similar-anchor">
+                                        <div class="similarity-score">${(doc.similarity * 100).toFixed(0)}% match</div>
+                                        <div class="similar-text">"${this.escapeHtml(doc.text)}"</div>
+                                        <div class="similar-meta">${doc.kind === 'rejected'
+                                            ? `Rejected ${this.formatDate(doc.item.rejected_at)}`
+                                            : 'Also pending review'}</div>
+                                    </div>
+                                `).join('')}
+                            </div>
+                        </div>
+                    ` : ''}
+
+                    ${priorDecision ? `
+                        <div class="review-decided">
+                            ${decisionLabels[priorDecision.action] || '✓ Approved'} earlier in this session
+                            (${this.formatDateTime(priorDecision.timestamp)})
+                        </div>
+                    ` : ''}
+
+                    <!-- Action Buttons -->
+                    <div class="review-actions">
+                        <button class="btn btn-primary" data-action="approve-insight" data-id="${this.escapeHtml(insightId)}" ${priorDecision ? 'disabled' : ''}>
+                            ✓ Approve as Anchor
+                            <span class="kbd-hint">→</span>
+                        </button>
+                        <button class="btn btn-secondary" data-action="edit-and-approve" data-id="${this.escapeHtml(insightId)}" ${priorDecision ? 'disabled' : ''}>
+                            ✎ Edit & Approve
+                            <span class="kbd-hint">E</span>
+                        </button>
+                        <button class="btn btn-secondary" data-action="skip-insight" data-id="${this.escapeHtml(insightId)}" ${priorDecision ? 'disabled' : ''}>
+                            ↷ Skip for Later
+                            <span class="kbd-hint">↓</span>
+                        </button>
+                        <button class="btn btn-secondary danger" data-action="reject-insight" data-id="${this.escapeHtml(insightId)}" ${priorDecision ? 'disabled' : ''}>
+                            ✗ Reject Permanently
+                            <span class="kbd-hint">←</span>
+                        </button>
+                    </div>
+
+                    ${this.readOnly ? `
+                        <div class="review-notice">
+                            <strong>Read-Only Mode:</strong> Actions are simulated. No files will be modified.
+                        </div>
+                    ` : ''}
+                </div>
+
+                <!-- Navigation -->
+                <div class="review-navigation">
+                    <button class="btn btn-secondary" data-action="prev-insight" ${this.reviewIndex === 0 ? 'disabled' : ''}>
+                        ← Previous
+                    </button>
+                    <span class="nav-position">${progress} / ${total}</span>
+                    <button class="btn btn-secondary" data-action="next-insight" ${this.reviewIndex >= total - 1 ? 'disabled' : ''}>
+                        Next →
+                    </button>
+                </div>
+            </div>
+        `;
+
+        this.updateRoute();
+    }
+
+    /**
+     * Setup keyboard shortcuts for review
+     */
+    setupKeyboardShortcuts() {
+        this.keyHandler = (e) => {
+            if (this.currentView !== 'review' || Modal.isOpen()) return;
+            // The review stays in progress while another tab is shown
+            if (this.container.classList.contains('hidden')) return;
+            // Typing (e.g. Ctrl+Z in a search box) keeps its usual meaning
+            const target = e.target;
+            if (target.closest?.('input, textarea, select') || target.isContentEditable) return;
+
+            // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS)
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.redoDecision();
+                } else {
+                    this.undoDecision();
+                }
+                return;
+            }
+
+            switch (e.key) {
+                case 'ArrowRight':
+                    e.preventDefault();
+                    this.approveInsight();
+                    break;
+                case 'ArrowLeft':
+                    e.preventDefault();
+                    this.rejectInsight();
+                    break;
+                case 'ArrowDown':
+                    e.preventDefault();
+                    this.skipInsight();
+                    break;
+                case 'e':
+                case 'E':
+                    e.preventDefault();
+                    this.editAndApprove();
+                    break;
+                case 'Escape':
+                    e.preventDefault();
+                    this.exitReview();
+                    break;
+            }
+        };
+
+        document.addEventListener('keydown', this.keyHandler);
+    }
+
+    /**
+     * Remove keyboard shortcuts
+     */
+    removeKeyboardShortcuts() {
+        if (this.keyHandler) {
+            document.removeEventListener('keydown', this.keyHandler);
+            this.keyHandler = null;
+        }
+    }
+
+    /**
+     * Get evidence for an insight
+     */
+    getInsightEvidence(insight) {
+        // Extract evidence from insight data
+        const evidence = [];
+
+        if (insight.evidence && Array.isArray(insight.evidence)) {
+            return insight.evidence.map(e => ({
+                date: e.timestamp || e.date || e.chat_timestamp,
+                text: e.excerpt || e.text || e.content || 'Evidence text'
+            }));
+        }
+
+        // Fallback: create mock evidence from metadata
+        if (insight.source_conversations && Array.isArray(insight.source_conversations)) {
+            return insight.source_conversations.slice(0, 5).map(conv => ({
+                date: conv.timestamp || conv.date,
+                text: `Referenced in conversation ${conv.id || 'unknown'}`
+            }));
+        }
+
+        return evidence;
+    }
+
+    /**
+     * Load similarity settings from localStorage
+     */
+    loadSimilaritySettings() {
+        try {
+            return {
+                ...DEFAULT_SIMILARITY_SETTINGS,
+                ...JSON.parse(localStorage.getItem('similaritySettings'))
+            };
+        } catch (error) {
+            return { ...DEFAULT_SIMILARITY_SETTINGS };
+        }
+    }
+
+    /**
+     * Get the similarity engine, re-indexing if anchors or insights changed
+     */
+    getSimilarityEngine() {
+        const sources = [this.anchors, this.pendingInsights, this.rejected];
+        const stale = !this.similarityEngine ||
+            sources.some((list, i) => list !== this.similarityIndexedFrom[i]);
+
+        if (stale) {
+            this.similarityEngine = new SimilarityEngine(this.similaritySettings).index([
+                ...this.anchors.map(anchor => ({
+                    id: anchor.id, kind: 'anchor', text: anchor.statement, item: anchor
+                })),
+                ...this.pendingInsights.map(insight => ({
+                    id: this.getInsightId(insight), kind: 'insight', text: this.getInsightText(insight), item: insight
+                })),
+                ...this.rejected.map(entry => ({
+                    id: entry.insight_id, kind: 'rejected', text: entry.statement, item: entry
+                }))
+            ]);
+            this.similarityIndexedFrom = sources;
+        }
+
+        return this.similarityEngine;
+    }
+
+    /**
+     * Find similar existing anchors
+     */
+    findSimilarAnchors(insightText) {
+        const engine = this.getSimilarityEngine();
+
+        // Cached per index, so re-rendering triage (e.g. ticking a row) doesn't re-score every row
+        if (this.similarAnchorsCache?.engine !== engine) {
+            this.similarAnchorsCache = { engine, results: new Map() };
+        }
+
+        const { results } = this.similarAnchorsCache;
+        if (!results.has(insightText)) {
+            results.set(insightText, engine
+                .findSimilar(insightText, { kinds: ['anchor'] })
+                .map(doc => ({ ...doc.item, similarity: doc.similarity })));
+        }
+        return results.get(insightText);
+    }
+
+    /**
+     * Find other pending or previously rejected insights similar to an insight
+     */
+    findSimilarInsights(insightText, insightId) {
+        return this.getSimilarityEngine()
+            .findSimilar(insightText, { kinds: ['insight', 'rejected'], excludeId: insightId });
+    }
+
+    /**
+     * Show the similarity method/threshold settings
+     */
+    showSimilaritySettings() {
+        const { method, threshold } = this.similaritySettings;
+
+        new Modal({
+            title: '⚙ Duplicate Detection',
+            body: `
+                <label class="form-field">
+                    <span class="form-label">Method</span>
+                    <select name="method">
+                        ${Object.entries(SIMILARITY_METHODS).map(([id, m]) => `
+                            <option value="${id}" ${id === method ? 'selected' : ''}>${this.escapeHtml(m.label)}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                <label class="form-field">
+                    <span class="form-label">Threshold: <span data-role="threshold-value">${Math.round(threshold * 100)}%</span></span>
+                    <input type="range" name="threshold" min="10" max="90" step="5" value="${Math.round(threshold * 100)}">
+                </label>
+                <p class="form-hint">
+                    Lower thresholds flag more possible duplicates. TF-IDF cosine matches paraphrases
+                    using stemming and synonyms; word overlap is the stricter original check.
+                </p>
+            `,
+            submitLabel: 'Save',
+            onOpen: (form) => {
+                const input = form.querySelector('[name="threshold"]');
+                input.addEventListener('input', () => {
+                    form.querySelector('[data-role="threshold-value"]').textContent = `${input.value}%`;
+                });
+            },
+            onSubmit: (values) => {
+                this.similaritySettings = {
+                    method: values.method,
+                    threshold: Number(values.threshold) / 100
+                };
+                localStorage.setItem('similaritySettings', JSON.stringify(this.similaritySettings));
+                this.similarityEngine = null;
+
+                if (this.currentView === 'review') {
+                    this.renderReviewInterface();
+                } else {
+                    this.render();
+                }
+            }
+        }).open();
+    }
+
+    /**
+     * Navigate through review items
+     */
+    navigateReview(delta) {
+        const newIndex = this.reviewIndex + delta;
+        if (newIndex >= 0 && newIndex < this.reviewItems.length) {
+            this.reviewIndex = newIndex;
+            this.saveReviewSession();
+            this.renderReviewInterface();
+        }
+    }
+
+    /**
+     * Advance to the next insight, finishing the session after the last one
+     */
+    advanceReview() {
+        if (this.reviewIndex >= this.reviewItems.length - 1) {
+            this.finishReview();
+        } else {
+            this.navigateReview(1);
+        }
+    }
+
+    /**
+     * Schedule auto-advance after a decision. Decisions made while one is
+     * saving or an advance is pending are ignored so a double key press can't act twice.
+     */
+    scheduleAdvance(delay) {
+        this.advanceTimer = setTimeout(() => {
+            this.advanceTimer = null;
+            this.advanceReview();
+        }, delay);
+    }
+
+    /**
+     * Cancel a pending auto-advance
+     */
+    cancelAdvance() {
+        if (this.advanceTimer) {
+            clearTimeout(this.advanceTimer);
+            this.advanceTimer = null;
+        }
+    }
+
+    /**
+     * Resolve the current review insight and its id.
+     * Returns null for insights already decided in this session, so going
+     * back with Previous can't approve or reject the same insight twice.
+     */
+    getCurrentReviewInsight(id) {
+        const insight = this.reviewItems[this.reviewIndex];
+        if (!insight) return null;
+
+        const insightId = id || this.getInsightId(insight);
+        if (this.reviewedInsights.has(insightId)) return null;
+
+        return { insight, insightId };
+    }
+
+    /**
+     * Record a review decision, push it onto the undo stack and save the session.
+     * `effects` holds what was persisted ({ anchor } or { rejection }) so undo can reverse it.
+     */
+    recordDecision(decision, effects = {}) {
+        const skippedIds = this.reviewStore.getSkippedIds();
+        const entry = {
+            decision: { ...decision, timestamp: new Date().toISOString() },
+            index: this.reviewIndex,
+            wasSkipped: this.getDecisionInsightIds(decision).filter(id => skippedIds.has(id)),
+            ...effects
+        };
+
+        this.undoStack.push(entry);
+        this.redoStack = [];
+        this.applyDecision(entry);
+    }
+
+    /**
+     * Apply a recorded decision to the session state (used by record and redo)
+     */
+    applyDecision({ decision }) {
+        this.reviewDecisions.push(decision);
+
+        if (decision.action === 'skip') {
+            this.reviewStore.addSkipped(decision.insightId);
+        } else {
+            this.getDecisionInsightIds(decision).forEach(id => {
+                this.reviewedInsights.add(id);
+                if (!this.readOnly) {
+                    this.reviewStore.removeSkipped(id);
+                }
+            });
+        }
+
+        this.saveReviewSession();
+    }
+
+    /**
+     * All insight ids a decision covers (merges cover several)
+     */
+    getDecisionInsightIds(decision) {
+        return decision.merged_ids || [decision.insightId];
+    }
+
+    /**
+     * Get the display text of an insight
+     */
+    getInsightText(insight) {
+        return insight.insight || insight.content || insight.statement || '';
+    }
+
+    /**
+     * Generate a unique anchor id
+     */
+    generateAnchorId() {
+        const random = Math.random().toString(36).slice(2, 8);
+        return `anchor_${Date.now().toString(36)}_${random}`;
+    }
+
+    /**
+     * Elevate an insight to an anchor and persist anchors.json
+     */
+    async elevateInsight(insight, insightId, statement) {
+        const anchor = this.buildAnchorFromInsight(insight, insightId, statement);
+
+        await this.saveAnchorChanges(() => {
+            this.anchors.push(anchor);
+        }, {
+            action: 'review.approve',
+            insightIds: [insightId],
+            details: { edited: statement !== this.getInsightText(insight) }
+        });
+
+        return anchor;
+    }
+
+    /**
+     * Build (but don't save) the anchor for an approved insight
+     * @param {Object} [source] - Overrides for the source record (e.g. auto_policy + policy_id)
+     */
+    buildAnchorFromInsight(insight, insightId, statement, source = {}) {
+        const anchor = {
+            id: this.generateAnchorId(),
+            statement,
+            category: insight.category || 'uncategorized',
+            created: new Date().toISOString(),
+            source: {
+                type: 'elevated_from_insight',
+                insight_id: insightId,
+                strength: insight.strength || insight.confidence || 0,
+                ...source
+            }
+        };
+        anchor.versions = [this.snapshotVersion(anchor, 1, 'create', anchor.created)];
+
+        return anchor;
+    }
+
+    /**
+     * Add an insight to rejected-insights.json
+     */
+    async recordRejection(insight, insightId, details) {
+        const entry = this.buildRejection(insight, insightId, details);
+
+        await this.saveRejectedChanges(() => {
+            this.rejected.push(entry);
+        }, { action: 'review.reject', insightIds: [insightId], details: { reason: entry.reason, notes: entry.notes } });
+
+        return entry;
+    }
+
+    /**
+     * Build (but don't save) the rejected-insights.json entry for an insight
+     * @param {Object} [details] - { reason, notes } from the reason picker
+     */
+    buildRejection(insight, insightId, { reason, notes } = {}) {
+        const entry = {
+            insight_id: insightId,
+            statement: this.getInsightText(insight),
+            category: insight.category,
+            rejected_at: new Date().toISOString()
+        };
+        if (reason) entry.reason = reason;
+        if (notes) entry.notes = notes;
+        return entry;
+    }
+
+    /**
+     * Apply a change to the rejected list and persist it, rolling back on failure
+     * @param {Object} audit - Audit log entry: { action, insightIds, details }
+     */
+    async saveRejectedChanges(mutate, audit) {
+        const snapshot = this.rejected;
+        this.rejected = [...this.rejected];
+
+        mutate();
+
+        try {
+            await this.persistRejected();
+        } catch (error) {
+            this.rejected = snapshot;
+            throw error;
+        }
+
+        await this.auditLog.record(audit.action, audit);
+    }
+
+    /**
+     * Apply a change to the anchor lists and persist it, rolling back on failure.
+     * The mutator works on fresh array copies, so it must replace (not mutate)
+     * any anchor object it changes - the audit log relies on this to find the changes.
+     * @param {Object} audit - Audit log entry: { action, insightIds, details }
+     */
+    async saveAnchorChanges(mutate, audit) {
+        const snapshot = { anchors: this.anchors, archived: this.archived };
+        this.anchors = [...this.anchors];
+        this.archived = [...this.archived];
+
+        mutate();
+
+        try {
+            await this.persistAnchors();
+        } catch (error) {
+            this.anchors = snapshot.anchors;
+            this.archived = snapshot.archived;
+            throw error;
+        }
+
+        await this.auditLog.record(audit.action, {
+            ...audit,
+            changes: diffAnchorLists(snapshot, { anchors: this.anchors, archived: this.archived })
+        });
+    }
+
+    /**
+     * Write anchors to disk via the write-back server
+     */
+    async persistAnchors() {
+        await this.trackSave(() => this.api.saveAnchors({ anchors: this.anchors, archived: this.archived }));
+        this.lastSavedAnchors = JSON.stringify([this.anchors, this.archived]);
+    }
+
+    /**
+     * Write rejected insights to disk via the write-back server
+     */
+    async persistRejected() {
+        await this.trackSave(() => this.api.saveRejected({ rejected: this.rejected }));
+    }
+
+    /**
+     * Run a write, holding back live reloads until it finishes
+     */
+    async trackSave(write) {
+        this.saveCount++;
+        this.savesInFlight++;
+        try {
+            return await write();
+        } finally {
+            this.savesInFlight--;
+        }
+    }
+
+    /**
+     * Replace the suppression rules and persist them, rolling back on failure
+     */
+    async saveSuppressionRules(rules) {
+        const snapshot = this.suppressionRules;
+        this.suppressionRules = rules;
+
+        try {
+            await this.api.saveSuppressionRules({ rules });
+        } catch (error) {
+            this.suppressionRules = snapshot;
+            throw error;
+        }
+
+        this.calculatePendingInsights();
+    }
+
+    /**
+     * Approve insight as anchor
+     */
+    async approveInsight(id) {
+        const current = this.getCurrentReviewInsight(id);
+        if (!current || this.advanceTimer || this.deciding) return;
+        const { insight, insightId } = current;
+
+        console.log('Approving insight:', insightId);
+
+        const statement = this.getInsightText(insight);
+        let anchor = null;
+
+        if (this.readOnly) {
+            this.showUndoToast('✓ Would create anchor (read-only mode)', 'success');
+        } else {
+            this.deciding = true;
+            try {
+                anchor = await this.elevateInsight(insight, insightId, statement);
+                this.showUndoToast('✓ Anchor created', 'success');
+            } catch (error) {
+                console.error('Error saving anchor:', error);
+                this.showFeedback(`Failed to save anchor: ${error.message}`, 'error');
+                return;
+            } finally {
+                this.deciding = false;
+            }
+        }
+
+        this.recordDecision({
+            insightId,
+            action: 'approve',
+            statement,
+            category: insight.category
+        }, { anchor });
+
+        // Move to next
+        this.scheduleAdvance(800);
+    }
+
+    /**
+     * Skip insight for later review
+     */
+    skipInsight(id) {
+        const current = this.getCurrentReviewInsight(id);
+        if (!current || this.advanceTimer || this.deciding) return;
+        const { insightId } = current;
+
+        console.log('Skipping insight:', insightId);
+        this.auditLog.record('review.skip', { insightIds: [insightId] });
+
+        this.recordDecision({
+            insightId,
+            action: 'skip'
+        });
+
+        this.showUndoToast('↷ Skipped for later review', 'info');
+        this.scheduleAdvance(500);
+    }
+
+    /**
+     * Reject insight permanently, asking for a reason first
+     */
+    rejectInsight(id) {
+        const current = this.getCurrentReviewInsight(id);
+        if (!current || this.advanceTimer || this.deciding) return;
+        const { insight, insightId } = current;
+
+        new Modal({
+            title: '✗ Reject Insight',
+            body: `
+                <div class="modal-quote">"${this.escapeHtml(this.getInsightText(insight))}"</div>
+                ${this.renderRejectionReasonFields()}
+                <p class="form-hint">Rejected insights won't be suggested again. Un-reject them from the Rejected list.</p>
+            `,
+            submitLabel: 'Reject',
+            danger: true,
+            onSubmit: async (values) => {
+                const details = this.readRejectionReason(values);
+                console.log('Rejecting insight:', insightId, details.reason);
+
+                let rejection = null;
+
+                if (this.readOnly) {
+                    this.showUndoToast('✗ Would reject permanently (read-only mode)', 'warning');
+                } else {
+                    this.deciding = true;
+                    try {
+                        rejection = await this.recordRejection(insight, insightId, details);
+                    } finally {
+                        this.deciding = false;
+                    }
+                    this.showUndoToast('✗ Rejected permanently', 'warning');
+                }
+
+                this.recordDecision({
+                    insightId,
+                    action: 'reject',
+                    reason: details.reason,
+                    statement: this.getInsightText(insight),
+                    category: insight.category
+                }, { rejection });
+
+                this.scheduleAdvance(800);
+            }
+        }).open();
+    }
+
+    /**
+     * Edit and approve insight
+     */
+    async editAndApprove(id) {
+        const current = this.getCurrentReviewInsight(id);
+        if (!current || this.advanceTimer || this.deciding) return;
+        const { insight, insightId } = current;
+        const currentText = this.getInsightText(insight);
+
+        const newText = prompt('Edit insight text:', currentText);
+
+        if (newText && newText !== currentText) {
+            console.log('Editing and approving:', insightId, newText);
+
+            let anchor = null;
+
+            if (this.readOnly) {
+                this.showUndoToast('✓ Would create edited anchor (read-only mode)', 'success');
+            } else {
+                this.deciding = true;
+                try {
+                    anchor = await this.elevateInsight(insight, insightId, newText.trim());
+                    this.showUndoToast('✓ Edited anchor created', 'success');
+                } catch (error) {
+                    console.error('Error saving anchor:', error);
+                    this.showFeedback(`Failed to save anchor: ${error.message}`, 'error');
+                    return;
+                } finally {
+                    this.deciding = false;
+                }
+            }
+
+            this.recordDecision({
+                insightId,
+                action: 'approve_edited',
+                original: currentText,
+                statement: newText,
+                category: insight.category
+            }, { anchor });
+            this.scheduleAdvance(800);
+        }
+    }
+
+    /**
+     * Merge the current insight with similar pending insights into one anchor
+     */
+    mergeInsight(id) {
+        const current = this.getCurrentReviewInsight(id);
+        if (!current || this.advanceTimer || this.deciding) return;
+        const { insight, insightId } = current;
+
+        const candidates = this.findSimilarInsights(this.getInsightText(insight), insightId)
+            .filter(doc => doc.kind === 'insight' && !this.reviewedInsights.has(doc.id))
+            .map(doc => doc.item);
+
+        this.showMergeDialog([insight, ...candidates], {
+            requiredId: insightId,
+            onMerged: (anchor, merged) => {
+                this.showUndoToast(this.readOnly
+                    ? `⧉ Would merge ${merged.length} insights (read-only mode)`
+                    : `⧉ Merged ${merged.length} insights into one anchor`, 'success');
+
+                this.recordDecision({
+                    insightId,
+                    action: 'merge',
+                    merged_ids: merged.map(i => this.getInsightId(i)),
+                    statement: anchor.statement,
+                    category: anchor.category
+                }, { anchor: this.readOnly ? null : anchor });
+
+                this.scheduleAdvance(800);
+            }
+        });
+    }
+
+    /**
+     * Merge the insights selected in bulk triage
+     */
+    bulkMerge() {
+        const insights = this.getTriageRows().filter(i => this.triageSelection.has(this.getInsightId(i)));
+        if (insights.length < 2) return;
+
+        this.showMergeDialog(insights, {
+            onMerged: (anchor, merged) => {
+                if (!this.readOnly) {
+                    merged.forEach(insight => this.reviewStore.removeSkipped(this.getInsightId(insight)));
+                }
+
+                this.triageSelection.clear();
+                this.calculatePendingInsights();
+                this.render();
+                this.showFeedback(this.readOnly
+                    ? `Would merge ${merged.length} insights (read-only mode)`
+                    : `⧉ Merged ${merged.length} insights into one anchor`, 'success');
+            }
+        });
+    }
+
+    /**
+     * Show the merge dialog: pick insights, edit the combined statement, save one anchor.
+     * @param {Array} insights - Candidate insights (all ticked initially)
+     * @param {Object} options
+     * @param {string} [options.requiredId] - Insight that can't be unticked (the one under review)
+     * @param {Function} options.onMerged - Called with (anchor, mergedInsights) after saving
+     */
+    showMergeDialog(insights, { requiredId = null, onMerged }) {
+        const sorted = [...insights].sort((a, b) =>
+            (b.strength || b.confidence || 0) - (a.strength || a.confidence || 0)
+        );
+        const primary = sorted.find(i => this.getInsightId(i) === requiredId) || sorted[0];
+
+        new Modal({
+            title: '⧉ Merge Insights',
+            wide: true,
+            body: `
+                <p class="form-hint">
+                    The ticked insights become one anchor with their combined evidence.
+                    All of them will be marked as handled.
+                </p>
+                <div class="merge-list">
+                    ${sorted.map(insight => {
+                        const insightId = this.getInsightId(insight);
+                        const strength = insight.strength || insight.confidence || 0;
+                        return `
+                            <label class="merge-item">
+                                <input type="checkbox" name="merge-insight" value="${this.escapeHtml(insightId)}" checked
+                                    ${insightId === requiredId ? 'disabled' : ''}>
+                                <span class="merge-text">"${this.escapeHtml(this.getInsightText(insight))}"</span>
+                                <span class="merge-meta">${this.formatCategory(insight.category || 'uncategorized')} · ${(strength * 100).toFixed(0)}%</span>
+                            </label>
+                        `;
+                    }).join('')}
+                </div>
+                ${this.renderAnchorFormFields({
+                    statement: this.getInsightText(primary),
+                    category: primary.category
+                })}
+                ${this.readOnly ? '<p class="form-hint">Read-only mode: the merge will be simulated and nothing will be saved.</p>' : ''}
+            `,
+            submitLabel: 'Merge into Anchor',
+            onSubmit: async (values, form) => {
+                const checked = new Set(
+                    [...form.querySelectorAll('[name="merge-insight"]:checked')].map(input => input.value)
+                );
+                const merged = sorted.filter(insight => checked.has(this.getInsightId(insight)));
+                if (merged.length < 2) {
+                    throw new Error('Select at least two insights to merge');
+                }
+
+                const anchor = this.buildMergedAnchor(merged, this.readAnchorForm(values));
+                if (!this.readOnly) {
+                    await this.saveAnchorChanges(() => {
+                        this.anchors.push(anchor);
+                    }, { action: 'review.merge', insightIds: anchor.source.insight_ids });
+                }
+
+                onMerged(anchor, merged);
+            }
+        }).open();
+    }
+
+    /**
+     * Build (but don't save) an anchor combining several insights
+     */
+    buildMergedAnchor(insights, fields) {
+        const insightIds = insights.map(insight => this.getInsightId(insight));
+
+        // Union of evidence, dropping exact duplicates
+        const seen = new Set();
+        const evidence = insights
+            .flatMap(insight => Array.isArray(insight.evidence) ? insight.evidence : [])
+            .filter(item => {
+                const key = JSON.stringify(item);
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+
+        const anchor = {
+            id: this.generateAnchorId(),
+            statement: fields.statement,
+            category: fields.category,
+            created: new Date().toISOString(),
+            source: {
+                type: 'merged_from_insights',
+                insight_ids: insightIds,
+                strength: Math.max(...insights.map(i => i.strength || i.confidence || 0))
+            }
+        };
+        this.applyOptionalFields(anchor, fields);
+        if (evidence.length > 0) {
+            anchor.evidence = evidence;
+        }
+        anchor.versions = [this.snapshotVersion(anchor, 1, 'create', anchor.created)];
+
+        return anchor;
+    }
+
+    /**
+     * Undo the most recent review decision, reversing anything it persisted
+     */
+    async undoDecision() {
+        const entry = this.undoStack[this.undoStack.length - 1];
+        if (!entry || this.undoBusy || this.deciding) return;
+
+        this.cancelAdvance();
+        this.hideUndoToast();
+        this.undoBusy = true;
+
+        const audit = {
+            action: 'review.undo',
+            insightIds: this.getDecisionInsightIds(entry.decision),
+            details: { decision: entry.decision.action }
+        };
+
+        try {
+            if (entry.anchor) {
+                await this.saveAnchorChanges(() => {
+                    this.anchors = this.anchors.filter(a => a.id !== entry.anchor.id);
+                }, audit);
+            } else if (entry.rejection) {
+                await this.saveRejectedChanges(() => {
+                    this.rejected = this.rejected.filter(r => r !== entry.rejection);
+                }, audit);
+            } else if (!this.readOnly) {
+                this.auditLog.record(audit.action, audit);
+            }
+        } catch (error) {
+            console.error('Error undoing decision:', error);
+            this.showFeedback(`Failed to undo: ${error.message}`, 'error');
+            return;
+        } finally {
+            this.undoBusy = false;
+        }
+
+        const { decision } = entry;
+        this.undoStack.pop();
+        this.redoStack.push(entry);
+
+        this.reviewDecisions = this.reviewDecisions.filter(d => d !== decision);
+
+        // Put the skipped queue back the way it was before the decision
+        this.getDecisionInsightIds(decision).forEach(id => {
+            this.reviewedInsights.delete(id);
+            if (entry.wasSkipped.includes(id)) {
+                this.reviewStore.addSkipped(id);
+            } else {
+                this.reviewStore.removeSkipped(id);
+            }
+        });
+
+        this.reviewIndex = entry.index;
+        this.saveReviewSession();
+        this.renderReviewInterface();
+        this.showFeedback(`↶ Undid ${this.describeDecision(decision)}`, 'info');
+    }
+
+    /**
+     * Redo the most recently undone decision and move on
+     */
+    async redoDecision() {
+        const entry = this.redoStack[this.redoStack.length - 1];
+        if (!entry || this.undoBusy || this.deciding || this.advanceTimer) return;
+
+        this.hideUndoToast();
+        this.undoBusy = true;
+
+        const audit = {
+            action: 'review.redo',
+            insightIds: this.getDecisionInsightIds(entry.decision),
+            details: { decision: entry.decision.action }
+        };
+
+        try {
+            if (entry.anchor) {
+                await this.saveAnchorChanges(() => {
+                    this.anchors.push(entry.anchor);
+                }, audit);
+            } else if (entry.rejection) {
+                await this.saveRejectedChanges(() => {
+                    this.rejected.push(entry.rejection);
+                }, audit);
+            } else if (!this.readOnly) {
+                this.auditLog.record(audit.action, audit);
+            }
+        } catch (error) {
+            console.error('Error redoing decision:', error);
+            this.showFeedback(`Failed to redo: ${error.message}`, 'error');
+            return;
+        } finally {
+            this.undoBusy = false;
+        }
+
+        this.redoStack.pop();
+        this.undoStack.push(entry);
+        this.applyDecision(entry);
+
+        this.reviewIndex = entry.index;
+        this.showFeedback(`↷ Redid ${this.describeDecision(entry.decision)}`, 'info');
+        this.advanceReview();
+    }
 
     /**
-     * Start insight review workflow
+     * Short label for a decision (used in undo/redo feedback)
+     */
+    describeDecision(decision) {
+        const labels = {
+            approve: 'approval',
+            approve_edited: 'approval',
+            merge: 'merge',
+            reject: 'rejection',
+            skip: 'skip'
+        };
+        return labels[decision.action] || decision.action;
+    }
+
+    /**
+     * Show a decision toast with an Undo button
+     */
+    showUndoToast(message, type = 'info') {
+        this.hideUndoToast();
+
+        const toast = document.createElement('div');
+        toast.className = `undo-toast undo-toast-${type}`;
+        toast.innerHTML = `
+            <span class="undo-toast-message"></span>
+            <button class="undo-toast-btn" type="button">Undo <span class="kbd-hint">Ctrl+Z</span></button>
+        `;
+        toast.querySelector('.undo-toast-message').textContent = message;
+        toast.querySelector('.undo-toast-btn').addEventListener('click', () => {
+            if (this.currentView === 'review') {
+                this.undoDecision();
+            }
+        });
+        document.body.appendChild(toast);
+
+        this.undoToast = {
+            element: toast,
+            timer: setTimeout(() => this.hideUndoToast(), 5000)
+        };
+    }
+
+    /**
+     * Remove the undo toast
+     */
+    hideUndoToast() {
+        if (!this.undoToast) return;
+
+        clearTimeout(this.undoToast.timer);
+        this.undoToast.element.remove();
+        this.undoToast = null;
+    }
+
+    /**
+     * Show feedback message
+     */
+    showFeedback(message, type = 'info') {
+        const colors = {
+            success: '#30D158',
+            warning: '#FF9F0A',
+            error: '#FF453A',
+            info: '#0A84FF'
+        };
+
+        const feedback = document.createElement('div');
+        feedback.style.cssText = `
+            position: fixed;
+            top: 80px;
+            right: 20px;
+            background: ${colors[type]};
+            color: white;
+            padding: 12px 20px;
+            border-radius: 8px;
+            font-size: 14px;
+            font-weight: 500;
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+            z-index: 10000;
+            animation: slideIn 0.3s ease;
+        `;
+        feedback.textContent = message;
+        document.body.appendChild(feedback);
+
+        setTimeout(() => {
+            feedback.style.animation = 'slideOut 0.3s ease';
+            setTimeout(() => feedback.remove(), 300);
+        }, 2000);
+    }
+
+    /**
+     * Exit review and return to overview
+     */
+    exitReview() {
+        this.removeKeyboardShortcuts();
+        this.cancelAdvance();
+        this.hideUndoToast();
+        this.currentView = 'overview';
+
+        // Show summary if any decisions were made
+        if (this.reviewDecisions.length > 0) {
+            const approved = this.reviewDecisions.filter(d => ['approve', 'approve_edited', 'merge'].includes(d.action)).length;
+            const rejected = this.reviewDecisions.filter(d => d.action === 'reject').length;
+            const skipped = this.reviewDecisions.filter(d => d.action === 'skip').length;
+
+            console.log('Review session complete:', {
+                approved,
+                rejected,
+                skipped,
+                decisions: this.reviewDecisions
+            });
+
+            alert(`Review Session Summary:\n\n✓ Approved: ${approved}\n✗ Rejected: ${rejected}\n↷ Skipped: ${skipped}${this.readOnly ? '\n\n(Read-only mode - no changes saved)' : ''}`);
+        }
+
+        this.calculatePendingInsights();
+
+        // Keep the session for "Resume review" unless nothing is left in it
+        this.reviewSession = null;
+        if (!this.getResumableSession()) {
+            this.reviewStore.clearSession();
+        }
+
+        this.render();
+        this.updateRoute();
+    }
+
+    /**
+     * Finish review when all insights processed
+     */
+    finishReview() {
+        this.removeKeyboardShortcuts();
+        this.cancelAdvance();
+        this.hideUndoToast();
+        this.currentView = 'overview';
+
+        const approved = this.reviewDecisions.filter(d => ['approve', 'approve_edited', 'merge'].includes(d.action)).length;
+        const rejected = this.reviewDecisions.filter(d => d.action === 'reject').length;
+        const skipped = this.reviewDecisions.filter(d => d.action === 'skip').length;
+
+        alert(`Review Complete!\n\n✓ Approved: ${approved}\n✗ Rejected: ${rejected}\n↷ Skipped: ${skipped}\n\nAll insights have been reviewed.${this.readOnly ? '\n\n(Read-only mode - no changes saved)' : ''}`);
+
+        this.reviewSession = null;
+        this.reviewStore.clearSession();
+
+        this.calculatePendingInsights();
+        this.render();
+        this.updateRoute();
+    }
+
+    /**
+     * Format date for display
+     */
+    formatDate(dateString) {
+        if (!dateString || dateString === 'Unknown') return 'Unknown';
+
+        try {
+            const date = new Date(dateString);
+            return date.toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric'
+            });
+        } catch (e) {
+            return dateString;
+        }
+    }
+
+    /**
+     * Format date and time for display
+     */
+    formatDateTime(dateString) {
+        if (!dateString) return 'Unknown';
+
+        const date = new Date(dateString);
+        if (isNaN(date)) return dateString;
+
+        return date.toLocaleString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    /**
+     * Find an anchor by id in the active or archived list
+     */
+    findAnchor(anchorId) {
+        return this.anchors.find(a => a.id === anchorId)
+            || this.archived.find(a => a.id === anchorId);
+    }
+
+    /**
+     * Find anchors whose statement, category, scope or id contains every word of a query.
+     * Active anchors come before archived ones.
+     * @returns {Array} [{ anchor, archived }]
+     */
+    search(query) {
+        const words = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        if (words.length === 0) return [];
+
+        const matches = anchor => {
+            const text = [anchor.statement, anchor.category, anchor.scope, anchor.id]
+                .filter(Boolean)
+                .join(' ')
+                .toLowerCase();
+            return words.every(word => text.includes(word));
+        };
+
+        return [
+            ...this.anchors.filter(matches).map(anchor => ({ anchor, archived: false })),
+            ...this.archived.filter(matches).map(anchor => ({ anchor, archived: true }))
+        ];
+    }
+
+    /**
+     * View anchor details and version history
+     */
+    viewAnchor(anchorId) {
+        if (!this.findAnchor(anchorId)) return;
+
+        if (this.currentView !== 'detail') {
+            this.detailReturnView = this.currentView;
+        }
+        this.detailAnchorId = anchorId;
+        this.currentView = 'detail';
+        this.render();
+        this.container.querySelector('.anchors-container')?.scrollTo(0, 0);
+        this.updateRoute();
+    }
+
+    /**
+     * Route for the current view: an anchor's detail, the review position, or the anchors tab
+     */
+    getRoute() {
+        if (this.currentView === 'review') {
+            return { tab: 'review', id: this.reviewIndex, params: {} };
+        }
+        if (this.currentView === 'detail') {
+            return { tab: 'anchors', id: this.detailAnchorId, params: {} };
+        }
+        return { tab: 'anchors', id: null, params: {} };
+    }
+
+    /**
+     * Record the current view in the URL. Moving through a review replaces
+     * the history entry so back leaves the review instead of stepping through it.
+     */
+    updateRoute() {
+        if (!this.router || this.routing) return;
+
+        const route = this.getRoute();
+        this.router.update(route, { replace: route.tab === 'review' && this.router.current().tab === 'review' });
+    }
+
+    /**
+     * Show the view for a route (#/anchors, #/anchors/<id>, #/review/<index>).
+     * A review route resumes the saved session; routes to anything that no
+     * longer exists fall back to the overview.
+     */
+    showRoute(route) {
+        this.routing = true;
+
+        try {
+            if (route.tab === 'review') {
+                const index = Number(route.id);
+                const hasIndex = route.id !== null && Number.isInteger(index) && index >= 0;
+
+                if (this.currentView !== 'review') {
+                    const resumable = this.getResumableSession();
+                    if (resumable) {
+                        this.beginSession({ ...resumable.session, index: hasIndex ? index : resumable.session.index });
+                    }
+                } else if (hasIndex && index !== this.reviewIndex && index < this.reviewItems.length) {
+                    this.reviewIndex = index;
+                    this.saveReviewSession();
+                    this.renderReviewInterface();
+                }
+            } else {
+                if (this.currentView === 'review') {
+                    this.exitReview();
+                }
+
+                if (route.id) {
+                    this.viewAnchor(route.id);
+                } else if (this.currentView === 'detail') {
+                    this.currentView = this.detailReturnView;
+                    this.render();
+                }
+            }
+        } finally {
+            this.routing = false;
+        }
+
+        // Correct the URL if the route couldn't be shown as given
+        this.router?.update(this.getRoute(), { replace: true });
+    }
+
+    /**
+     * Render the full anchor detail view with version timeline
+     */
+    renderAnchorDetail() {
+        const anchor = this.findAnchor(this.detailAnchorId);
+        if (!anchor) {
+            this.currentView = 'overview';
+            return this.renderOverview();
+        }
+
+        const isArchived = this.archived.some(a => a.id === anchor.id);
+        const versions = this.getVersions(anchor);
+        const source = this.describeAnchorSource(anchor, true);
+
+        return `
+            <div class="anchor-detail">
+                <button class="btn-link" data-action="exit-detail">← Back</button>
+
+                <div class="anchor-detail-card ${isArchived ? 'archived' : ''}">
+                    <div class="insight-header">
+                        <span class="insight-category-badge">${this.formatCategory(anchor.category || 'uncategorized')}</span>
+                        <span class="insight-id">${this.escapeHtml(anchor.id)}${isArchived ? ' · archived' : ''}</span>
+                    </div>
+                    <div class="insight-statement">"${this.escapeHtml(anchor.statement)}"</div>
+                    ${anchor.notes ? `<div class="anchor-notes">${this.escapeHtml(anchor.notes)}</div>` : ''}
+                    <div class="anchor-meta">
+                        <span>Created: ${this.formatDate(anchor.created)}</span>
+                        ${anchor.modified ? `<span>Modified: ${this.formatDate(anchor.modified)}</span>` : ''}
+                        <span>${this.escapeHtml(source)}</span>
+                        <span>${this.escapeHtml(describeScope(anchor.scope))}</span>
+                        ${anchor.last_validated ? `<span>Last confirmed: ${this.formatDate(anchor.last_validated)}</span>` : ''}
+                        ${!isArchived && this.getRevalidationDate(anchor) ? `<span>Re-validate: ${this.formatDate(this.getRevalidationDate(anchor))}</span>` : ''}
+                    </div>
+                    ${isArchived && anchor.archive_reason ? `
+                        <div class="anchor-notes"><strong>Archived:</strong> ${this.escapeHtml(anchor.archive_reason)}</div>
+                    ` : ''}
+                    <div class="anchor-actions">
+                        ${isArchived ? `
+                            <button class="btn-link" data-action="restore-anchor" data-id="${this.escapeHtml(anchor.id)}" ${this.readOnly ? 'disabled' : ''}>Restore</button>
+                        ` : `
+                            <button class="btn-link" data-action="edit-anchor" data-id="${this.escapeHtml(anchor.id)}" ${this.readOnly ? 'disabled' : ''}>Edit</button>
+                            <button class="btn-link danger" data-action="archive-anchor" data-id="${this.escapeHtml(anchor.id)}" ${this.readOnly ? 'disabled' : ''}>Archive</button>
+                        `}
+                    </div>
+                </div>
+
+                <div class="version-history">
+                    <h3>🕘 History (${versions.length} version${versions.length === 1 ? '' : 's'})</h3>
+                    <div class="version-timeline">
+                        ${versions.map((version, index) => this.renderVersionEntry(anchor, version, versions[index - 1], isArchived)).reverse().join('')}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render one version timeline entry with inline diffs against the previous version
+     */
+    renderVersionEntry(anchor, version, previous, isArchived) {
+        const labels = {
+            create: '✨ Created',
+            edit: '✎ Edited',
+            archive: '🗄 Archived',
+            restore: '↩ Restored',
+            validate: '✓ Re-validated',
+            revert: `↺ Reverted to v${version.reverted_to}`
+        };
+
+        const changes = [];
+
+        if (!previous) {
+            changes.push(`<div class="version-statement">${this.escapeHtml(version.statement)}</div>`);
+        } else if (previous.statement !== version.statement) {
+            changes.push(`<div class="version-statement">${this.renderInlineDiff(previous.statement, version.statement)}</div>`);
+        }
+
+        if (previous && previous.category !== version.category) {
+            changes.push(`
+                <div class="version-change">
+                    Category: <del>${this.formatCategory(previous.category)}</del> → <ins>${this.formatCategory(version.category)}</ins>
+                </div>
+            `);
+        }
+
+        if (previous && (previous.notes || '') !== (version.notes || '')) {
+            changes.push(`<div class="version-change">Notes: ${this.renderInlineDiff(previous.notes || '', version.notes || '')}</div>`);
+        }
+
+        if (previous && (previous.scope || '') !== (version.scope || '')) {
+            changes.push(`
+                <div class="version-change">
+                    Scope: <del>${this.escapeHtml(previous.scope || 'global')}</del> → <ins>${this.escapeHtml(version.scope || 'global')}</ins>
+                </div>
+            `);
+        }
+
+        // Versions saved before schedules were recorded lack them; edits list what really changed
+        const scheduleChanged = field => previous
+            && (previous[field] || '') !== (version[field] || '')
+            && (!version.changed || version.changed.includes(field));
+
+        if (scheduleChanged('review_after')) {
+            changes.push(`
+                <div class="version-change">
+                    Review after: <del>${this.escapeHtml(previous.review_after || 'none')}</del> → <ins>${this.escapeHtml(version.review_after || 'none')}</ins>
+                </div>
+            `);
+        }
+
+        if (scheduleChanged('revalidate_every_days')) {
+            const describe = days => days ? `every ${days} days` : 'never';
+            changes.push(`
+                <div class="version-change">
+                    Re-validate: <del>${describe(previous.revalidate_every_days)}</del> → <ins>${describe(version.revalidate_every_days)}</ins>
+                </div>
+            `);
+        }
+
+        if (version.reason) {
+            changes.push(`<div class="version-change">Reason: ${this.escapeHtml(version.reason)}</div>`);
+        }
+
+        const matchesCurrent = version.statement === anchor.statement
+            && version.category === (anchor.category || 'uncategorized')
+            && ['notes', 'scope', 'review_after', 'revalidate_every_days']
+                .every(field => (version[field] || '') === (anchor[field] || ''));
+
+        return `
+            <div class="version-entry">
+                <div class="version-header">
+                    <span class="version-number">v${version.version}</span>
+                    <span class="version-action">${labels[version.action] || version.action}</span>
+                    <span class="version-date">${this.formatDateTime(version.at)}</span>
+                    ${!matchesCurrent && !isArchived ? `
+                        <button class="btn-link" data-action="revert-anchor" data-id="${this.escapeHtml(anchor.id)}" data-version="${version.version}" ${this.readOnly ? 'disabled' : ''}>
+                            ↺ Revert to this version
+                        </button>
+                    ` : ''}
+                </div>
+                ${changes.join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render an inline word diff as HTML
+     */
+    renderInlineDiff(oldText, newText) {
+        return diffWords(oldText, newText)
+            .map(part => {
+                const text = this.escapeHtml(part.text);
+                if (part.type === 'add') return `<ins>${text}</ins>`;
+                if (part.type === 'remove') return `<del>${text}</del>`;
+                return text;
+            })
+            .join('');
+    }
+
+    /**
+     * Get an anchor's version history, synthesising the initial version for
+     * anchors created before history was tracked
+     */
+    getVersions(anchor) {
+        if (Array.isArray(anchor.versions) && anchor.versions.length > 0) {
+            return anchor.versions;
+        }
+        return [this.snapshotVersion(anchor, 1, 'create', anchor.created)];
+    }
+
+    /**
+     * Build a version entry from an anchor's current fields
+     */
+    snapshotVersion(anchor, version, action, at, extra = {}) {
+        const entry = {
+            version,
+            action,
+            at: at || new Date().toISOString(),
+            statement: anchor.statement,
+            category: anchor.category || 'uncategorized'
+        };
+        if (anchor.notes) entry.notes = anchor.notes;
+        if (anchor.scope) entry.scope = anchor.scope;
+        if (anchor.review_after) entry.review_after = anchor.review_after;
+        if (anchor.revalidate_every_days) entry.revalidate_every_days = anchor.revalidate_every_days;
+        return { ...entry, ...extra };
+    }
+
+    /**
+     * Return the updated anchor with a version entry appended to the previous anchor's history
+     */
+    appendVersion(previous, updated, action, extra = {}) {
+        const versions = this.getVersions(previous);
+        return {
+            ...updated,
+            versions: [...versions, this.snapshotVersion(updated, versions.length + 1, action, null, extra)]
+        };
+    }
+
+    /**
+     * Revert an anchor's statement, category, notes and scope to an earlier version
      */
-    startReview() {
-        console.log('Starting insight review...');
+    async revertAnchor(anchorId, versionNumber) {
+        const anchor = this.anchors.find(a => a.id === anchorId);
+        const target = anchor && this.getVersions(anchor).find(v => v.version === versionNumber);
+        if (!target) return;
 
-        if (this.pendingInsights.length === 0) {
-            alert('No insights to review!');
-            return;
+        // Notes, scope and the review schedule are restored, or cleared if the version had none
+        const reverted = this.applyOptionalFields({
+            ...anchor,
+            statement: target.statement,
+            category: target.category,
+            modified: new Date().toISOString()
+        }, target);
+
+        try {
+            await this.saveAnchorChanges(() => {
+                const updated = this.appendVersion(anchor, reverted, 'revert', { reverted_to: versionNumber });
+                this.anchors = this.anchors.map(a => a.id === anchorId ? updated : a);
+            }, { action: 'anchor.revert', details: { reverted_to: versionNumber } });
+            this.showFeedback(`↺ Reverted to v${versionNumber}`, 'success');
+            this.render();
+        } catch (error) {
+            console.error('Error reverting anchor:', error);
+            this.showFeedback(`Failed to revert anchor: ${error.message}`, 'error');
         }
+    }
 
-        // Sort pending insights by strength (highest first)
-        this.pendingInsights.sort((a, b) => {
-            const strengthA = a.strength || a.confidence || 0;
-            const strengthB = b.strength || b.confidence || 0;
-            return strengthB - strengthA;
+    /**
+     * Collect known categories for the category picker
+     */
+    getKnownCategories() {
+        const categories = new Set();
+        [...this.anchors, ...this.archived, ...this.insights].forEach(item => {
+            if (item.category) categories.add(item.category);
         });
+        return [...categories].sort();
+    }
 
-        this.currentView = 'review';
-        this.reviewIndex = 0;
-        this.reviewDecisions = [];
-        this.reviewedInsights = new Set();
-        this.renderReviewInterface();
-        this.setupKeyboardShortcuts();
+    /**
+     * Render the shared statement/category/notes fields
+     */
+    renderAnchorFormFields(anchor = {}) {
+        return `
+            <label class="form-field">
+                <span class="form-label">Statement</span>
+                <textarea name="statement" rows="3" required
+                    placeholder="e.g. Prefers concise answers with code examples">${this.escapeHtml(anchor.statement || '')}</textarea>
+            </label>
+            <label class="form-field">
+                <span class="form-label">Category</span>
+                <input type="text" name="category" list="anchor-category-options"
+                    value="${this.escapeHtml(anchor.category || '')}" placeholder="e.g. preferences">
+                <datalist id="anchor-category-options">
+                    ${this.getKnownCategories().map(c => `<option value="${this.escapeHtml(c)}">`).join('')}
+                </datalist>
+            </label>
+            <label class="form-field">
+                <span class="form-label">Scope <span class="form-hint">(blank = global)</span></span>
+                <input type="text" name="scope" list="anchor-scope-options"
+                    value="${this.escapeHtml(anchor.scope || '')}" placeholder="e.g. ~/code/api-server or ~/work/**">
+                <datalist id="anchor-scope-options">
+                    ${this.getKnownProjects().map(p => `<option value="${this.escapeHtml(p)}">`).join('')}
+                </datalist>
+            </label>
+            <div class="form-row">
+                <label class="form-field">
+                    <span class="form-label">Review after <span class="form-hint">(optional)</span></span>
+                    <input type="date" name="review_after" value="${this.escapeHtml((anchor.review_after || '').slice(0, 10))}">
+                </label>
+                <label class="form-field">
+                    <span class="form-label">Or re-validate every <span class="form-hint">(days)</span></span>
+                    <input type="number" name="revalidate_every_days" min="1" step="1"
+                        value="${anchor.revalidate_every_days || ''}" placeholder="e.g. 90">
+                </label>
+            </div>
+            <label class="form-field">
+                <span class="form-label">Notes <span class="form-hint">(optional)</span></span>
+                <textarea name="notes" rows="2">${this.escapeHtml(anchor.notes || '')}</textarea>
+            </label>
+        `;
     }
 
     /**
-     * Render the review interface
+     * Validate and normalise anchor form values
      */
-    renderReviewInterface() {
-        const insight = this.pendingInsights[this.reviewIndex];
-        if (!insight) {
-            this.finishReview();
-            return;
+    readAnchorForm(values) {
+        if (!values.statement) {
+            throw new Error('Statement is required');
         }
 
-        const insightId = insight.id || insight.insight_id || `insight_${this.reviewIndex}`;
-        const insightText = insight.insight || insight.content || insight.statement || 'No content';
-        const category = insight.category || 'uncategorized';
-        const strength = insight.strength || insight.confidence || 0;
-        const firstSeen = insight.first_observed || insight.created || 'Unknown';
-        const lastSeen = insight.last_observed || insight.updated || 'Unknown';
+        const days = values.revalidate_every_days ? Number(values.revalidate_every_days) : null;
+        if (days !== null && !(Number.isInteger(days) && days > 0)) {
+            throw new Error('Re-validation interval must be a whole number of days');
+        }
+        if (values.review_after && isNaN(Date.parse(values.review_after))) {
+            throw new Error('Review after must be a valid date');
+        }
 
-        // Get evidence (conversation sources)
-        const evidence = this.getInsightEvidence(insight);
+        const category = (values.category || 'uncategorized').trim().toLowerCase().replace(/\s+/g, '_');
+        if (!CATEGORY_PATTERN.test(category)) {
+            throw new Error('Category can only contain letters, numbers, spaces, - and _');
+        }
 
-        // Check for similar anchors
-        const similarAnchors = this.findSimilarAnchors(insightText);
+        return {
+            statement: values.statement,
+            category,
+            scope: normalizeProjectPath(values.scope),
+            review_after: values.review_after || '',
+            revalidate_every_days: days,
+            notes: values.notes || ''
+        };
+    }
 
-        const progress = this.reviewIndex + 1;
-        const total = this.pendingInsights.length;
-        const progressPercent = (progress / total) * 100;
+    /**
+     * Set (or clear) the optional anchor fields from readAnchorForm() output
+     */
+    applyOptionalFields(anchor, fields) {
+        ['notes', 'scope', 'review_after', 'revalidate_every_days'].forEach(field => {
+            if (fields[field]) {
+                anchor[field] = fields[field];
+            } else {
+                delete anchor[field];
+            }
+        });
+        return anchor;
+    }
 
-        this.container.innerHTML = `
-            <div class="review-container">
-                <!-- Header with Progress -->
-                <div class="review-header">
-                    <button class="btn-link" data-action="exit-review">
-                        ← Back to Overview
-                    </button>
-                    <div class="review-progress">
-                        <span class="progress-text">${progress} of ${total}</span>
-                        <div class="progress-bar">
-                            <div class="progress-fill" style="width: ${progressPercent}%"></div>
-                        </div>
-                    </div>
-                </div>
+    /**
+     * Show add anchor modal
+     */
+    showAddAnchorModal() {
+        new Modal({
+            title: '+ New Anchor',
+            body: this.renderAnchorFormFields(),
+            submitLabel: 'Create Anchor',
+            onSubmit: async (values) => {
+                const fields = this.readAnchorForm(values);
+                const anchor = {
+                    id: this.generateAnchorId(),
+                    statement: fields.statement,
+                    category: fields.category,
+                    created: new Date().toISOString(),
+                    source: { type: 'manual' }
+                };
+                this.applyOptionalFields(anchor, fields);
+                anchor.versions = [this.snapshotVersion(anchor, 1, 'create', anchor.created)];
 
-                <!-- Insight Card -->
-                <div class="insight-review-card">
-                    <div class="insight-header">
-                        <span class="insight-category-badge">${this.formatCategory(category)}</span>
-                        <span class="insight-id">${insightId}</span>
-                    </div>
+                await this.saveAnchorChanges(() => {
+                    this.anchors.push(anchor);
+                }, { action: 'anchor.create' });
 
-                    <div class="insight-statement">
-                        "${this.escapeHtml(insightText)}"
-                    </div>
+                this.showFeedback('✓ Anchor created', 'success');
+                this.render();
+            }
+        }).open();
+    }
 
-                    <div class="insight-meta">
-                        <div class="meta-item">
-                            <span class="meta-label">Confidence:</span>
-                            <div class="confidence-bar">
-                                <div class="confidence-fill" style="width: ${strength * 100}%"></div>
-                            </div>
-                            <span class="meta-value">${(strength * 100).toFixed(0)}%</span>
-                        </div>
-                        <div class="meta-item">
-                            <span class="meta-label">First Seen:</span>
-                            <span class="meta-value">${this.formatDate(firstSeen)}</span>
-                        </div>
-                        <div class="meta-item">
-                            <span class="meta-label">Last Seen:</span>
-                            <span class="meta-value">${this.formatDate(lastSeen)}</span>
-                        </div>
-                    </div>
+    /**
+     * Edit anchor statement, category and notes
+     */
+    editAnchor(anchorId) {
+        const anchor = this.anchors.find(a => a.id === anchorId);
+        if (!anchor) return;
 
-                    <!-- Evidence Section -->
-                    <div class="evidence-section">
-                        <h4>📊 Evidence (${evidence.length} conversations)</h4>
-                        ${evidence.length > 0 ? `
-                            <div class="evidence-list">
-                                ${evidence.slice(0, 5).map(e => `
-                                    <div class="evidence-item">
-                                        <div class="evidence-date">${this.formatDate(e.date)}</div>
-                                        <div class="evidence-text">"${this.escapeHtml(e.text)}"</div>
-                                    </div>
-                                `).join('')}
-                                ${evidence.length > 5 ? `
-                                    <div class="evidence-more">
-                                        + ${evidence.length - 5} more conversations
-                                    </div>
-                                ` : ''}
-                            </div>
-                        ` : `
-                            <div class="no-evidence">No specific evidence available</div>
-                        `}
-                    </div>
+        new Modal({
+            title: '✎ Edit Anchor',
+            body: this.renderAnchorFormFields(anchor),
+            submitLabel: 'Save Changes',
+            onSubmit: async (values) => {
+                const fields = this.readAnchorForm(values);
+                const updated = {
+                    ...anchor,
+                    statement: fields.statement,
+                    category: fields.category,
+                    modified: new Date().toISOString()
+                };
+                this.applyOptionalFields(updated, fields);
 
-                    <!-- Similar Anchors Warning -->
-                    ${similarAnchors.length > 0 ? `
-                        <div class="similarity-warning">
-                            <h4>⚠️ Similar Anchors Detected</h4>
-                            <div class="similar-anchors-list">
-                                ${similarAnchors.map(anchor => `
-                                    <div class="similar-anchor">
-                                        <div class="similarity-score">${(anchor.similarity * 100).toFixed(0)}% match</div>
-                                        <div class="similar-text">"${this.escapeHtml(anchor.statement)}"</div>
-                                        <div class="similar-meta">Created ${this.formatDate(anchor.created)}</div>
-                                    </div>
-                                `).join('')}
-                            </div>
-                            <div class="similarity-note">
-                                This insight may be redundant. Consider if it adds new information.
-                            </div>
-                        </div>
-                    ` : ''}
+                const changed = ['statement', 'category', 'notes', 'scope', 'review_after', 'revalidate_every_days']
+                    .filter(field => (anchor[field] || '') !== (updated[field] || ''));
+                if (changed.length === 0) return;
 
-                    <!-- Action Buttons -->
-                    <div class="review-actions">
-                        <button class="btn btn-primary" data-action="approve-insight" data-id="${insightId}">
-                            ✓ Approve as Anchor
-                            <span class="kbd-hint">→</span>
-                        </button>
-                        <button class="btn btn-secondary" data-action="edit-and-approve" data-id="${insightId}">
-                            ✎ Edit & Approve
-                            <span class="kbd-hint">E</span>
-                        </button>
-                        <button class="btn btn-secondary" data-action="skip-insight" data-id="${insightId}">
-                            ↷ Skip for Later
-                            <span class="kbd-hint">↓</span>
-                        </button>
-                        <button class="btn btn-secondary danger" data-action="reject-insight" data-id="${insightId}">
-                            ✗ Reject Permanently
-                            <span class="kbd-hint">←</span>
-                        </button>
-                    </div>
+                await this.saveAnchorChanges(() => {
+                    const versioned = this.appendVersion(anchor, updated, 'edit', { changed });
+                    this.anchors = this.anchors.map(a => a.id === anchorId ? versioned : a);
+                }, { action: 'anchor.edit', details: { changed } });
 
-                    ${this.readOnly ? `
-                        <div class="review-notice">
-                            <strong>Read-Only Mode:</strong> Actions are simulated. No files will be modified.
-                        </div>
-                    ` : ''}
-                </div>
+                this.showFeedback('✓ Anchor updated', 'success');
+                this.render();
+            }
+        }).open();
+    }
 
-                <!-- Navigation -->
-                <div class="review-navigation">
-                    <button class="btn btn-secondary" data-action="prev-insight" ${this.reviewIndex === 0 ? 'disabled' : ''}>
-                        ← Previous
-                    </button>
-                    <span class="nav-position">${progress} / ${total}</span>
-                    <button class="btn btn-secondary" data-action="next-insight" ${this.reviewIndex >= total - 1 ? 'disabled' : ''}>
-                        Next →
-                    </button>
+    /**
+     * Archive anchor with a reason (moves it to the archived list)
+     */
+    archiveAnchor(anchorId) {
+        const anchor = this.anchors.find(a => a.id === anchorId);
+        if (!anchor) return;
+
+        new Modal({
+            title: '🗄 Archive Anchor',
+            body: `
+                <div class="modal-quote">"${this.escapeHtml(anchor.statement)}"</div>
+                <label class="form-field">
+                    <span class="form-label">Reason</span>
+                    <textarea name="reason" rows="3" required
+                        placeholder="e.g. No longer accurate since switching teams"></textarea>
+                </label>
+                <p class="form-hint">Archived anchors are removed from generated context but can be restored later.</p>
+            `,
+            submitLabel: 'Archive',
+            danger: true,
+            onSubmit: async (values) => {
+                if (!values.reason) {
+                    throw new Error('Please give a reason for archiving');
+                }
+
+                const archivedAnchor = this.buildArchivedAnchor(anchor, values.reason);
+
+                await this.saveAnchorChanges(() => {
+                    this.anchors = this.anchors.filter(a => a.id !== anchorId);
+                    this.archived.push(archivedAnchor);
+                }, { action: 'anchor.archive', details: { reason: values.reason } });
+
+                this.showFeedback('🗄 Anchor archived', 'info');
+                this.render();
+            }
+        }).open();
+    }
+
+    /**
+     * Return the archived copy of an anchor, with the archive recorded in its history
+     */
+    buildArchivedAnchor(anchor, reason) {
+        return this.appendVersion(anchor, {
+            ...anchor,
+            archived_at: new Date().toISOString(),
+            archive_reason: reason
+        }, 'archive', { reason });
+    }
+
+    /**
+     * Get contradictory anchor pairs that haven't been dismissed
+     */
+    getConflicts() {
+        const engine = this.getSimilarityEngine();
+        if (!this.conflictCache || this.conflictCache.anchors !== this.anchors || this.conflictCache.engine !== engine) {
+            this.conflictCache = {
+                anchors: this.anchors,
+                engine,
+                conflicts: new ConflictDetector(engine).findConflicts(this.anchors)
+            };
+        }
+
+        return this.conflictCache.conflicts.filter(conflict => !this.dismissedConflicts.has(conflict.id));
+    }
+
+    /**
+     * Render one side of the conflict dialog
+     */
+    renderConflictSide(anchor, side) {
+        return `
+            <div class="conflict-side">
+                <div class="conflict-statement">"${this.escapeHtml(anchor.statement)}"</div>
+                <div class="conflict-meta">
+                    <div>Created ${this.formatDate(anchor.created)}</div>
+                    <div>${this.escapeHtml(this.describeAnchorSource(anchor, true))}</div>
+                    ${anchor.scope ? `<div>Scope: <code>${this.escapeHtml(anchor.scope)}</code></div>` : ''}
                 </div>
+                ${anchor.notes ? `<div class="anchor-notes">${this.escapeHtml(anchor.notes)}</div>` : ''}
+                <button type="button" class="btn btn-primary" data-resolve="keep-${side}" ${this.readOnly ? 'disabled' : ''}>
+                    Keep this one
+                </button>
             </div>
         `;
-
-        // Attach event listeners for review actions
-        this.attachReviewListeners();
     }
 
     /**
-     * Attach event listeners for review interface
+     * Show the side-by-side resolve dialog for a conflicting pair
      */
-    attachReviewListeners() {
-        this.container.addEventListener('click', (e) => {
-            const action = e.target.closest('[data-action]')?.dataset.action;
-            const id = e.target.closest('[data-id]')?.dataset.id;
+    showConflictDialog(conflictId) {
+        const conflict = this.getConflicts().find(c => c.id === conflictId);
+        if (!conflict) return;
+        const { a, b } = conflict;
 
-            if (!action) return;
+        new Modal({
+            title: '⚔️ Resolve Conflict',
+            wide: true,
+            cancelLabel: 'Close',
+            body: `
+                <p class="form-hint">
+                    ${conflict.reason === 'antonym' ? `Opposing terms: <strong>${this.escapeHtml(conflict.detail)}</strong>` : this.escapeHtml(conflict.detail)}
+                    · both are in ${this.formatCategory(a.category || 'uncategorized')} and end up in generated context.
+                </p>
+                <input type="hidden" name="resolution" value="">
+                <div class="conflict-columns">
+                    ${this.renderConflictSide(a, 'a')}
+                    ${this.renderConflictSide(b, 'b')}
+                </div>
 
-            switch (action) {
-                case 'exit-review':
-                    this.exitReview();
-                    break;
-                case 'approve-insight':
-                    this.approveInsight(id);
-                    break;
-                case 'edit-and-approve':
-                    this.editAndApprove(id);
-                    break;
-                case 'skip-insight':
-                    this.skipInsight(id);
-                    break;
-                case 'reject-insight':
-                    this.rejectInsight(id);
-                    break;
-                case 'prev-insight':
-                    this.navigateReview(-1);
-                    break;
-                case 'next-insight':
-                    this.navigateReview(1);
-                    break;
+                <details class="conflict-option">
+                    <summary>Merge into one anchor</summary>
+                    <label class="form-field">
+                        <span class="form-label">Combined statement</span>
+                        <textarea name="statement" rows="2">${this.escapeHtml(a.statement)}</textarea>
+                    </label>
+                    <p class="form-hint">Updates the first anchor and archives the second.</p>
+                    <button type="button" class="btn btn-secondary" data-resolve="merge" ${this.readOnly ? 'disabled' : ''}>Merge</button>
+                </details>
+
+                <details class="conflict-option">
+                    <summary>Scope each to a project</summary>
+                    <label class="form-field">
+                        <span class="form-label">Project for "${this.escapeHtml(a.statement)}"</span>
+                        <input type="text" name="scope_a" value="${this.escapeHtml(a.scope || '')}" placeholder="e.g. ~/code/api-server">
+                    </label>
+                    <label class="form-field">
+                        <span class="form-label">Project for "${this.escapeHtml(b.statement)}"</span>
+                        <input type="text" name="scope_b" value="${this.escapeHtml(b.scope || '')}" placeholder="e.g. ~/code/docs-site">
+                    </label>
+                    <button type="button" class="btn btn-secondary" data-resolve="scope" ${this.readOnly ? 'disabled' : ''}>Apply scopes</button>
+                </details>
+
+                <button type="button" class="btn-link" data-resolve="dismiss">Not a conflict - stop flagging this pair</button>
+            `,
+            onOpen: (form) => {
+                // Each resolution button submits the form with its choice
+                form.addEventListener('click', (e) => {
+                    const button = e.target.closest('[data-resolve]');
+                    if (!button || button.disabled) return;
+
+                    form.querySelector('[name="resolution"]').value = button.dataset.resolve;
+                    form.requestSubmit();
+                });
+            },
+            onSubmit: async (values) => {
+                if (!values.resolution) return false;
+
+                await this.resolveConflict(conflict, values);
+                this.render();
             }
-        });
+        }).open();
     }
 
     /**
-     * Setup keyboard shortcuts for review
+     * Apply a conflict resolution: keep-a | keep-b | merge | scope | dismiss
      */
-    setupKeyboardShortcuts() {
-        this.keyHandler = (e) => {
-            if (this.currentView !== 'review') return;
+    async resolveConflict({ id, a, b }, values) {
+        const now = new Date().toISOString();
 
-            switch (e.key) {
-                case 'ArrowRight':
-                    e.preventDefault();
-                    this.approveInsight();
-                    break;
-                case 'ArrowLeft':
-                    e.preventDefault();
-                    this.rejectInsight();
-                    break;
-                case 'ArrowDown':
-                    e.preventDefault();
-                    this.skipInsight();
-                    break;
-                case 'e':
-                case 'E':
-                    e.preventDefault();
-                    this.editAndApprove();
-                    break;
-                case 'Escape':
-                    e.preventDefault();
-                    this.exitReview();
-                    break;
+        switch (values.resolution) {
+            case 'dismiss':
+                this.dismissedConflicts.add(id);
+                localStorage.setItem('dismissedConflicts', JSON.stringify([...this.dismissedConflicts]));
+                this.showFeedback('Pair will no longer be flagged', 'info');
+                return;
+
+            case 'keep-a':
+            case 'keep-b': {
+                const [kept, dropped] = values.resolution === 'keep-a' ? [a, b] : [b, a];
+                await this.saveAnchorChanges(() => {
+                    this.anchors = this.anchors.filter(anchor => anchor.id !== dropped.id);
+                    this.archived.push(this.buildArchivedAnchor(dropped, `Conflicted with "${kept.statement}"`));
+                }, { action: 'conflict.resolve', details: { conflict: id, resolution: values.resolution } });
+                this.showFeedback('🗄 Conflicting anchor archived', 'info');
+                return;
+            }
+
+            case 'merge': {
+                if (!values.statement) {
+                    throw new Error('Enter the combined statement');
+                }
+                const merged = this.appendVersion(a, {
+                    ...a,
+                    statement: values.statement,
+                    modified: now
+                }, 'edit', { changed: ['statement'] });
+
+                await this.saveAnchorChanges(() => {
+                    this.anchors = this.anchors
+                        .filter(anchor => anchor.id !== b.id)
+                        .map(anchor => anchor.id === a.id ? merged : anchor);
+                    this.archived.push(this.buildArchivedAnchor(b, `Merged into "${values.statement}"`));
+                }, { action: 'conflict.resolve', details: { conflict: id, resolution: 'merge' } });
+                this.showFeedback('✓ Anchors merged', 'success');
+                return;
             }
-        };
 
-        document.addEventListener('keydown', this.keyHandler);
-    }
+            case 'scope': {
+                const scopeA = normalizeProjectPath(values.scope_a);
+                const scopeB = normalizeProjectPath(values.scope_b);
+                if (!scopeA || !scopeB) {
+                    throw new Error('Enter a project for both anchors');
+                }
+                // Overlapping scopes (same path, parent path, matching glob) would still conflict
+                if (scopeMatches(scopeA, scopeB) || scopeMatches(scopeB, scopeA)) {
+                    throw new Error('Use projects that don\'t overlap, or keep / merge instead');
+                }
+                const scoped = new Map([[a.id, scopeA], [b.id, scopeB]]);
 
-    /**
-     * Remove keyboard shortcuts
-     */
-    removeKeyboardShortcuts() {
-        if (this.keyHandler) {
-            document.removeEventListener('keydown', this.keyHandler);
-            this.keyHandler = null;
+                await this.saveAnchorChanges(() => {
+                    this.anchors = this.anchors.map(anchor => scoped.has(anchor.id)
+                        ? this.appendVersion(anchor, { ...anchor, scope: scoped.get(anchor.id), modified: now },
+                            'edit', { changed: ['scope'] })
+                        : anchor);
+                }, { action: 'conflict.resolve', details: { conflict: id, resolution: 'scope' } });
+                this.showFeedback('✓ Anchors scoped to projects', 'success');
+                return;
+            }
         }
     }
 
     /**
-     * Get evidence for an insight
+     * When an anchor is next due for re-validation (null if it never expires)
      */
-    getInsightEvidence(insight) {
-        // Extract evidence from insight data
-        const evidence = [];
-
-        if (insight.evidence && Array.isArray(insight.evidence)) {
-            return insight.evidence.map(e => ({
-                date: e.timestamp || e.date || e.chat_timestamp,
-                text: e.excerpt || e.text || e.content || 'Evidence text'
-            }));
+    getRevalidationDate(anchor) {
+        if (anchor.review_after) {
+            return new Date(anchor.review_after);
         }
-
-        // Fallback: create mock evidence from metadata
-        if (insight.source_conversations && Array.isArray(insight.source_conversations)) {
-            return insight.source_conversations.slice(0, 5).map(conv => ({
-                date: conv.timestamp || conv.date,
-                text: `Referenced in conversation ${conv.id || 'unknown'}`
-            }));
+        if (anchor.revalidate_every_days > 0) {
+            const base = new Date(anchor.last_validated || anchor.created);
+            return new Date(base.getTime() + anchor.revalidate_every_days * DAY_MS);
         }
+        return null;
+    }
 
-        return evidence;
+    /**
+     * Active anchors whose re-validation date has passed, oldest first
+     */
+    getAnchorsDueForRevalidation(now = new Date()) {
+        return this.anchors
+            .map(anchor => ({ anchor, due: this.getRevalidationDate(anchor) }))
+            .filter(({ due }) => due && !isNaN(due) && due <= now)
+            .sort((a, b) => a.due - b.due)
+            .map(({ anchor }) => anchor);
     }
 
     /**
-     * Find similar existing anchors
+     * Insights seen since the anchor was created (or last confirmed) that
+     * support or contradict it
      */
-    findSimilarAnchors(insightText) {
-        const similar = [];
-        const insightWords = new Set(
-            insightText.toLowerCase()
-                .replace(/[^\w\s]/g, '')
-                .split(/\s+/)
-                .filter(w => w.length > 3)
-        );
+    getRevalidationEvidence(anchor) {
+        const since = new Date(anchor.last_validated || anchor.created || 0);
+        const engine = this.getSimilarityEngine();
+        const detector = new ConflictDetector(engine);
+        const supporting = [];
+        const contradicting = [];
 
-        for (const anchor of this.anchors) {
-            const anchorWords = new Set(
-                anchor.statement.toLowerCase()
-                    .replace(/[^\w\s]/g, '')
-                    .split(/\s+/)
-                    .filter(w => w.length > 3)
-            );
+        this.insights.forEach(insight => {
+            const seen = insight.last_observed || insight.updated || insight.chat_timestamp || insight.created;
+            if (!seen || new Date(seen) <= since) return;
 
-            // Calculate Jaccard similarity
-            const intersection = new Set([...insightWords].filter(w => anchorWords.has(w)));
-            const union = new Set([...insightWords, ...anchorWords]);
-            const similarity = intersection.size / union.size;
+            const text = this.getInsightText(insight);
+            const similarity = engine.compare(anchor.statement, text);
+            if (similarity < engine.threshold) return;
 
-            if (similarity > 0.4) { // 40% similarity threshold
-                similar.push({
-                    ...anchor,
-                    similarity
-                });
+            const entry = { insight, text, similarity, seen };
+            if (detector.compareStatements(anchor.statement, text)) {
+                contradicting.push(entry);
+            } else {
+                supporting.push(entry);
             }
-        }
+        });
 
-        return similar.sort((a, b) => b.similarity - a.similarity);
+        const bySimilarity = (a, b) => b.similarity - a.similarity;
+        return { since, supporting: supporting.sort(bySimilarity), contradicting: contradicting.sort(bySimilarity) };
     }
 
     /**
-     * Navigate through review items
+     * Start walking through anchors due for re-validation
      */
-    navigateReview(delta) {
-        const newIndex = this.reviewIndex + delta;
-        if (newIndex >= 0 && newIndex < this.pendingInsights.length) {
-            this.reviewIndex = newIndex;
-            this.renderReviewInterface();
+    startRevalidation() {
+        this.revalidateQueue = this.getAnchorsDueForRevalidation().map(anchor => anchor.id);
+        this.revalidateIndex = 0;
+        this.currentView = 'revalidate';
+        this.render();
+    }
+
+    /**
+     * Move to the next due anchor, returning to the overview after the last one
+     */
+    nextRevalidation() {
+        this.revalidateIndex++;
+        if (this.revalidateIndex >= this.revalidateQueue.length) {
+            this.currentView = 'overview';
+            this.showFeedback('✓ Re-validation complete', 'success');
         }
+        this.render();
     }
 
     /**
-     * Approve insight as anchor
+     * Render the re-validation card for the current anchor
      */
-    approveInsight(id) {
-        const insight = this.pendingInsights[this.reviewIndex];
-        const insightId = id || insight.id || insight.insight_id || `insight_${this.reviewIndex}`;
+    renderRevalidationView() {
+        const anchor = this.anchors.find(a => a.id === this.revalidateQueue[this.revalidateIndex]);
+        if (!anchor) {
+            this.currentView = 'overview';
+            return this.renderOverview();
+        }
 
-        console.log('Approving insight:', insightId);
+        const { since, supporting, contradicting } = this.getRevalidationEvidence(anchor);
+        const renderEvidence = (entries) => entries.slice(0, 5).map(entry => `
+            <div class="evidence-item">
+                <div class="evidence-date">${this.formatDate(entry.seen)} · ${(entry.similarity * 100).toFixed(0)}% match</div>
+                <div class="evidence-text">"${this.escapeHtml(entry.text)}"</div>
+            </div>
+        `).join('');
 
-        this.reviewDecisions.push({
-            insightId,
-            action: 'approve',
-            statement: insight.insight || insight.content,
-            category: insight.category,
-            timestamp: new Date().toISOString()
-        });
+        return `
+            <div class="review-container">
+                <div class="review-header">
+                    <button class="btn-link" data-action="exit-revalidation">← Back to Overview</button>
+                    <div class="review-progress">
+                        <span class="progress-text">${this.revalidateIndex + 1} of ${this.revalidateQueue.length}</span>
+                    </div>
+                </div>
 
-        this.reviewedInsights.add(insightId);
+                <div class="insight-review-card">
+                    <div class="insight-header">
+                        <span class="insight-category-badge">${this.formatCategory(anchor.category || 'uncategorized')}</span>
+                        <span class="insight-id">Due ${this.formatDate(this.getRevalidationDate(anchor))}</span>
+                    </div>
 
-        // Show feedback
-        this.showFeedback('✓ Would create anchor (read-only mode)', 'success');
+                    <div class="insight-statement">"${this.escapeHtml(anchor.statement)}"</div>
 
-        // Move to next
-        setTimeout(() => this.navigateReview(1), 800);
-    }
+                    <div class="insight-meta">
+                        <div class="meta-item">
+                            <span class="meta-label">Created:</span>
+                            <span class="meta-value">${this.formatDate(anchor.created)}</span>
+                        </div>
+                        <div class="meta-item">
+                            <span class="meta-label">Last confirmed:</span>
+                            <span class="meta-value">${anchor.last_validated ? this.formatDate(anchor.last_validated) : 'Never'}</span>
+                        </div>
+                        <div class="meta-item">
+                            <span class="meta-label">Scope:</span>
+                            <span class="meta-value">${this.escapeHtml(describeScope(anchor.scope))}</span>
+                        </div>
+                    </div>
 
-    /**
-     * Skip insight for later review
-     */
-    skipInsight(id) {
-        const insight = this.pendingInsights[this.reviewIndex];
-        const insightId = id || insight.id || insight.insight_id || `insight_${this.reviewIndex}`;
+                    <div class="evidence-section">
+                        <h4>✓ Supporting insights since ${this.formatDate(since)} (${supporting.length})</h4>
+                        ${supporting.length > 0
+                            ? `<div class="evidence-list">${renderEvidence(supporting)}</div>`
+                            : '<div class="no-evidence">No new supporting insights</div>'}
+                    </div>
 
-        console.log('Skipping insight:', insightId);
+                    <div class="evidence-section">
+                        <h4>✗ Contradicting insights (${contradicting.length})</h4>
+                        ${contradicting.length > 0
+                            ? `<div class="evidence-list">${renderEvidence(contradicting)}</div>`
+                            : '<div class="no-evidence">No new contradicting insights</div>'}
+                    </div>
 
-        this.reviewDecisions.push({
-            insightId,
-            action: 'skip',
-            timestamp: new Date().toISOString()
-        });
+                    <div class="review-actions">
+                        <button class="btn btn-primary" data-action="confirm-anchor" data-id="${this.escapeHtml(anchor.id)}" ${this.readOnly ? 'disabled' : ''}>
+                            ✓ Still True
+                        </button>
+                        <button class="btn btn-secondary" data-action="skip-revalidation">
+                            ↷ Decide Later
+                        </button>
+                        <button class="btn btn-secondary danger" data-action="reject-anchor" data-id="${this.escapeHtml(anchor.id)}" ${this.readOnly ? 'disabled' : ''}>
+                            ✗ No Longer True
+                        </button>
+                    </div>
 
-        this.showFeedback('↷ Skipped for later review', 'info');
-        setTimeout(() => this.navigateReview(1), 500);
+                    <div class="review-notice">
+                        Confirming resets the re-validation clock. Rejecting archives the anchor.
+                    </div>
+                </div>
+            </div>
+        `;
     }
 
     /**
-     * Reject insight permanently
+     * Confirm an anchor still holds, resetting its re-validation clock
      */
-    rejectInsight(id) {
-        const insight = this.pendingInsights[this.reviewIndex];
-        const insightId = id || insight.id || insight.insight_id || `insight_${this.reviewIndex}`;
-
-        console.log('Rejecting insight:', insightId);
+    async confirmAnchor(anchorId) {
+        const anchor = this.anchors.find(a => a.id === anchorId);
+        if (!anchor) return;
 
-        this.reviewDecisions.push({
-            insightId,
-            action: 'reject',
-            statement: insight.insight || insight.content,
-            category: insight.category,
-            timestamp: new Date().toISOString()
-        });
+        const now = new Date();
+        const updated = { ...anchor, last_validated: now.toISOString() };
 
-        this.reviewedInsights.add(insightId);
+        // A fixed review date moves forward by the same interval it had
+        if (anchor.review_after) {
+            const interval = new Date(anchor.review_after) - new Date(anchor.last_validated || anchor.created);
+            const next = new Date(now.getTime() + (interval > DAY_MS ? interval : DEFAULT_REVALIDATION_DAYS * DAY_MS));
+            updated.review_after = next.toISOString().slice(0, 10);
+        }
 
-        this.showFeedback('✗ Would reject permanently (read-only mode)', 'warning');
-        setTimeout(() => this.navigateReview(1), 800);
+        try {
+            await this.saveAnchorChanges(() => {
+                const versioned = this.appendVersion(anchor, updated, 'validate');
+                this.anchors = this.anchors.map(a => a.id === anchorId ? versioned : a);
+            }, { action: 'anchor.validate' });
+            this.showFeedback('✓ Anchor confirmed', 'success');
+            this.nextRevalidation();
+        } catch (error) {
+            console.error('Error confirming anchor:', error);
+            this.showFeedback(`Failed to save: ${error.message}`, 'error');
+        }
     }
 
     /**
-     * Edit and approve insight
+     * Reject an anchor during re-validation (archives it)
      */
-    editAndApprove(id) {
-        const insight = this.pendingInsights[this.reviewIndex];
-        const insightId = id || insight.id || insight.insight_id || `insight_${this.reviewIndex}`;
-        const currentText = insight.insight || insight.content || '';
+    async rejectAnchor(anchorId) {
+        const anchor = this.anchors.find(a => a.id === anchorId);
+        if (!anchor) return;
 
-        const newText = prompt('Edit insight text:', currentText);
+        try {
+            await this.saveAnchorChanges(() => {
+                this.anchors = this.anchors.filter(a => a.id !== anchorId);
+                this.archived.push(this.buildArchivedAnchor(anchor, 'No longer true (re-validation)'));
+            }, { action: 'anchor.archive', details: { reason: 'No longer true (re-validation)' } });
+            this.showFeedback('🗄 Anchor archived', 'info');
+            this.nextRevalidation();
+        } catch (error) {
+            console.error('Error archiving anchor:', error);
+            this.showFeedback(`Failed to save: ${error.message}`, 'error');
+        }
+    }
 
-        if (newText && newText !== currentText) {
-            console.log('Editing and approving:', insightId, newText);
+    /**
+     * Restore an archived anchor to the active list
+     */
+    async restoreAnchor(anchorId) {
+        const anchor = this.archived.find(a => a.id === anchorId);
+        if (!anchor) return;
 
-            this.reviewDecisions.push({
-                insightId,
-                action: 'approve_edited',
-                original: currentText,
-                statement: newText,
-                category: insight.category,
-                timestamp: new Date().toISOString()
-            });
+        const { archived_at, archive_reason, ...restored } = anchor;
+        restored.modified = new Date().toISOString();
 
-            this.reviewedInsights.add(insightId);
-            this.showFeedback('✓ Would create edited anchor (read-only mode)', 'success');
-            setTimeout(() => this.navigateReview(1), 800);
+        try {
+            await this.saveAnchorChanges(() => {
+                this.archived = this.archived.filter(a => a.id !== anchorId);
+                this.anchors.push(this.appendVersion(anchor, restored, 'restore'));
+            }, { action: 'anchor.restore' });
+            this.showFeedback('✓ Anchor restored', 'success');
+            this.render();
+        } catch (error) {
+            console.error('Error restoring anchor:', error);
+            this.showFeedback(`Failed to restore anchor: ${error.message}`, 'error');
         }
     }
 
     /**
-     * Show feedback message
+     * Get the most recent change time for each anchor in CLAUDE.md (edit, creation, archive).
+     * Project-scoped anchors go to per-project exports, so only global ones count,
+     * plus anchors whose last edit moved them out of the global scope.
      */
-    showFeedback(message, type = 'info') {
-        const colors = {
-            success: '#30D158',
-            warning: '#FF9F0A',
-            error: '#FF453A',
-            info: '#0A84FF'
+    getAnchorChangeTimes() {
+        const isGlobal = scope => scopeMatches(scope, null);
+        const leftGlobal = anchor => {
+            const versions = anchor.versions || [];
+            return versions.length > 1 && isGlobal(versions[versions.length - 2].scope);
         };
 
-        const feedback = document.createElement('div');
-        feedback.style.cssText = `
-            position: fixed;
-            top: 80px;
-            right: 20px;
-            background: ${colors[type]};
-            color: white;
-            padding: 12px 20px;
-            border-radius: 8px;
-            font-size: 14px;
-            font-weight: 500;
-            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
-            z-index: 10000;
-            animation: slideIn 0.3s ease;
-        `;
-        feedback.textContent = message;
-        document.body.appendChild(feedback);
+        return [
+            ...this.anchors.filter(a => isGlobal(a.scope) || leftGlobal(a)).map(a => a.modified || a.created),
+            ...this.archived.filter(a => isGlobal(a.scope)).map(a => a.archived_at)
+        ].filter(Boolean);
+    }
 
-        setTimeout(() => {
-            feedback.style.animation = 'slideOut 0.3s ease';
-            setTimeout(() => feedback.remove(), 300);
-        }, 2000);
+    /**
+     * Compare anchor modification times against the last CLAUDE.md generation.
+     * state: current | missing | stale
+     */
+    getClaudeMdStatus() {
+        const { exists, generatedAt } = this.claudeMd;
+
+        if (!exists) {
+            return { state: this.getAnchorsForProject(null).length > 0 ? 'missing' : 'current', generatedAt: null, changedCount: 0 };
+        }
+
+        const generatedTime = generatedAt ? new Date(generatedAt).getTime() : 0;
+        const changedCount = this.getAnchorChangeTimes()
+            .filter(time => new Date(time).getTime() > generatedTime)
+            .length;
+
+        return {
+            state: changedCount > 0 ? 'stale' : 'current',
+            generatedAt,
+            changedCount
+        };
     }
 
     /**
-     * Exit review and return to overview
+     * Show the CLAUDE.md generator with template editor and diff preview
      */
-    exitReview() {
-        this.removeKeyboardShortcuts();
-        this.currentView = 'overview';
+    showClaudeMdGenerator() {
+        // Project-scoped anchors go to per-project exports, not the global CLAUDE.md
+        const generate = (template) =>
+            new ContextGenerator(template).generate(this.getAnchorsForProject(null));
 
-        // Show summary if any decisions were made
-        if (this.reviewDecisions.length > 0) {
-            const approved = this.reviewDecisions.filter(d => d.action === 'approve' || d.action === 'approve_edited').length;
-            const rejected = this.reviewDecisions.filter(d => d.action === 'reject').length;
-            const skipped = this.reviewDecisions.filter(d => d.action === 'skip').length;
+        new Modal({
+            title: '📄 Generate CLAUDE.md',
+            wide: true,
+            body: `
+                <div class="generator-summary" data-role="diff-summary"></div>
+                <details class="template-editor">
+                    <summary>Edit template</summary>
+                    <label class="form-field">
+                        <textarea name="template" rows="12" spellcheck="false">${this.escapeHtml(this.claudeMdTemplate)}</textarea>
+                    </label>
+                    <div class="form-hint">
+                        Placeholders: <code>{{anchor_count}}</code> <code>{{category_count}}</code> <code>{{generated_at}}</code>,
+                        and inside <code>{{#each_category}}…{{/each_category}}</code>:
+                        <code>{{category_title}}</code> <code>{{anchor_list}}</code> <code>{{anchor_list_with_notes}}</code>
+                    </div>
+                    <button type="button" class="btn-link" data-role="reset-template">Reset to default</button>
+                </details>
+                <div class="diff-view" data-role="diff-view"></div>
+            `,
+            submitLabel: this.readOnly ? 'Download CLAUDE.md' : 'Write CLAUDE.md',
+            onOpen: (form) => {
+                const textarea = form.querySelector('textarea[name="template"]');
+                const update = () => this.renderDiffPreview(form, this.claudeMd.content, generate(textarea.value));
 
-            console.log('Review session complete:', {
-                approved,
-                rejected,
-                skipped,
-                decisions: this.reviewDecisions
-            });
+                textarea.addEventListener('input', update);
+                form.querySelector('[data-role="reset-template"]').addEventListener('click', () => {
+                    textarea.value = DEFAULT_CLAUDE_MD_TEMPLATE;
+                    update();
+                });
+                update();
+            },
+            onSubmit: async (values) => {
+                const generatedAt = new Date().toISOString();
+                const content = new ContextGenerator(values.template).generate(this.getAnchorsForProject(null), { generatedAt });
 
-            alert(`Review Session Summary:\n\n✓ Approved: ${approved}\n✗ Rejected: ${rejected}\n↷ Skipped: ${skipped}\n\n(Read-only mode - no changes saved)`);
-        }
+                this.claudeMdTemplate = values.template;
+                localStorage.setItem('claudeMdTemplate', values.template);
 
-        this.render();
+                if (this.readOnly) {
+                    this.downloadFile('CLAUDE.md', content, 'text/markdown');
+                    return;
+                }
+
+                await this.api.saveContextFile('CLAUDE.md', content);
+                this.auditLog.record('export', { details: { target: 'claude', mode: 'write', paths: ['CLAUDE.md'] } });
+                this.claudeMd = { exists: true, content, generatedAt };
+                this.showFeedback('✓ CLAUDE.md written', 'success');
+                this.render();
+            }
+        }).open();
     }
 
     /**
-     * Finish review when all insights processed
+     * Show the multi-target export dialog (GEMINI.md, AGENTS.md, Cursor rules, JSON)
      */
-    finishReview() {
-        this.removeKeyboardShortcuts();
-        this.currentView = 'overview';
+    showExportDialog() {
+        const exporter = this.contextExporter;
+        const categoryCounts = this.anchors.reduce((acc, anchor) => {
+            const category = anchor.category || 'uncategorized';
+            acc[category] = (acc[category] || 0) + 1;
+            return acc;
+        }, {});
+        const categories = Object.keys(categoryCounts).sort();
 
-        const approved = this.reviewDecisions.filter(d => d.action === 'approve' || d.action === 'approve_edited').length;
-        const rejected = this.reviewDecisions.filter(d => d.action === 'reject').length;
-        const skipped = this.reviewDecisions.filter(d => d.action === 'skip').length;
+        const projects = this.getKnownProjects();
+        let project = null;
 
-        alert(`Review Complete!\n\n✓ Approved: ${approved}\n✗ Rejected: ${rejected}\n↷ Skipped: ${skipped}\n\nAll insights have been reviewed.\n\n(Read-only mode - no changes saved)`);
+        const describeOutput = (targetId) => {
+            const files = exporter.buildFiles(targetId, this.anchors, { project });
+            const count = exporter.filterAnchors(targetId, this.anchors, project).length;
+            return `${count} anchor${count === 1 ? '' : 's'} → ${files.length} file${files.length === 1 ? '' : 's'}`;
+        };
+        const describePath = (target) => project ? `${projectDirectory(project)}/${target.path}` : target.path;
 
-        this.render();
+        new Modal({
+            title: '📤 Export Context',
+            wide: true,
+            cancelLabel: 'Close',
+            body: `
+                <p class="form-hint">
+                    Export active anchors for other tools. Category choices are saved per target.
+                    Files are written to <code>ai-memory-sync/output/context/</code>.
+                </p>
+                <label class="form-field">
+                    <span class="form-label">Project</span>
+                    <select name="project" data-role="export-project">
+                        <option value="">Global - unscoped anchors only</option>
+                        ${projects.map(path => `<option value="${this.escapeHtml(path)}">${this.escapeHtml(path)}</option>`).join('')}
+                    </select>
+                    <span class="form-hint">A project export combines global anchors with those scoped to the project.</span>
+                </label>
+                ${exporter.getTargets().map(target => `
+                    <div class="export-target" data-target="${target.id}">
+                        <div class="export-target-header">
+                            <div>
+                                <div class="export-target-title">${target.label}</div>
+                                <div class="form-hint">${target.description}</div>
+                            </div>
+                            <code class="export-target-path" data-role="export-path">${this.escapeHtml(describePath(target))}</code>
+                        </div>
+                        <div class="export-categories">
+                            ${categories.length === 0 ? '<span class="form-hint">No active anchors</span>' : categories.map(category => `
+                                <label class="export-category">
+                                    <input type="checkbox" data-category="${this.escapeHtml(category)}"
+                                        ${exporter.isCategoryIncluded(target.id, category) ? 'checked' : ''}>
+                                    ${this.formatCategory(category)} (${categoryCounts[category]})
+                                </label>
+                            `).join('')}
+                        </div>
+                        <div class="export-target-footer">
+                            <span class="form-hint" data-role="export-count">${describeOutput(target.id)}</span>
+                            <div class="section-actions">
+                                <button type="button" class="btn btn-secondary" data-export-action="download">Download</button>
+                                <button type="button" class="btn btn-primary" data-export-action="write" ${this.readOnly ? 'disabled' : ''}>
+                                    Write to disk
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                `).join('')}
+            `,
+            onOpen: (form) => {
+                form.addEventListener('change', (e) => {
+                    if (e.target.matches('[data-role="export-project"]')) {
+                        project = e.target.value || null;
+                        form.querySelectorAll('.export-target').forEach(targetEl => {
+                            const target = exporter.getTarget(targetEl.dataset.target);
+                            targetEl.querySelector('[data-role="export-count"]').textContent = describeOutput(target.id);
+                            targetEl.querySelector('[data-role="export-path"]').textContent = describePath(target);
+                        });
+                        return;
+                    }
+
+                    const checkbox = e.target.closest('input[data-category]');
+                    if (!checkbox) return;
+
+                    const targetEl = checkbox.closest('.export-target');
+                    exporter.setCategoryIncluded(targetEl.dataset.target, checkbox.dataset.category, checkbox.checked);
+                    targetEl.querySelector('[data-role="export-count"]').textContent = describeOutput(targetEl.dataset.target);
+                });
+
+                form.addEventListener('click', async (e) => {
+                    const button = e.target.closest('[data-export-action]');
+                    if (!button) return;
+
+                    const targetId = button.closest('.export-target').dataset.target;
+                    button.disabled = true;
+                    try {
+                        await this.exportTarget(targetId, button.dataset.exportAction, project);
+                    } finally {
+                        button.disabled = button.dataset.exportAction === 'write' && this.readOnly;
+                    }
+                });
+            }
+        }).open();
     }
 
     /**
-     * Format date for display
+     * Export a single target by download or write-to-disk
      */
-    formatDate(dateString) {
-        if (!dateString || dateString === 'Unknown') return 'Unknown';
+    async exportTarget(targetId, mode, project = null) {
+        const target = this.contextExporter.getTarget(targetId);
+        const files = this.contextExporter.buildFiles(targetId, this.anchors, { project });
+        const categoryFiles = this.contextExporter.getCategoryFiles(targetId, project);
+
+        // Per-category targets still write with no files, to clear out old ones
+        if (files.length === 0 && !(mode === 'write' && categoryFiles)) {
+            this.showFeedback(`Nothing to export for ${target.label}`, 'warning');
+            return;
+        }
+
+        const audit = { details: { target: targetId, mode, project, paths: files.map(file => file.path) } };
+
+        if (mode === 'download') {
+            files.forEach(file => this.downloadFile(file.filename, file.content, file.type));
+            this.auditLog.record('export', audit);
+            return;
+        }
 
         try {
-            const date = new Date(dateString);
-            return date.toLocaleDateString('en-US', {
-                year: 'numeric',
-                month: 'short',
-                day: 'numeric'
-            });
-        } catch (e) {
-            return dateString;
+            for (const file of files) {
+                await this.api.saveContextFile(file.path, file.content);
+            }
+
+            const removed = categoryFiles
+                ? this.contextExporter.findStaleFiles(targetId, await this.api.listContextFiles(categoryFiles.dir), files, project)
+                : [];
+            for (const path of removed) {
+                await this.api.deleteContextFile(path);
+            }
+            if (removed.length > 0) audit.details.removed = removed;
+
+            this.auditLog.record('export', audit);
+            const removedText = removed.length > 0 ? `, removed ${removed.length} stale` : '';
+            this.showFeedback(`✓ Wrote ${files.length} ${target.label} file${files.length === 1 ? '' : 's'}${removedText}`, 'success');
+        } catch (error) {
+            console.error(`Error exporting ${targetId}:`, error);
+            this.showFeedback(`Export failed: ${error.message}`, 'error');
         }
     }
 
     /**
-     * View anchor details
+     * Render a line diff between the current and generated file into a modal form
      */
-    viewAnchor(anchorId) {
-        const anchor = this.anchors.find(a => a.id === anchorId);
-        if (!anchor) return;
+    renderDiffPreview(form, currentContent, newContent) {
+        const diff = diffLines(currentContent, newContent);
+        const { added, removed } = diffStats(diff);
+        const prefixes = { add: '+', remove: '-', same: ' ' };
 
-        console.log('Viewing anchor:', anchor);
-        alert(`Anchor Details:\n\n${anchor.statement}\n\nCategory: ${anchor.category}\nCreated: ${anchor.created}\n\nFull details view coming soon!`);
-    }
+        form.querySelector('[data-role="diff-summary"]').innerHTML = added === 0 && removed === 0
+            ? '<span class="diff-stat">No changes from the current file</span>'
+            : `<span class="diff-stat added">+${added}</span> <span class="diff-stat removed">-${removed}</span>
+               <span class="form-hint">${currentContent ? 'compared with the current file' : 'new file'}</span>`;
 
-    /**
-     * Edit anchor (placeholder)
-     */
-    editAnchor(anchorId) {
-        console.log('Edit anchor:', anchorId);
-        alert('Edit functionality coming soon!');
+        form.querySelector('[data-role="diff-view"]').innerHTML = diff
+            .map(part => `<div class="diff-line diff-${part.type}"><span class="diff-prefix">${prefixes[part.type]}</span>${this.escapeHtml(part.text) || '&nbsp;'}</div>`)
+            .join('');
     }
 
     /**
-     * Archive anchor (placeholder)
+     * Trigger a browser download for generated content
      */
-    archiveAnchor(anchorId) {
-        console.log('Archive anchor:', anchorId);
-        alert('Archive functionality coming soon!');
+    downloadFile(filename, content, type = 'text/plain') {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 
     /**
-     * Show add anchor modal (placeholder)
+     * Format category name for display as plain text
      */
-    showAddAnchorModal() {
-        alert('Add new anchor functionality coming soon!\n\nYou will be able to create anchors manually without going through insight review.');
+    categoryTitle(category) {
+        return category
+            .split('_')
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
     }
 
     /**
-     * Format category name for display
+     * Format category name for display, escaped for HTML
      */
     formatCategory(category) {
-        return category
-            .split('_')
-            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-            .join(' ');
+        return this.escapeHtml(this.categoryTitle(category));
     }
 
     /**
@@ -919,7 +5155,8 @@ export class AnchorsModule {
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        // Quotes too, so the result is safe inside attribute values
+        return div.innerHTML.replace(/"/g, '&quot;');
     }
 
     /**
@@ -0,0 +1,217 @@
+// Audit Log Module
+// Append-only record of anchor changes, review decisions and exports
+// (state/insights/audit-log.jsonl, one JSON entry per line).
+//
+// Entries that change anchors carry `changes`: the anchor after the change
+// (without its version history), the versions the change added and which list
+// it ended up in, so anchors.json can be rebuilt by replaying the log from its
+// first (baseline) entry:
+//   { id, at, actor, action, anchor_ids, insight_ids, details,
+//     changes: [{ id, state: 'active' | 'archived' | 'deleted', anchor, versions }] }
+// Older entries store the whole anchor, versions included; replay accepts both.
+
+export const AUDIT_ACTIONS = {
+    'audit.baseline': 'Log started',
+    'audit.rebuild': 'Rebuilt from log',
+    'anchor.create': 'Anchor created',
+    'anchor.edit': 'Anchor edited',
+    'anchor.archive': 'Anchor archived',
+    'anchor.restore': 'Anchor restored',
+    'anchor.revert': 'Anchor reverted',
+    'anchor.validate': 'Anchor re-validated',
+    'anchor.external': 'Changed outside the hub',
+    'conflict.resolve': 'Conflict resolved',
+    'review.approve': 'Insight approved',
+    'review.reject': 'Insight rejected',
+    'review.skip': 'Insight skipped',
+    'review.merge': 'Insights merged',
+    'review.undo': 'Decision undone',
+    'review.redo': 'Decision redone',
+    'review.unreject': 'Insight un-rejected',
+    'policy.approve': 'Approved by policy',
+    'export': 'Export'
+};
+
+/**
+ * JSON with object keys sorted, so equal anchors serialise equally whatever their key order
+ */
+function stableStringify(value) {
+    return JSON.stringify(value, (key, item) => item && typeof item === 'object' && !Array.isArray(item)
+        ? Object.fromEntries(Object.entries(item).sort(([a], [b]) => a.localeCompare(b)))
+        : item);
+}
+
+/**
+ * Compare anchors by content (for lists read from disk, where nothing is shared)
+ */
+export function sameAnchorContent(a, b) {
+    return stableStringify(a) === stableStringify(b);
+}
+
+/**
+ * One change record: the anchor without its history, plus the versions added since `previous`
+ */
+function describeChange(anchor, state, previous) {
+    const { versions, ...rest } = anchor;
+    const change = { id: anchor.id, state, anchor: rest };
+
+    if (Array.isArray(versions)) {
+        const known = Math.max(0, ...(previous?.versions || []).map(v => v.version || 0));
+        const added = versions.filter(v => (v.version || 0) > known);
+        if (added.length > 0) change.versions = added;
+    }
+    return change;
+}
+
+/**
+ * Work out which anchors a change touched. By default relies on changed anchors
+ * being replaced rather than mutated, so unchanged anchors are the same objects.
+ * @param {Function} [isSame] - Compare an anchor with its previous copy
+ */
+export function diffAnchorLists(before, after, isSame = (a, b) => a === b) {
+    const previous = new Map();
+    before.anchors.forEach(anchor => previous.set(anchor.id, anchor));
+    before.archived.forEach(anchor => previous.set(anchor.id, anchor));
+    const wasArchived = new Set(before.archived.map(anchor => anchor.id));
+
+    const changes = [];
+    const seen = new Set();
+    const collect = (list, state) => list.forEach(anchor => {
+        seen.add(anchor.id);
+        const old = previous.get(anchor.id);
+        // Archiving or restoring moves an anchor between lists
+        const moved = old && wasArchived.has(anchor.id) !== (state === 'archived');
+        if (!old || moved || !isSame(old, anchor)) {
+            changes.push(describeChange(anchor, state, old));
+        }
+    });
+    collect(after.anchors, 'active');
+    collect(after.archived, 'archived');
+
+    previous.forEach((anchor, id) => {
+        if (!seen.has(id)) changes.push({ id, state: 'deleted' });
+    });
+
+    return changes;
+}
+
+/**
+ * Rebuild { anchors, archived } by applying every entry's changes in order
+ */
+export function replayAuditLog(entries) {
+    const state = new Map();
+
+    entries.forEach(entry => {
+        (entry.changes || []).forEach(change => {
+            // Map.set keeps an existing key's position, so anchors stay in creation order
+            if (change.state === 'deleted') {
+                state.delete(change.id);
+                return;
+            }
+
+            let anchor = change.anchor;
+            if (!anchor.versions) {
+                const versions = [...(state.get(change.id)?.anchor.versions || []), ...(change.versions || [])];
+                if (versions.length > 0) anchor = { ...anchor, versions };
+            }
+            state.set(change.id, { state: change.state, anchor });
+        });
+    });
+
+    const anchors = [];
+    const archived = [];
+    state.forEach(({ state: list, anchor }) => {
+        (list === 'archived' ? archived : anchors).push(anchor);
+    });
+
+    return { anchors, archived };
+}
+
+/**
+ * Parse JSONL text, skipping blank or malformed lines
+ */
+export function parseAuditLog(text) {
+    return text.split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                console.warn('Skipping malformed audit log line');
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+export class AuditLog {
+    /**
+     * @param {HubApi} api - Write-back server client (appends are skipped without it)
+     * @param {string} path - URL of audit-log.jsonl for reading
+     */
+    constructor(api, path) {
+        this.api = api;
+        this.path = path;
+        this.entries = null;
+    }
+
+    /**
+     * Load all entries (oldest first). Missing log = no entries.
+     */
+    async load() {
+        try {
+            const response = await fetch(this.path, { cache: 'no-store' });
+            this.entries = response.ok ? parseAuditLog(await response.text()) : [];
+        } catch (error) {
+            this.entries = [];
+        }
+        return this.entries;
+    }
+
+    /**
+     * Bring the log up to date with anchors.json as read from disk: start it with
+     * a baseline snapshot if it is empty, otherwise record whatever was changed
+     * outside the hub (sync, synthesizer, hand edits) so replay still gives the file.
+     */
+    async reconcile(anchors, archived) {
+        const entries = this.entries || await this.load();
+
+        if (entries.length === 0) {
+            await this.record('audit.baseline', {
+                changes: diffAnchorLists({ anchors: [], archived: [] }, { anchors, archived })
+            });
+            return;
+        }
+
+        const changes = diffAnchorLists(replayAuditLog(entries), { anchors, archived }, sameAnchorContent);
+        if (changes.length > 0) {
+            await this.record('anchor.external', { changes });
+        }
+    }
+
+    /**
+     * Append an entry. The server stamps the time and actor.
+     */
+    async record(action, { changes = [], anchorIds = null, insightIds = [], details = {} } = {}) {
+        if (!this.api?.isWritable()) return null;
+
+        const entry = {
+            id: `audit_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+            action,
+            anchor_ids: anchorIds || [...new Set(changes.map(change => change.id))],
+            insight_ids: insightIds,
+            details,
+            changes
+        };
+
+        try {
+            const saved = await this.api.appendAuditEntry(entry);
+            if (this.entries) this.entries.push(saved.entry);
+            return saved.entry;
+        } catch (error) {
+            // The change itself is already saved - don't fail it over the log
+            console.error('Could not write audit log entry:', error);
+            return null;
+        }
+    }
+}
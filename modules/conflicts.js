@@ -0,0 +1,158 @@
+// Conflict Detection Module
+// Flags contradictory anchor pairs within a category (negation and antonym heuristics)
+
+import { normalizeProjectPath, scopeMatches } from './scope.js';
+
+// Words that flip the polarity of a statement
+const NEGATION_PATTERN = /\b(not|no|never|don'?t|doesn'?t|shouldn'?t|avoids?|avoiding|dislikes?|hates?|without|stop|against)\b/i;
+
+// Pairs of opposing words. Matched after the similarity engine's normalisation,
+// so "terse" and "brief" both count as "concise".
+const DEFAULT_ANTONYMS = [
+    ['verbose', 'concise'],
+    ['detailed', 'concise'],
+    ['long', 'concise'],
+    ['formal', 'casual'],
+    ['formal', 'informal'],
+    ['tabs', 'spaces'],
+    ['dark', 'light'],
+    ['darkmode', 'lightmode'],
+    ['single', 'double'],
+    ['sync', 'async'],
+    ['synchronous', 'asynchronous'],
+    ['functional', 'object'],
+    ['minimal', 'extensive'],
+    ['simple', 'complex'],
+    ['strict', 'loose'],
+    ['camelcase', 'snakecase']
+];
+
+// Tokens that carry sentiment rather than topic
+const POLARITY_TOKENS = new Set(['prefer', 'avoid', 'not', 'no', 'dont', 'don', 'doesn', 'without', 'stop', 'against']);
+
+export class ConflictDetector {
+    /**
+     * @param {SimilarityEngine} engine - Indexed engine used for tokenising and topic similarity
+     * @param {Object} [options]
+     * @param {number} [options.topicThreshold] - Minimum topic similarity for a negation or antonym conflict
+     * @param {Array} [options.antonyms] - Extra [word, word] pairs
+     */
+    constructor(engine, { topicThreshold = 0.5, antonyms = [] } = {}) {
+        this.engine = engine;
+        this.topicThreshold = topicThreshold;
+
+        // Normalise antonyms the same way statements are normalised
+        this.antonyms = [...DEFAULT_ANTONYMS, ...antonyms].map(([a, b]) => [
+            this.engine.tokenize(a)[0] || a,
+            this.engine.tokenize(b)[0] || b
+        ]);
+    }
+
+    /**
+     * Find contradictory pairs among anchors.
+     * Only anchors in the same category whose scopes overlap are compared.
+     * Returns [{ id, a, b, reason: 'negation' | 'antonym', detail, score }]
+     */
+    findConflicts(anchors) {
+        const analysed = anchors.map(anchor => this.analyse(anchor));
+        const conflicts = [];
+
+        for (let i = 0; i < analysed.length; i++) {
+            for (let j = i + 1; j < analysed.length; j++) {
+                const a = analysed[i];
+                const b = analysed[j];
+                if ((a.anchor.category || 'uncategorized') !== (b.anchor.category || 'uncategorized')) continue;
+                if (!this.scopesOverlap(a.anchor, b.anchor)) continue;
+
+                const conflict = this.compare(a, b);
+                if (conflict) {
+                    conflicts.push({
+                        id: ConflictDetector.pairId(a.anchor.id, b.anchor.id),
+                        a: a.anchor,
+                        b: b.anchor,
+                        ...conflict
+                    });
+                }
+            }
+        }
+
+        return conflicts.sort((x, y) => y.score - x.score);
+    }
+
+    /**
+     * Check whether two statements contradict each other (ignores category and scope)
+     */
+    compareStatements(statementA, statementB) {
+        return this.compare(this.analyse({ statement: statementA }), this.analyse({ statement: statementB }));
+    }
+
+    /**
+     * Stable id for an anchor pair (order-independent)
+     */
+    static pairId(idA, idB) {
+        return [idA, idB].sort().join('|');
+    }
+
+    /**
+     * Pre-compute tokens and polarity for an anchor
+     */
+    analyse(anchor) {
+        const tokens = this.engine.tokenize(anchor.statement);
+        return {
+            anchor,
+            tokens: new Set(tokens),
+            topic: tokens.filter(token => !POLARITY_TOKENS.has(token)),
+            negated: NEGATION_PATTERN.test(anchor.statement)
+        };
+    }
+
+    /**
+     * Anchors scoped to different projects can't contradict each other.
+     * A scope overlaps one it covers (parent path, matching glob) in either direction.
+     */
+    scopesOverlap(a, b) {
+        if (!a.scope || !b.scope) return true;
+
+        const scopeA = normalizeProjectPath(a.scope);
+        const scopeB = normalizeProjectPath(b.scope);
+        return scopeMatches(scopeA, scopeB) || scopeMatches(scopeB, scopeA);
+    }
+
+    /**
+     * Compare two analysed anchors, returning the conflict (or null)
+     */
+    compare(a, b) {
+        for (const [left, right] of this.antonyms) {
+            if ((a.tokens.has(left) && b.tokens.has(right)) || (a.tokens.has(right) && b.tokens.has(left))) {
+                // "Never writes long functions" vs "Writes short functions": the
+                // negation cancels the antonym, so the statements agree
+                if (a.negated !== b.negated) return null;
+
+                // The rest of the statements must be about the same thing:
+                // "concise commit messages" vs "long integration suites" isn't a conflict
+                const rest = topic => topic.filter(token => token !== left && token !== right);
+                const score = this.engine.scoreTokens(rest(a.topic), rest(b.topic));
+                if (score < this.topicThreshold) continue;
+
+                return {
+                    reason: 'antonym',
+                    detail: `${left} ↔ ${right}`,
+                    score
+                };
+            }
+        }
+
+        if (a.negated !== b.negated) {
+            const score = this.engine.scoreTokens(a.topic, b.topic);
+            if (score >= this.topicThreshold) {
+                return {
+                    reason: 'negation',
+                    detail: 'One statement negates the other',
+                    score
+                };
+            }
+        }
+
+        return null;
+    }
+}
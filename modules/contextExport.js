@@ -0,0 +1,261 @@
+// Context Export Module
+// Exports active anchors to other tools' context formats
+
+import { ContextGenerator, createMarkdownTemplate } from './contextGenerator.js';
+import { scopeMatches, projectDirectory } from './scope.js';
+
+// Export targets. Paths are relative to ai-memory-sync/output/context
+export const EXPORT_TARGETS = [
+    {
+        id: 'gemini',
+        label: 'GEMINI.md',
+        description: 'Context file for Gemini CLI',
+        format: 'markdown',
+        path: 'GEMINI.md'
+    },
+    {
+        id: 'agents',
+        label: 'AGENTS.md',
+        description: 'Shared instructions for Codex and other AGENTS.md-aware agents',
+        format: 'markdown',
+        path: 'AGENTS.md'
+    },
+    {
+        id: 'cursor',
+        label: 'Cursor rules',
+        description: 'One always-applied .mdc rule file per category',
+        format: 'cursor',
+        path: '.cursor/rules/memory-{category}.mdc'
+    },
+    {
+        id: 'system_prompt',
+        label: 'System prompt JSON',
+        description: 'Plain system prompt plus structured anchors for API use',
+        format: 'json',
+        path: 'system-prompt.json'
+    }
+];
+
+const MIME_TYPES = {
+    markdown: 'text/markdown',
+    cursor: 'text/markdown',
+    json: 'application/json'
+};
+
+export class ContextExporter {
+    constructor() {
+        // Per-target excluded categories, so new categories are included by default
+        this.settings = this.loadSettings();
+    }
+
+    /**
+     * Load per-target settings from localStorage
+     */
+    loadSettings() {
+        try {
+            return JSON.parse(localStorage.getItem('contextExportSettings')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Persist per-target settings to localStorage
+     */
+    saveSettings() {
+        localStorage.setItem('contextExportSettings', JSON.stringify(this.settings));
+    }
+
+    /**
+     * Get all export targets
+     */
+    getTargets() {
+        return EXPORT_TARGETS;
+    }
+
+    /**
+     * Get a target definition by id
+     */
+    getTarget(targetId) {
+        const target = EXPORT_TARGETS.find(t => t.id === targetId);
+        if (!target) throw new Error(`Unknown export target: ${targetId}`);
+        return target;
+    }
+
+    /**
+     * Check if a category is included for a target
+     */
+    isCategoryIncluded(targetId, category) {
+        const excluded = this.settings[targetId]?.excludedCategories || [];
+        return !excluded.includes(category);
+    }
+
+    /**
+     * Include or exclude a category for a target
+     */
+    setCategoryIncluded(targetId, category, included) {
+        const targetSettings = this.settings[targetId] || { excludedCategories: [] };
+        const excluded = new Set(targetSettings.excludedCategories);
+
+        if (included) {
+            excluded.delete(category);
+        } else {
+            excluded.add(category);
+        }
+
+        this.settings[targetId] = { ...targetSettings, excludedCategories: [...excluded].sort() };
+        this.saveSettings();
+    }
+
+    /**
+     * Filter anchors by a target's category settings and by scope.
+     * Without a project only global anchors are included, so project
+     * conventions don't leak into unrelated repos.
+     */
+    filterAnchors(targetId, anchors, project = null) {
+        return anchors.filter(anchor =>
+            this.isCategoryIncluded(targetId, anchor.category || 'uncategorized') &&
+            scopeMatches(anchor.scope, project)
+        );
+    }
+
+    /**
+     * Build the files for a target, optionally for one project
+     * (written under projects/<name>-<hash>/). Returns [{ path, filename, content, type }]
+     */
+    buildFiles(targetId, anchors, { generatedAt = new Date().toISOString(), project = null } = {}) {
+        const files = this.buildTargetFiles(this.getTarget(targetId), this.filterAnchors(targetId, anchors, project), generatedAt, project);
+
+        return project
+            ? files.map(file => ({ ...file, path: `${projectDirectory(project)}/${file.path}` }))
+            : files;
+    }
+
+    /**
+     * For targets written as one file per category: the directory they are written
+     * to and a test for the file names they own. Null for single-file targets.
+     */
+    getCategoryFiles(targetId, project = null) {
+        const target = this.getTarget(targetId);
+        if (!target.path.includes('{category}')) return null;
+
+        const slash = target.path.lastIndexOf('/');
+        const dir = target.path.slice(0, slash);
+        const [prefix, suffix] = target.path.slice(slash + 1).split('{category}');
+        const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+        return {
+            dir: project ? `${projectDirectory(project)}/${dir}` : dir,
+            pattern: new RegExp(`^${escape(prefix)}[a-z0-9-]+${escape(suffix)}$`)
+        };
+    }
+
+    /**
+     * Files a per-category target wrote earlier that this export no longer
+     * produces (category excluded or left without anchors)
+     * @param {Array} existing - File names currently in the target's directory
+     * @param {Array} files - Files being written, from buildFiles()
+     */
+    findStaleFiles(targetId, existing, files, project = null) {
+        const categoryFiles = this.getCategoryFiles(targetId, project);
+        if (!categoryFiles) return [];
+
+        const written = new Set(files.map(file => file.path));
+        return existing
+            .filter(name => categoryFiles.pattern.test(name))
+            .map(name => `${categoryFiles.dir}/${name}`)
+            .filter(path => !written.has(path));
+    }
+
+    /**
+     * Build a target's files from already-filtered anchors
+     */
+    buildTargetFiles(target, included, generatedAt, project) {
+        const type = MIME_TYPES[target.format];
+
+        switch (target.format) {
+            case 'markdown':
+                return [this.toFile(target.path, type,
+                    new ContextGenerator(createMarkdownTemplate(target.label)).generate(included, { generatedAt })
+                )];
+
+            case 'cursor':
+                return this.buildCursorRules(target, included, generatedAt)
+                    .map(({ path, content }) => this.toFile(path, type, content));
+
+            case 'json':
+                return [this.toFile(target.path, type, this.buildSystemPromptBundle(included, generatedAt, project))];
+
+            default:
+                throw new Error(`Unsupported export format: ${target.format}`);
+        }
+    }
+
+    /**
+     * Build one Cursor .mdc rule per category
+     */
+    buildCursorRules(target, anchors, generatedAt) {
+        const generator = new ContextGenerator();
+
+        return generator.groupByCategory(anchors).map(group => {
+            const title = generator.formatCategory(group.category);
+            const slug = group.category.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+            // Frontmatter must come first, so the generated marker follows it
+            const content = [
+                '---',
+                `description: ${title} preferences confirmed in AI Memory Hub`,
+                'globs:',
+                'alwaysApply: true',
+                '---',
+                ContextGenerator.marker(generatedAt),
+                '',
+                `# ${title}`,
+                '',
+                generator.renderList(group.anchors, false),
+                ''
+            ].join('\n');
+
+            return { path: target.path.replace('{category}', slug || 'uncategorized'), content };
+        });
+    }
+
+    /**
+     * Build the JSON system-prompt bundle
+     */
+    buildSystemPromptBundle(anchors, generatedAt, project = null) {
+        const generator = new ContextGenerator();
+        const sections = generator.groupByCategory(anchors).map(group =>
+            `${generator.formatCategory(group.category)}:\n${generator.renderList(group.anchors, false)}`
+        );
+
+        const bundle = {
+            generator: 'ai-memory-hub',
+            generated_at: generatedAt,
+            project,
+            system_prompt: anchors.length > 0
+                ? `The user has confirmed the following preferences and working conventions. Follow them unless told otherwise.\n\n${sections.join('\n\n')}`
+                : '',
+            anchors: anchors.map(anchor => ({
+                id: anchor.id,
+                category: anchor.category || 'uncategorized',
+                scope: anchor.scope || null,
+                statement: anchor.statement
+            }))
+        };
+
+        return JSON.stringify(bundle, null, 2) + '\n';
+    }
+
+    /**
+     * Wrap generated content as a file descriptor
+     */
+    toFile(path, type, content) {
+        return {
+            path,
+            filename: path.split('/').pop(),
+            content,
+            type
+        };
+    }
+}
@@ -0,0 +1,140 @@
+// Context Generator Module
+// Renders active anchors into markdown context files from an editable template
+
+/**
+ * Build the default markdown template for a context file with the given title
+ */
+export function createMarkdownTemplate(title) {
+    return `# ${title}
+
+User preferences and working conventions confirmed in AI Memory Hub ({{anchor_count}} anchors across {{category_count}} categories).
+
+{{#each_category}}
+## {{category_title}}
+
+{{anchor_list}}
+
+{{/each_category}}`;
+}
+
+export const DEFAULT_CLAUDE_MD_TEMPLATE = createMarkdownTemplate('CLAUDE.md');
+
+// First line of every generated file - used to detect when it was last generated
+const GENERATED_MARKER = 'Generated by AI Memory Hub at';
+
+export class ContextGenerator {
+    /**
+     * @param {string} template - Template text (see README for placeholders)
+     */
+    constructor(template = DEFAULT_CLAUDE_MD_TEMPLATE) {
+        this.template = template;
+    }
+
+    /**
+     * Render anchors into the template.
+     * Placeholders:
+     *   {{generated_at}} {{anchor_count}} {{category_count}}
+     *   {{#each_category}} ... {{/each_category}} repeated per category, with
+     *     {{category}} {{category_title}} {{anchor_count}} {{anchor_list}} {{anchor_list_with_notes}}
+     */
+    generate(anchors, { generatedAt = new Date().toISOString() } = {}) {
+        const groups = this.groupByCategory(anchors);
+
+        const totals = {
+            generated_at: generatedAt,
+            anchor_count: anchors.length,
+            category_count: groups.length
+        };
+
+        // One pass over the template, so placeholder-like text in anchors is left as written
+        let output = this.template.replace(
+            /\{\{#each_category\}\}\n?([\s\S]*?)\{\{\/each_category\}\}\n?|\{\{(\w+)\}\}/g,
+            (match, block) => block === undefined
+                ? this.fill(match, totals)
+                : groups
+                    .map(group => this.fill(block, {
+                        category: group.category,
+                        category_title: this.formatCategory(group.category),
+                        anchor_count: group.anchors.length,
+                        anchor_list: this.renderList(group.anchors, false),
+                        anchor_list_with_notes: this.renderList(group.anchors, true)
+                    }))
+                    .join('')
+        );
+
+        // Collapse runs of blank lines left by empty blocks
+        output = output.replace(/\n{3,}/g, '\n\n').trim() + '\n';
+
+        return `${ContextGenerator.marker(generatedAt)}\n${output}`;
+    }
+
+    /**
+     * HTML comment marking a file as generated (markdown targets)
+     */
+    static marker(generatedAt) {
+        return `<!-- ${GENERATED_MARKER} ${generatedAt}. Manual edits will be overwritten. -->`;
+    }
+
+    /**
+     * Group anchors by category, sorted by category then creation date
+     */
+    groupByCategory(anchors) {
+        const grouped = new Map();
+
+        anchors.forEach(anchor => {
+            const category = anchor.category || 'uncategorized';
+            if (!grouped.has(category)) grouped.set(category, []);
+            grouped.get(category).push(anchor);
+        });
+
+        return [...grouped.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([category, items]) => ({
+                category,
+                anchors: items.sort((a, b) => new Date(a.created || 0) - new Date(b.created || 0))
+            }));
+    }
+
+    /**
+     * Render a markdown bullet list of anchor statements
+     */
+    renderList(anchors, withNotes) {
+        return anchors
+            .map(anchor => {
+                let line = `- ${anchor.statement.trim()}`;
+                if (withNotes && anchor.notes) {
+                    line += `\n  - ${anchor.notes.trim()}`;
+                }
+                return line;
+            })
+            .join('\n');
+    }
+
+    /**
+     * Replace {{name}} placeholders with values
+     */
+    fill(text, values) {
+        return text.replace(/\{\{(\w+)\}\}/g, (match, key) =>
+            Object.prototype.hasOwnProperty.call(values, key) ? String(values[key]) : match
+        );
+    }
+
+    /**
+     * Read the generation timestamp from a previously generated file
+     */
+    static parseGeneratedAt(content) {
+        if (!content) return null;
+        const match = content.match(new RegExp(`${GENERATED_MARKER} (\\S+?)\\.? `));
+        return match && !isNaN(Date.parse(match[1])) ? match[1] : null;
+    }
+
+    /**
+     * Format category name for headings
+     */
+    formatCategory(category) {
+        return category
+            .split('_')
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+    }
+}
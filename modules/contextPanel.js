@@ -2,7 +2,8 @@
 // Handles bi-directional linking between conversations and insights
 
 export class ContextPanel {
-    constructor() {
+    constructor(router) {
+        this.router = router;
         this.panel = document.getElementById('context-panel');
         this.title = document.getElementById('context-panel-title');
         this.content = document.getElementById('context-panel-content');
@@ -164,7 +165,7 @@ export class ContextPanel {
             meta.className = 'context-item-meta';
             meta.innerHTML = `
                 <span>${conv.tool}</span> •
-                <span>${conv.metadata.message_count} messages</span> •
+                <span>${conv.messageCount ?? '?'} messages</span> •
                 <span>${this.formatRelativeTime(new Date(conv.conversation.updated))}</span>
             `;
 
@@ -184,43 +185,28 @@ export class ContextPanel {
      * Navigate to insight
      */
     navigateToInsight(insight) {
-        // Switch to insights tab
-        const insightsTab = document.querySelector('.tab-btn[data-tab="insights"]');
-        if (insightsTab) {
-            insightsTab.click();
-        }
-
-        // Filter by category
-        if (this.insightsModule) {
-            setTimeout(() => {
-                this.insightsModule.filterByCategory(insight.category);
-            }, 100);
-        }
-
+        // Open the insights tab filtered by category
+        this.router.navigate({ tab: 'insights', id: null, params: { category: insight.category } });
         this.hide();
     }
 
     /**
      * Navigate to conversation
+     * @param {Object} [focus] - { messageIndex, terms } to scroll to and highlight a message
      */
-    navigateToConversation(conv) {
-        // Switch to conversations tab
-        const conversationsTab = document.querySelector('.tab-btn[data-tab="conversations"]');
-        if (conversationsTab) {
-            conversationsTab.click();
-        }
-
-        // Load conversation
+    navigateToConversation(conv, focus = null) {
         if (this.conversationsModule) {
-            setTimeout(() => {
-                // Find conversation ID
-                for (const [id, conversation] of this.conversationsModule.getAllConversations().entries()) {
-                    if (conversation === conv) {
-                        this.conversationsModule.loadConversation(id);
-                        break;
-                    }
+            // Find conversation ID
+            for (const [id, conversation] of this.conversationsModule.getAllConversations().entries()) {
+                if (conversation === conv) {
+                    this.router.navigate({
+                        tab: 'conversations',
+                        id,
+                        params: focus ? { msg: focus.messageIndex, q: (focus.terms || []).join(' ') } : {}
+                    });
+                    break;
                 }
-            }, 100);
+            }
         }
 
         this.hide();
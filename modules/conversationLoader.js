@@ -0,0 +1,100 @@
+// Conversation Loader Module
+// Fetches conversation archives a few at a time. Opening a conversation jumps
+// the queue ahead of background loading.
+
+export const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * URL of an archive relative to the hub. sync-status.json records absolute
+ * paths from the syncing machine, so only the part from ai-memory-sync/archive is kept.
+ */
+export function getArchiveUrl(archivePath) {
+    const pathMatch = (archivePath || '').match(/ai-memory-sync[\/\\]archive.*/);
+    return pathMatch ? `../${pathMatch[0].replace(/\\/g, '/')}` : null;
+}
+
+export class ConversationLoader {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.concurrency] - Most archive requests in flight at once
+     */
+    constructor({ concurrency = DEFAULT_CONCURRENCY } = {}) {
+        this.concurrency = concurrency;
+        this.queue = []; // Waiting fetches: { url, format, resolve, reject }
+        this.active = 0;
+        this.inFlight = new Map(); // url -> promise, so duplicate requests share a fetch
+    }
+
+    /**
+     * Fetch an archive
+     * @param {string} archivePath - metadata.archive_path from sync-status.json
+     * @param {Object} [options]
+     * @param {boolean} [options.priority] - Fetch before queued background requests
+     * @param {string} [options.format] - 'json' to parse the response, 'text' for the raw text
+     */
+    load(archivePath, { priority = false, format = 'json' } = {}) {
+        const url = getArchiveUrl(archivePath);
+        if (!url) {
+            return Promise.reject(new Error(`Could not extract relative path from: ${archivePath}`));
+        }
+
+        if (this.inFlight.has(url)) {
+            if (priority) this.prioritize(url);
+            return this.inFlight.get(url);
+        }
+
+        const promise = new Promise((resolve, reject) => {
+            const task = { url, format, resolve, reject };
+            if (priority) {
+                this.queue.unshift(task);
+            } else {
+                this.queue.push(task);
+            }
+        });
+
+        const done = () => this.inFlight.delete(url);
+        promise.then(done, done);
+        this.inFlight.set(url, promise);
+
+        this.next();
+        return promise;
+    }
+
+    /**
+     * Move a queued request to the front
+     */
+    prioritize(url) {
+        const index = this.queue.findIndex(task => task.url === url);
+        if (index > 0) {
+            this.queue.unshift(...this.queue.splice(index, 1));
+        }
+    }
+
+    /**
+     * Start queued fetches up to the concurrency limit
+     */
+    next() {
+        while (this.active < this.concurrency && this.queue.length > 0) {
+            const task = this.queue.shift();
+            this.active++;
+
+            this.fetchArchive(task.url, task.format)
+                .then(task.resolve, task.reject)
+                .finally(() => {
+                    this.active--;
+                    this.next();
+                });
+        }
+    }
+
+    /**
+     * Fetch one archive. Always revalidated: a re-sync rewrites archives in place.
+     */
+    async fetchArchive(url, format = 'json') {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Failed to load ${url}: HTTP ${response.status}`);
+        }
+        return format === 'text' ? response.text() : response.json();
+    }
+}
@@ -0,0 +1,191 @@
+// Conversation Query Module
+// Parses the conversations search box query language:
+//   words, "quoted phrases", -negation and field filters
+//   tool:claude  model:opus  tag:refactor  project:~/work/api
+//   before:2026-05-01  after:2026-04-01  messages:>50
+
+import { normalizeProjectPath, isGlobScope, scopeMatches } from './scope.js';
+
+export const QUERY_FIELDS = {
+    tool: 'Source tool id (e.g. claude, chatgpt, aider)',
+    model: 'Model name contains',
+    tag: 'Has tag',
+    project: 'Project path',
+    before: 'Updated before date',
+    after: 'Updated on or after date',
+    messages: 'Message count (e.g. >50, <10, 20)'
+};
+
+const COMPARISON_PATTERN = /^(>=|<=|>|<|=)?(\d+)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Split a query into raw tokens, keeping quoted phrases together.
+ * Returns { tokens: [{ text, negated, quoted }], errors }
+ */
+function lex(input) {
+    const tokens = [];
+    const errors = [];
+    let i = 0;
+
+    while (i < input.length) {
+        if (/\s/.test(input[i])) {
+            i++;
+            continue;
+        }
+
+        const negated = input[i] === '-' && i + 1 < input.length && !/\s/.test(input[i + 1]);
+        if (negated) i++;
+
+        // field:"quoted value" or "quoted phrase"
+        const fieldPrefix = input.slice(i).match(/^([a-z]+):(?=")/i);
+        const start = i;
+        if (fieldPrefix) i += fieldPrefix[0].length;
+
+        if (input[i] === '"') {
+            const end = input.indexOf('"', i + 1);
+            if (end === -1) {
+                errors.push(`Missing closing quote after ${input.slice(start, start + 20)}`);
+                i = input.length;
+                continue;
+            }
+            const phrase = input.slice(i + 1, end);
+            tokens.push({
+                text: fieldPrefix ? `${fieldPrefix[0]}${phrase}` : phrase,
+                negated,
+                quoted: !fieldPrefix
+            });
+            i = end + 1;
+            continue;
+        }
+
+        let end = i;
+        while (end < input.length && !/\s/.test(input[end])) end++;
+        tokens.push({ text: input.slice(start, end), negated, quoted: false });
+        i = end;
+    }
+
+    return { tokens, errors };
+}
+
+/**
+ * Parse a query. Invalid parts are reported in `errors` and left out of the result.
+ * Returns {
+ *   terms: [{ text, negated, phrase }],       lowercase words and phrases
+ *   filters: [{ field, value, op, negated }],
+ *   errors: [string]
+ * }
+ */
+export function parseConversationQuery(input) {
+    const { tokens, errors } = lex(input || '');
+    const terms = [];
+    const filters = [];
+
+    tokens.forEach(({ text, negated, quoted }) => {
+        const field = !quoted && text.match(/^([a-z]+):(.*)$/i);
+
+        // Not a known field (e.g. a URL or "error:") - treat as text
+        if (!field || (!QUERY_FIELDS[field[1].toLowerCase()] && !/^[a-z]+$/i.test(field[2]))) {
+            if (text) terms.push({ text: text.toLowerCase(), negated, phrase: quoted });
+            return;
+        }
+
+        const name = field[1].toLowerCase();
+        const value = field[2].trim();
+
+        if (!QUERY_FIELDS[name]) {
+            errors.push(`Unknown filter "${name}:" - use ${Object.keys(QUERY_FIELDS).map(f => `${f}:`).join(' ')}`);
+            return;
+        }
+        if (!value) {
+            errors.push(`"${name}:" needs a value`);
+            return;
+        }
+
+        if (name === 'before' || name === 'after') {
+            // Local midnight, matching how dates are shown
+            const [year, month, day] = value.split('-').map(Number);
+            const date = new Date(year, month - 1, day);
+            // Out-of-range days roll over (2026-02-30 becomes March 2nd), so check they survived
+            if (!DATE_PATTERN.test(value) || date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+                errors.push(`"${name}:${value}" - use a date like ${name}:2026-05-01`);
+                return;
+            }
+            filters.push({ field: name, value: date, negated });
+            return;
+        }
+
+        if (name === 'messages') {
+            const comparison = value.match(COMPARISON_PATTERN);
+            if (!comparison) {
+                errors.push(`"messages:${value}" - use a number, optionally with >, <, >= or <=`);
+                return;
+            }
+            filters.push({ field: name, op: comparison[1] || '=', value: Number(comparison[2]), negated });
+            return;
+        }
+
+        filters.push({ field: name, value: value.toLowerCase(), negated });
+    });
+
+    return { terms, filters, errors };
+}
+
+/**
+ * Check a project filter value against a conversation's project path.
+ * `~/work/api` matches any home directory; plain names match a whole path segment.
+ */
+function projectMatches(value, projectPath) {
+    if (!projectPath) return false;
+    const path = normalizeProjectPath(projectPath).toLowerCase();
+
+    if (value.startsWith('~')) {
+        const rest = normalizeProjectPath(value.slice(1));
+        return path.endsWith(rest) || path.includes(`${rest}/`);
+    }
+    if (!value.includes('/') && !isGlobScope(value)) {
+        return path.split('/').some(segment => segment === value);
+    }
+    return scopeMatches(value, path);
+}
+
+/**
+ * Check one field filter against a loaded conversation ({ tool, conversation, metadata, messageCount })
+ */
+function matchesFilter(filter, conv) {
+    const { conversation, metadata } = conv;
+
+    switch (filter.field) {
+        case 'tool':
+            return (conv.tool || '').toLowerCase() === filter.value;
+        case 'model':
+            return (conversation.model || '').toLowerCase().includes(filter.value);
+        case 'tag':
+            return (conversation.tags || []).some(tag => tag.toLowerCase() === filter.value);
+        case 'project':
+            return projectMatches(filter.value, conversation.project_path);
+        case 'before':
+            return new Date(conversation.updated) < filter.value;
+        case 'after':
+            return new Date(conversation.updated) >= filter.value;
+        case 'messages': {
+            const count = conv.messageCount ?? metadata?.message_count ?? 0;
+            switch (filter.op) {
+                case '>': return count > filter.value;
+                case '<': return count < filter.value;
+                case '>=': return count >= filter.value;
+                case '<=': return count <= filter.value;
+                default: return count === filter.value;
+            }
+        }
+        default:
+            return true;
+    }
+}
+
+/**
+ * Check every field filter (honouring negation) against a conversation
+ */
+export function matchesConversationFilters(filters, conv) {
+    return filters.every(filter => matchesFilter(filter, conv) !== filter.negated);
+}
@@ -0,0 +1,338 @@
+// Conversation Sources Module
+// Registry of source adapters, one per tool. An adapter maps a tool's archive
+// format onto the conversation shape the conversations module renders:
+//   { conversation: { id, title, tags, model, project_path, created, updated,
+//                     messages: [{ role, type, content, timestamp }] } }
+// `content` is a string or an array of { type: 'text', text } blocks.
+//
+// An adapter is { id, label, format, prepare(raw), parse(prepared, { id, metadata }) }
+// where `id` is the tool's key under synced_conversations in sync-status.json and
+// `format` says how its archives are fetched: 'json' (parsed) or 'text'. When one
+// file holds several conversations the optional `prepare` does the per-file work
+// (splitting, indexing) once, and `parse` picks a conversation out of its result.
+// Register new tools with registerSourceAdapter() before the hub initializes.
+
+const adapters = new Map();
+
+/**
+ * Add (or replace) a source adapter. Filter buttons follow registration order.
+ */
+export function registerSourceAdapter(adapter) {
+    if (!adapter?.id || typeof adapter.parse !== 'function') {
+        throw new Error('A source adapter needs an id and a parse function');
+    }
+    adapters.set(adapter.id, { label: adapter.id, format: 'json', prepare: raw => raw, ...adapter });
+}
+
+/**
+ * Adapter for a tool id (null if none is registered)
+ */
+export function getSourceAdapter(id) {
+    return adapters.get(id) || null;
+}
+
+/**
+ * Every registered adapter, in registration order
+ */
+export function getSourceAdapters() {
+    return [...adapters.values()];
+}
+
+// ============================================
+// Helpers for adapters
+// ============================================
+
+const ROLE_ALIASES = {
+    human: 'user',
+    user: 'user',
+    assistant: 'assistant',
+    ai: 'assistant',
+    bot: 'assistant',
+    model: 'assistant',
+    system: 'system',
+    tool: 'tool'
+};
+
+/**
+ * Map a tool's speaker name onto user / assistant / system / tool
+ */
+export function normalizeRole(role) {
+    return ROLE_ALIASES[(role || '').toLowerCase()] || 'assistant';
+}
+
+/**
+ * Convert a Unix time in seconds or milliseconds, or a date string, to ISO 8601
+ */
+export function toIsoTime(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const date = typeof value === 'number'
+        ? new Date(value < 1e12 ? value * 1000 : value)
+        : new Date(value);
+    return isNaN(date) ? null : date.toISOString();
+}
+
+/**
+ * Build an archive from parsed messages, filling gaps from the sync metadata.
+ * Messages without a timestamp get the conversation's start time.
+ */
+export function buildArchive(id, metadata, { messages, title = null, model = null, project_path = null, tags = [], created = null, updated = null }) {
+    const times = messages.map(msg => msg.timestamp).filter(Boolean);
+    const start = created || times[0] || metadata.created || metadata.first_synced || null;
+
+    return {
+        conversation: {
+            id,
+            title: title || metadata.title || null,
+            tags: tags.length > 0 ? tags : (metadata.tags || []),
+            model: model || metadata.model || null,
+            project_path: project_path || metadata.project_path || null,
+            created: start,
+            updated: updated || times[times.length - 1] || metadata.updated || metadata.last_synced || start,
+            messages: messages.map(msg => ({ ...msg, type: msg.type || msg.role, timestamp: msg.timestamp || start }))
+        }
+    };
+}
+
+/**
+ * First line of the first user message, as a title for tools that don't store one
+ */
+function titleFromMessages(messages) {
+    const first = messages.find(msg => msg.role === 'user' && typeof msg.content === 'string');
+    const line = first?.content.trim().split('\n')[0] || '';
+    return line.length > 80 ? `${line.slice(0, 77)}...` : line || null;
+}
+
+// ============================================
+// Built-in adapters
+// ============================================
+
+/**
+ * Archives written by ai-memory-sync already have the hub's shape
+ */
+function parseHubArchive(raw) {
+    return raw;
+}
+
+/**
+ * Index a ChatGPT export's conversations by id
+ */
+function indexChatGptExport(raw) {
+    const conversations = Array.isArray(raw) ? raw : [raw];
+    return new Map(conversations.map(c => [c.conversation_id || c.id, c]));
+}
+
+/**
+ * ChatGPT data export (conversations.json): an array of conversations, each a
+ * tree of message nodes. Only the branch ending at current_node is shown,
+ * like the ChatGPT UI.
+ */
+function parseChatGptExport(conversations, { id, metadata }) {
+    const source = conversations.get(id)
+        || (conversations.size === 1 ? [...conversations.values()][0] : null);
+    if (!source) {
+        throw new Error(`Conversation ${id} not found in ChatGPT export`);
+    }
+
+    const mapping = source.mapping || {};
+    const branch = [];
+    for (let nodeId = source.current_node; nodeId && mapping[nodeId]; nodeId = mapping[nodeId].parent) {
+        branch.unshift(mapping[nodeId]);
+    }
+
+    let model = source.default_model_slug || null;
+    const messages = branch
+        .map(node => node.message)
+        .filter(message => message && ['user', 'assistant'].includes(message.author?.role))
+        .map(message => {
+            model = message.metadata?.model_slug || model;
+            const parts = (message.content?.parts || []).filter(part => typeof part === 'string');
+            return {
+                role: message.author.role,
+                content: parts.join('\n').trim(),
+                timestamp: toIsoTime(message.create_time)
+            };
+        })
+        .filter(message => message.content);
+
+    return buildArchive(id, metadata, {
+        messages,
+        title: source.title,
+        model,
+        created: toIsoTime(source.create_time),
+        updated: toIsoTime(source.update_time)
+    });
+}
+
+/**
+ * GitHub Copilot chat session (VS Code's chatSessions/*.json): a list of
+ * requests, each with the user's message and the response parts
+ */
+function parseCopilotSession(raw, { id, metadata }) {
+    const messages = [];
+
+    (raw.requests || []).forEach(request => {
+        const timestamp = toIsoTime(request.timestamp);
+        const question = request.message?.text
+            || (request.message?.parts || []).map(part => part.text || '').join('');
+        if (question) {
+            messages.push({ role: 'user', content: question, timestamp });
+        }
+
+        const answer = (request.response || [])
+            .map(part => typeof part.value === 'string' ? part.value : part.content?.value || '')
+            .join('')
+            .trim();
+        if (answer) {
+            messages.push({ role: 'assistant', content: answer, timestamp });
+        }
+    });
+
+    const lastRequest = raw.requests?.[raw.requests.length - 1];
+    return buildArchive(id, metadata, {
+        messages,
+        title: raw.customTitle || titleFromMessages(messages),
+        model: lastRequest?.modelId || null,
+        created: toIsoTime(raw.creationDate),
+        updated: toIsoTime(raw.lastMessageDate)
+    });
+}
+
+/**
+ * Split aider chat history into sessions at each "# aider chat started at" heading
+ */
+function splitAiderSessions(raw) {
+    const sessions = [];
+    let session = null;
+
+    raw.split(/\r?\n/).forEach(line => {
+        const heading = line.match(/^# aider chat started at (.+)$/);
+        if (heading) {
+            session = { startedAt: heading[1].trim(), lines: [] };
+            sessions.push(session);
+        } else if (session) {
+            session.lines.push(line);
+        }
+    });
+
+    return sessions;
+}
+
+/**
+ * Aider chat history (.aider.chat.history.md). Each "# aider chat started at"
+ * heading starts a session; `metadata.started_at` (the heading's time) or
+ * `metadata.session` (0-based) picks one, otherwise the whole file is shown.
+ * "#### " lines are the user's, "> " lines are aider's own output and
+ * everything else is the model's reply.
+ */
+function parseAiderHistory(sessions, { id, metadata }) {
+    let selected = sessions;
+    if (metadata.started_at) {
+        selected = sessions.filter(s => s.startedAt === metadata.started_at);
+    } else if (Number.isInteger(metadata.session)) {
+        selected = sessions.slice(metadata.session, metadata.session + 1);
+    }
+    if (selected.length === 0) {
+        throw new Error(`Session not found in aider history for ${id}`);
+    }
+
+    const messages = [];
+    let model = null;
+
+    selected.forEach(({ startedAt, lines }) => {
+        const timestamp = toIsoTime(startedAt);
+        let current = null;
+
+        const append = (role, type, text) => {
+            if (!current || current.role !== role || current.type !== type) {
+                current = { role, type, content: '', timestamp };
+                messages.push(current);
+            }
+            current.content += `${text}\n`;
+        };
+
+        lines.forEach(line => {
+            if (line.startsWith('#### ')) {
+                append('user', 'user', line.slice(5));
+            } else if (line.startsWith('>')) {
+                const output = line.replace(/^> ?/, '');
+                model = output.match(/^Model: (\S+)/)?.[1] || model;
+                append('assistant', 'aider', output);
+            } else if (!line.trim()) {
+                // Blank lines belong to whatever is being written
+                if (current) current.content += '\n';
+            } else {
+                append('assistant', 'assistant', line);
+            }
+        });
+    });
+
+    const trimmed = messages
+        .map(msg => ({ ...msg, content: msg.content.trim() }))
+        .filter(msg => msg.content);
+
+    return buildArchive(id, metadata, {
+        messages: trimmed,
+        title: titleFromMessages(trimmed),
+        model
+    });
+}
+
+/**
+ * Parse JSONL lines and group them by conversation_id (or session_id).
+ * Files without ids are one conversation, grouped under null.
+ */
+function groupJsonlRecords(raw) {
+    const records = raw
+        .split(/\r?\n/)
+        .filter(line => line.trim())
+        .map((line, index) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Line ${index + 1} is not valid JSON: ${error.message}`);
+            }
+        });
+
+    const conversationId = record => record.conversation_id ?? record.session_id;
+    if (!records.some(record => conversationId(record) !== undefined)) {
+        return new Map([[null, records]]);
+    }
+
+    const groups = new Map();
+    records.forEach(record => {
+        const key = String(conversationId(record));
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(record);
+    });
+    return groups;
+}
+
+/**
+ * Generic JSONL: one message per line, { role, content, timestamp }. Lines may
+ * carry a conversation_id (or session_id) so one file can hold several
+ * conversations; a line with a `title` names its conversation.
+ */
+function parseJsonl(groups, { id, metadata }) {
+    const mine = groups.get(null) || groups.get(id) || [];
+
+    const messages = mine
+        .filter(record => record.role || record.content || record.text)
+        .map(record => ({
+            role: normalizeRole(record.role || record.speaker),
+            content: record.content ?? record.text ?? record.message ?? '',
+            timestamp: toIsoTime(record.timestamp ?? record.created_at ?? record.time)
+        }));
+
+    return buildArchive(id, metadata, {
+        messages,
+        title: mine.find(record => record.title)?.title || titleFromMessages(messages),
+        model: mine.find(record => record.model)?.model || null
+    });
+}
+
+registerSourceAdapter({ id: 'claude', label: 'Claude', format: 'json', parse: parseHubArchive });
+registerSourceAdapter({ id: 'gemini', label: 'Gemini', format: 'json', parse: parseHubArchive });
+registerSourceAdapter({ id: 'chatgpt', label: 'ChatGPT', format: 'json', prepare: indexChatGptExport, parse: parseChatGptExport });
+registerSourceAdapter({ id: 'copilot', label: 'Copilot', format: 'json', parse: parseCopilotSession });
+registerSourceAdapter({ id: 'aider', label: 'Aider', format: 'text', prepare: splitAiderSessions, parse: parseAiderHistory });
+registerSourceAdapter({ id: 'jsonl', label: 'JSONL', format: 'text', prepare: groupJsonlRecords, parse: parseJsonl });
@@ -1,15 +1,58 @@
 // Conversations Module
 // Handles conversation viewing and management
 
+import { MessageSearchIndex, buildSnippet, splitMatches, tokenize } from './searchIndex.js';
+import { parseConversationQuery, matchesConversationFilters } from './conversationQuery.js';
+import { ConversationLoader, getArchiveUrl } from './conversationLoader.js';
+import { VirtualList } from './virtualList.js';
+import { getSourceAdapter, getSourceAdapters } from './conversationSources.js';
+
+const SYNC_STATUS_URL = '../ai-memory-sync/sync-status.json';
+
+// Delay before re-rendering the list while archives stream in
+const LIST_REFRESH_DELAY = 300;
+
+// Within this many px of the end, a conversation counts as scrolled to the bottom
+const BOTTOM_THRESHOLD = 40;
+
+// Work budget per slice where requestIdleCallback isn't available (ms)
+const IDLE_FALLBACK_BUDGET = 8;
+
+/**
+ * Run a callback when the browser is idle (falls back to a timeout with a
+ * fixed budget that runs out like a real idle deadline)
+ */
+function whenIdle(callback) {
+    if (typeof requestIdleCallback === 'function') {
+        requestIdleCallback(callback, { timeout: 500 });
+    } else {
+        setTimeout(() => {
+            const start = performance.now();
+            callback({ timeRemaining: () => Math.max(0, IDLE_FALLBACK_BUDGET - (performance.now() - start)) });
+        }, 16);
+    }
+}
+
 export class ConversationsModule {
-    constructor(container, contextPanel) {
+    constructor(container, contextPanel, router = null, cache = null) {
         this.container = container;
         this.contextPanel = contextPanel;
+        this.router = router;
+        this.cache = cache; // HubCache for archives from earlier visits (optional)
+        this.routing = false; // Applying a route from the URL - don't write it back
         this.syncStatus = null;
         this.conversations = new Map();
         this.currentConversation = null;
         this.currentFilter = 'all';
         this.searchTerm = '';
+        this.searchQuery = parseConversationQuery('');
+        this.searchIndex = new MessageSearchIndex();
+        this.loader = new ConversationLoader();
+        this.sourceFiles = new Map(); // Archive URL -> prepared file, shared by the conversations in it during a load pass
+        this.indexQueue = []; // Loaded conversation ids waiting to be indexed
+        this.indexScheduled = false;
+        this.listRefreshTimer = null;
+        this.virtualList = null;
     }
 
     /**
@@ -24,21 +67,27 @@ export class ConversationsModule {
      * Set up event listeners for filters, search, and metadata toggle
      */
     setupEventListeners() {
-        // Filter buttons
-        document.querySelectorAll('.filter-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                document.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
-                e.target.classList.add('active');
-                this.currentFilter = e.target.dataset.tool;
+        // Filter buttons (one per source, rendered by renderFilterButtons)
+        const filterButtons = document.querySelector('.filter-buttons');
+        if (filterButtons) {
+            filterButtons.addEventListener('click', (e) => {
+                const btn = e.target.closest('.filter-btn');
+                if (!btn) return;
+
+                filterButtons.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                this.currentFilter = btn.dataset.tool;
                 this.renderConversationList();
             });
-        });
+        }
 
         // Search input
         const searchInput = document.getElementById('search-input');
         if (searchInput) {
             searchInput.addEventListener('input', (e) => {
-                this.searchTerm = e.target.value.toLowerCase();
+                this.searchTerm = e.target.value;
+                this.searchQuery = parseConversationQuery(this.searchTerm);
+                this.showSearchFeedback(this.searchQuery.errors);
                 this.renderConversationList();
             });
         }
@@ -60,15 +109,19 @@ export class ConversationsModule {
     async loadData() {
         try {
             // Load sync status
-            const syncResponse = await fetch('../ai-memory-sync/sync-status.json');
+            const syncResponse = await fetch(SYNC_STATUS_URL);
             this.syncStatus = await syncResponse.json();
 
             // Update stats
             this.updateStats();
 
-            // Load conversations from both Claude and Gemini
-            await this.loadConversations('claude');
-            await this.loadConversations('gemini');
+            // Build the list from sync metadata; archives load when opened or in the background
+            this.loadSources();
+            this.renderFilterButtons();
+
+            // Reuse archives cached on earlier visits that haven't been re-synced since
+            await this.restoreCachedArchives();
+            await this.showChangesSinceLastVisit();
 
             // Render conversation list
             this.renderConversationList();
@@ -76,6 +129,9 @@ export class ConversationsModule {
             // Update status
             document.querySelector('.status-text').textContent = 'Connected';
 
+            // Fetch every archive in the background so message text can be searched
+            this.loadArchivesInBackground();
+
         } catch (error) {
             console.error('Error loading data:', error);
             document.querySelector('.status-text').textContent = 'Error loading data';
@@ -84,33 +140,363 @@ export class ConversationsModule {
     }
 
     /**
-     * Load conversations for a specific tool (claude/gemini)
+     * Add list entries for every registered source. Tools in sync-status.json
+     * without an adapter are skipped.
+     * @returns {Array} Ids of conversations added or re-synced
+     */
+    loadSources() {
+        Object.keys(this.syncStatus.synced_conversations || {})
+            .filter(tool => !getSourceAdapter(tool))
+            .forEach(tool => console.warn(`No source adapter registered for "${tool}", skipping its conversations`));
+
+        return getSourceAdapters().flatMap(adapter => this.loadConversationSummaries(adapter.id));
+    }
+
+    /**
+     * Render the tool filter: "All" plus a button per registered source with conversations
+     */
+    renderFilterButtons() {
+        const container = document.querySelector('.filter-buttons');
+        if (!container) return;
+
+        const tools = new Set([...this.conversations.values()].map(conv => conv.tool));
+        const sources = getSourceAdapters().filter(adapter => tools.has(adapter.id));
+        if (!tools.has(this.currentFilter)) {
+            this.currentFilter = 'all';
+        }
+
+        container.innerHTML = [{ id: 'all', label: 'All' }, ...sources].map(source => `
+            <button class="filter-btn ${source.id === this.currentFilter ? 'active' : ''}" data-tool="${this.escapeHtml(source.id)}">${this.escapeHtml(source.label)}</button>
+        `).join('');
+    }
+
+    /**
+     * Add list entries for one source's conversations from sync-status.json.
+     * Title, tags and dates come from the metadata where the sync records them,
+     * and are filled in from the archive once it loads. Entries already listed
+     * from the same sync keep their loaded archive.
+     * @returns {Array} Ids of conversations added or re-synced
      */
-    async loadConversations(tool) {
-        const syncedConversations = this.syncStatus.synced_conversations[tool];
+    loadConversationSummaries(tool) {
+        const syncedConversations = this.syncStatus.synced_conversations[tool] || {};
+        const changed = [];
 
         for (const [id, metadata] of Object.entries(syncedConversations)) {
-            try {
-                // Extract the path relative to the Scripts directory
-                const pathMatch = metadata.archive_path.match(/ai-memory-sync[\/\\]archive.*/);
-                if (!pathMatch) {
-                    console.warn(`Could not extract relative path from: ${metadata.archive_path}`);
-                    continue;
-                }
+            const existing = this.conversations.get(id);
+            if (existing && existing.tool === tool && metadata.last_synced && existing.metadata.last_synced === metadata.last_synced) {
+                continue;
+            }
 
-                const relativePath = pathMatch[0].replace(/\\/g, '/');
-                const response = await fetch(`../${relativePath}`);
-                const conversation = await response.json();
+            const summary = {
+                conversation: {
+                    id,
+                    title: metadata.title || null,
+                    tags: metadata.tags || [],
+                    model: metadata.model || null,
+                    project_path: metadata.project_path || null,
+                    created: metadata.created || metadata.first_synced,
+                    updated: metadata.updated || metadata.last_synced,
+                    messages: null
+                },
+                metadata: metadata,
+                tool: tool,
+                // Counted from the archive once it loads if the sync doesn't record it
+                messageCount: metadata.message_count ?? null,
+                loaded: false
+            };
+
+            // Re-synced: reset in place so references held elsewhere stay valid
+            if (existing) {
+                Object.assign(existing, summary);
+            } else {
+                this.conversations.set(id, summary);
+            }
+            changed.push(id);
+        }
 
-                this.conversations.set(id, {
-                    ...conversation,
-                    metadata: metadata,
-                    tool: tool
-                });
-            } catch (error) {
-                console.error(`Error loading conversation ${id}:`, error);
+        return changed;
+    }
+
+    /**
+     * Merge a rewritten sync-status.json (live reload): re-list new and re-synced
+     * conversations, drop removed ones and fetch the new archives. The open
+     * conversation, search, filter and list scroll position are kept.
+     */
+    async reloadSyncStatus() {
+        try {
+            const response = await fetch(SYNC_STATUS_URL, { cache: 'no-store' });
+            if (!response.ok) return;
+            this.syncStatus = await response.json();
+        } catch (error) {
+            console.warn('Could not reload sync-status.json:', error);
+            return;
+        }
+
+        // Re-synced files are rewritten in place
+        this.sourceFiles.clear();
+
+        this.updateStats();
+
+        const changed = this.loadSources();
+        const listed = new Set(Object.values(this.syncStatus.synced_conversations || {}).flatMap(Object.keys));
+        const removed = [...this.conversations.keys()].filter(id => !listed.has(id));
+
+        if (changed.length === 0 && removed.length === 0) return;
+        console.log(`sync-status.json changed: ${changed.length} new or re-synced, ${removed.length} removed`);
+
+        changed.forEach(id => this.searchIndex.remove(id));
+        removed.forEach(id => {
+            this.conversations.delete(id);
+            this.searchIndex.remove(id);
+        });
+        if (removed.length > 0) {
+            this.cache?.deleteConversations(removed);
+        }
+
+        // These changes have been seen; don't report them again on the next visit
+        this.cache?.setMeta('conversationVersions', this.getConversationVersions());
+
+        this.renderFilterButtons();
+        this.renderConversationList({ keepScroll: true });
+
+        if (changed.includes(this.currentConversation)) {
+            this.refreshCurrentConversation();
+        }
+        this.loadArchivesInBackground();
+    }
+
+    /**
+     * Re-render the open conversation from its re-synced archive, keeping the
+     * reading position (or following new messages if it was scrolled to the bottom)
+     */
+    async refreshCurrentConversation() {
+        const id = this.currentConversation;
+
+        let conv;
+        try {
+            conv = await this.ensureLoaded(id, { priority: true });
+        } catch (error) {
+            console.error(`Error reloading conversation ${id}:`, error);
+            return;
+        }
+        if (!conv || this.currentConversation !== id) return;
+
+        const container = document.getElementById('messages-container');
+        const atBottom = container.scrollHeight - container.scrollTop - container.clientHeight < BOTTOM_THRESHOLD;
+        const scrollTop = container.scrollTop;
+
+        this.renderConversationHeader(conv);
+        this.renderMessages(conv.conversation.messages);
+        if (!atBottom) {
+            container.scrollTop = scrollTop;
+        }
+        this.renderMetadata(conv);
+    }
+
+    /**
+     * Make sure a conversation's archive is loaded. The entry is updated in place,
+     * so references held elsewhere (context panel, search results) stay valid.
+     * @param {Object} [options]
+     * @param {boolean} [options.priority] - Fetch ahead of background loading
+     */
+    async ensureLoaded(id, { priority = false } = {}) {
+        const conv = this.conversations.get(id);
+        if (!conv || conv.loaded) return conv;
+
+        const { metadata } = conv;
+        const adapter = getSourceAdapter(conv.tool);
+        const file = await this.loadSourceFile(metadata.archive_path, adapter, { priority });
+
+        // Re-synced while this loaded: fetch the new archive instead
+        if (conv.metadata !== metadata) {
+            return this.ensureLoaded(id, { priority });
+        }
+
+        if (!conv.loaded) {
+            // Map the tool's format onto the hub's conversation shape
+            const archive = adapter.parse(file, { id, metadata });
+            this.applyArchive(conv, archive);
+            this.cache?.putConversation(id, conv.metadata.last_synced, archive);
+            this.queueForIndex(id);
+            this.scheduleListRefresh();
+        }
+        return conv;
+    }
+
+    /**
+     * Fetch an archive and run the adapter's per-file step. Files holding several
+     * conversations (ChatGPT exports, aider histories, JSONL) are fetched and
+     * prepared once per load pass rather than once per conversation.
+     */
+    loadSourceFile(archivePath, adapter, { priority = false } = {}) {
+        const url = getArchiveUrl(archivePath);
+        let file = this.sourceFiles.get(url);
+
+        if (file) {
+            if (priority) this.loader.prioritize(url);
+        } else {
+            file = this.loader.load(archivePath, { priority, format: adapter.format })
+                .then(raw => adapter.prepare(raw));
+            if (url) {
+                this.sourceFiles.set(url, file);
+                // Try again next time rather than keep the failure
+                file.catch(() => this.sourceFiles.delete(url));
             }
         }
+        return file;
+    }
+
+    /**
+     * Fill in a list entry from its (parsed) archive, in place
+     */
+    applyArchive(conv, archive) {
+        Object.assign(conv, archive, { metadata: conv.metadata, tool: conv.tool, loaded: true });
+
+        // Not every source's sync records a message count. Kept on the entry:
+        // metadata is sync-status.json's own object
+        conv.messageCount = conv.metadata.message_count ?? (conv.conversation.messages?.length || 0);
+    }
+
+    /**
+     * Display name of a source (tool id)
+     */
+    getToolLabel(tool) {
+        return getSourceAdapter(tool)?.label || tool;
+    }
+
+    /**
+     * Fill in conversations from the cache where the cached copy is from the
+     * same sync (same last_synced). Drops cached archives of conversations
+     * no longer in sync-status.json.
+     */
+    async restoreCachedArchives() {
+        if (!this.cache) return;
+
+        const cached = await this.cache.getConversations();
+        let restored = 0;
+
+        cached.forEach((entry, id) => {
+            const conv = this.conversations.get(id);
+            // Without a last_synced there's no way to tell if the copy is current
+            if (!conv || conv.loaded || !conv.metadata.last_synced || entry.last_synced !== conv.metadata.last_synced) return;
+
+            this.applyArchive(conv, entry.archive);
+            this.queueForIndex(id);
+            restored++;
+        });
+
+        const removed = [...cached.keys()].filter(id => !this.conversations.has(id));
+        if (removed.length > 0) {
+            this.cache.deleteConversations(removed);
+        }
+
+        console.log(`Restored ${restored} of ${this.conversations.size} conversations from cache`);
+    }
+
+    /**
+     * Compare each conversation's last_synced with the previous visit and show
+     * "N new / M updated since last visit" in the header
+     */
+    async showChangesSinceLastVisit() {
+        if (!this.cache) return;
+
+        const versions = this.getConversationVersions();
+        const previous = await this.cache.getMeta('conversationVersions');
+        const lastVisit = await this.cache.getMeta('lastVisit');
+        await this.cache.setMeta('conversationVersions', versions);
+        await this.cache.setMeta('lastVisit', new Date().toISOString());
+
+        // First visit: nothing to compare with
+        if (!previous) return;
+
+        const ids = Object.keys(versions);
+        const added = ids.filter(id => !(id in previous)).length;
+        const updated = ids.filter(id => id in previous && previous[id] !== versions[id]).length;
+
+        const badge = document.getElementById('visit-changes');
+        if (!badge || (added === 0 && updated === 0)) return;
+
+        badge.textContent = `${added} new / ${updated} updated since last visit`;
+        if (lastVisit) {
+            badge.title = `Last visit: ${this.formatDate(new Date(lastVisit))}`;
+        }
+        badge.classList.remove('hidden');
+    }
+
+    /**
+     * Each conversation's last_synced, compared on the next visit
+     */
+    getConversationVersions() {
+        const versions = {};
+        this.conversations.forEach((conv, id) => {
+            versions[id] = conv.metadata.last_synced || null;
+        });
+        return versions;
+    }
+
+    /**
+     * Load every archive not loaded yet, a few at a time
+     */
+    async loadArchivesInBackground() {
+        const pending = [...this.conversations.entries()]
+            .filter(([, conv]) => !conv.loaded)
+            .map(([id]) => id);
+
+        await Promise.all(pending.map(id => this.ensureLoaded(id).catch(error => {
+            console.error(`Error loading conversation ${id}:`, error);
+        })));
+        this.sourceFiles.clear();
+
+        console.log(`Loaded ${pending.length} conversation archives`);
+    }
+
+    /**
+     * Index a loaded conversation for full-text search when the browser is idle
+     */
+    queueForIndex(id) {
+        this.indexQueue.push(id);
+        if (this.indexScheduled) return;
+
+        this.indexScheduled = true;
+        whenIdle(deadline => this.indexQueued(deadline));
+    }
+
+    /**
+     * Index queued conversations until the idle period runs out
+     */
+    indexQueued(deadline) {
+        // At least one per slice: a timed-out idle callback has no time remaining
+        let first = true;
+        while (this.indexQueue.length > 0 && (first || deadline.timeRemaining() > 1)) {
+            first = false;
+            const id = this.indexQueue.shift();
+            const conv = this.conversations.get(id);
+            // Removed or re-synced since it was queued; queued again once loaded
+            if (conv?.loaded) this.searchIndex.add(id, conv);
+        }
+
+        if (this.indexQueue.length > 0) {
+            whenIdle(next => this.indexQueued(next));
+            return;
+        }
+
+        this.indexScheduled = false;
+        // Newly indexed messages may match the current search
+        if (this.searchQuery.terms.length > 0) {
+            this.scheduleListRefresh();
+        }
+    }
+
+    /**
+     * Re-render the list shortly, batching updates while archives stream in
+     */
+    scheduleListRefresh() {
+        if (this.listRefreshTimer) return;
+
+        this.listRefreshTimer = setTimeout(() => {
+            this.listRefreshTimer = null;
+            this.renderConversationList({ keepScroll: true });
+        }, LIST_REFRESH_DELAY);
     }
 
     /**
@@ -129,71 +515,180 @@ export class ConversationsModule {
     }
 
     /**
-     * Render the filtered conversation list
+     * Render the filtered conversation list. Only rows in view are in the DOM.
+     * @param {Object} [options]
+     * @param {boolean} [options.keepScroll] - Keep the scroll position (data refreshed, not a new search)
      */
-    renderConversationList() {
-        const container = document.getElementById('conversation-items');
-        container.innerHTML = '';
+    renderConversationList({ keepScroll = false } = {}) {
+        if (!this.virtualList) {
+            this.virtualList = new VirtualList(document.getElementById('conversation-items'), {
+                renderItem: ({ id, conv, searchResult }) => this.createConversationItem(id, conv, searchResult),
+                getKey: ({ id }) => id,
+                estimateHeight: 78,
+                emptyHtml: '<div style="padding: 20px; text-align: center; color: var(--text-secondary);">No conversations found</div>'
+            });
+        }
+
+        this.virtualList.setItems(this.findConversations(this.searchQuery, { tool: this.currentFilter }), { keepScroll });
+    }
 
-        const filteredConversations = Array.from(this.conversations.entries())
+    /**
+     * Find conversations matching a parsed query, best matches first
+     * (newest first when there are no search words).
+     * @param {Object} query - Result of parseConversationQuery
+     * @param {Object} [options]
+     * @param {string} [options.tool] - Only this tool ('all' for every tool)
+     * @returns {Array} [{ id, conv, searchResult }] - searchResult holds matching messages, if any
+     */
+    findConversations(query, { tool = 'all' } = {}) {
+        const { filters } = query;
+        const included = query.terms.filter(term => !term.negated);
+        const excluded = query.terms.filter(term => term.negated);
+
+        // Message matches from the full-text index, keyed by conversation id
+        const messageResults = new Map(
+            this.searchText(included).map(result => [result.conversationId, result])
+        );
+        const excludedIds = new Set(
+            excluded.flatMap(term => this.searchText([term], { prefix: false }).map(result => result.conversationId))
+        );
+        const rank = new Map();
+
+        return Array.from(this.conversations.entries())
             .filter(([id, conv]) => {
                 // Filter by tool
-                if (this.currentFilter !== 'all' && conv.tool !== this.currentFilter) {
+                if (tool !== 'all' && conv.tool !== tool) {
                     return false;
                 }
 
-                // Filter by search term
-                if (this.searchTerm) {
-                    const title = conv.conversation.title?.toLowerCase() || '';
-                    const tags = conv.conversation.tags?.join(' ').toLowerCase() || '';
-                    return title.includes(this.searchTerm) || tags.includes(this.searchTerm);
+                // Field filters (tool:, model:, tag:, project:, before:, after:, messages:)
+                if (!matchesConversationFilters(filters, conv)) {
+                    return false;
+                }
+
+                // Negated words and phrases must not appear anywhere
+                const title = conv.conversation.title?.toLowerCase() || '';
+                const tags = conv.conversation.tags?.join(' ').toLowerCase() || '';
+                if (excludedIds.has(id) || excluded.some(term => title.includes(term.text) || tags.includes(term.text))) {
+                    return false;
+                }
+
+                // Filter by search terms (title, tags or message text)
+                if (included.length > 0) {
+                    const titleMatch = included.every(term => title.includes(term.text) || tags.includes(term.text));
+                    if (!titleMatch && !messageResults.has(id)) return false;
+
+                    // Title and tag matches rank above message-only matches (BM25 scores are unbounded)
+                    rank.set(id, { titleMatch, score: messageResults.get(id)?.score || 0 });
                 }
 
                 return true;
             })
             .sort((a, b) => {
+                if (included.length > 0) {
+                    const rankA = rank.get(a[0]);
+                    const rankB = rank.get(b[0]);
+                    if (rankA.titleMatch !== rankB.titleMatch) return rankA.titleMatch ? -1 : 1;
+                    if (rankA.score !== rankB.score) return rankB.score - rankA.score;
+                }
                 const dateA = new Date(a[1].conversation.updated);
                 const dateB = new Date(b[1].conversation.updated);
                 return dateB - dateA;
-            });
+            })
+            .map(([id, conv]) => ({ id, conv, searchResult: messageResults.get(id) || null }));
+    }
 
-        filteredConversations.forEach(([id, conv]) => {
-            const item = this.createConversationItem(id, conv);
-            container.appendChild(item);
-        });
+    /**
+     * Find conversations for a query string (invalid filters are ignored)
+     */
+    search(query) {
+        return this.findConversations(parseConversationQuery(query));
+    }
 
-        if (filteredConversations.length === 0) {
-            container.innerHTML = '<div style="padding: 20px; text-align: center; color: var(--text-secondary);">No conversations found</div>';
-        }
+    /**
+     * Search message text for words and phrases. A message only counts as a hit
+     * if it contains each quoted phrase as written, not just its words.
+     */
+    searchText(terms, options) {
+        if (terms.length === 0) return [];
+
+        const phrases = terms.filter(term => term.phrase).map(term => term.text.replace(/\s+/g, ' '));
+        const results = this.searchIndex.search(terms.map(term => term.text).join(' '), options);
+        if (phrases.length === 0) return results;
+
+        return results
+            .map(result => ({
+                ...result,
+                hits: result.hits.filter(hit => {
+                    const text = hit.text.toLowerCase().replace(/\s+/g, ' ');
+                    return phrases.every(phrase => text.includes(phrase));
+                })
+            }))
+            .filter(result => result.hits.length > 0);
+    }
+
+    /**
+     * Words to highlight for a query (negated terms and filters excluded)
+     */
+    getHighlightTerms(query = this.searchQuery) {
+        const text = query.terms
+            .filter(term => !term.negated)
+            .map(term => term.text)
+            .join(' ');
+        return this.searchIndex.highlightTerms(text);
+    }
+
+    /**
+     * Show query syntax errors under the search box
+     */
+    showSearchFeedback(errors) {
+        const input = document.getElementById('search-input');
+        const feedback = document.getElementById('search-feedback');
+        if (!feedback) return;
+
+        input?.classList.toggle('invalid', errors.length > 0);
+        feedback.classList.toggle('hidden', errors.length === 0);
+        feedback.textContent = errors.join(' · ');
     }
 
     /**
      * Create a conversation list item element
+     * @param {Object} [searchResult] - Matching messages from the search index
      */
-    createConversationItem(id, conv) {
+    createConversationItem(id, conv, searchResult = null) {
         const div = document.createElement('div');
         div.className = 'conversation-item';
         if (this.currentConversation === id) {
             div.classList.add('active');
         }
 
-        const title = conv.conversation.title || 'Untitled Conversation';
-        const messageCount = conv.metadata.message_count;
+        // Until the archive loads, entries without a synced title show their id
+        const title = conv.conversation.title || (conv.loaded ? 'Untitled Conversation' : id);
+        const messageCount = conv.messageCount ?? '?';
         const date = new Date(conv.conversation.updated);
         const tool = conv.tool;
 
         div.innerHTML = `
             <div class="conversation-item-header">
                 <div class="conversation-item-title">${this.escapeHtml(title)}</div>
-                <span class="conversation-item-tool ${tool}">${tool}</span>
+                <span class="conversation-item-tool ${this.escapeHtml(tool)}">${this.escapeHtml(this.getToolLabel(tool))}</span>
             </div>
             <div class="conversation-item-meta">
                 <span>${messageCount} messages</span>
                 <span>${this.formatRelativeTime(date)}</span>
             </div>
+            ${searchResult ? this.renderSearchHits(searchResult) : ''}
         `;
 
-        div.addEventListener('click', () => {
+        div.addEventListener('click', (e) => {
+            const hit = e.target.closest('[data-message-index]');
+            if (hit) {
+                this.loadConversation(id, {
+                    messageIndex: Number(hit.dataset.messageIndex),
+                    terms: this.getHighlightTerms()
+                });
+                return;
+            }
             this.loadConversation(id);
         });
 
@@ -207,38 +702,108 @@ export class ConversationsModule {
         return div;
     }
 
+    /**
+     * Render the best matching message snippets for a search result
+     */
+    renderSearchHits(result) {
+        const terms = this.getHighlightTerms();
+        const more = result.hits.length - 2;
+
+        return `
+            <div class="conversation-item-hits">
+                ${result.hits.slice(0, 2).map(hit => `
+                    <div class="search-hit" data-message-index="${hit.messageIndex}" title="Jump to message">
+                        ${this.renderSegments(buildSnippet(hit.text, terms))}
+                    </div>
+                `).join('')}
+                ${more > 0 ? `<div class="search-hit-more">+ ${more} more matching message${more === 1 ? '' : 's'}</div>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Render text segments, wrapping matches in <mark>
+     */
+    renderSegments(segments) {
+        return segments
+            .map(segment => segment.match
+                ? `<mark class="search-mark">${this.escapeHtml(segment.text)}</mark>`
+                : this.escapeHtml(segment.text))
+            .join('');
+    }
+
     /**
      * Load and display a specific conversation
+     * @param {Object} [focus] - { messageIndex, terms } to scroll to and highlight
      */
-    async loadConversation(id) {
-        this.currentConversation = id;
+    async loadConversation(id, focus = null) {
         const conv = this.conversations.get(id);
+        if (!conv) return;
+
+        this.currentConversation = id;
 
-        // Update active state in list
-        document.querySelectorAll('.conversation-item').forEach(item => {
-            item.classList.remove('active');
+        // Record the conversation (and focused message) in the URL
+        if (!this.routing) this.router?.update({
+            ...this.getRoute(),
+            params: focus ? { msg: focus.messageIndex, q: (focus.terms || []).join(' ') } : {}
         });
 
-        // Find and activate the clicked item
-        const items = document.querySelectorAll('.conversation-item');
-        items.forEach(item => {
-            if (item.querySelector('.conversation-item-title').textContent === (conv.conversation.title || 'Untitled Conversation')) {
-                item.classList.add('active');
+        // Update active state in list and bring the item into view
+        if (this.virtualList) {
+            this.virtualList.scrollToIndex(this.virtualList.items.findIndex(item => item.id === id));
+            this.virtualList.refresh();
+        }
+
+        this.renderConversationHeader(conv);
+
+        // Fetch the archive if it hasn't loaded yet
+        if (!conv.loaded) {
+            this.showMessagesPlaceholder('Loading conversation...');
+            try {
+                await this.ensureLoaded(id, { priority: true });
+            } catch (error) {
+                console.error(`Error loading conversation ${id}:`, error);
+                if (this.currentConversation === id) {
+                    this.showMessagesPlaceholder('Could not load this conversation. Check its archive path in sync-status.json.');
+                }
+                return;
             }
-        });
 
-        // Update header
+            // Another conversation was opened while this one loaded
+            if (this.currentConversation !== id) return;
+            this.renderConversationHeader(conv);
+        }
+
+        // Render messages
+        this.renderMessages(conv.conversation.messages);
+        if (focus) {
+            this.focusMessage(focus.messageIndex, focus.terms);
+        }
+
+        // Render metadata
+        this.renderMetadata(conv);
+
+        // Show related insights in context panel
+        if (this.contextPanel) {
+            this.showRelatedInsights(id);
+        }
+    }
+
+    /**
+     * Render the conversation header (title, tool, date, count and tags)
+     */
+    renderConversationHeader(conv) {
         document.getElementById('conversation-title').textContent =
             conv.conversation.title || 'Untitled Conversation';
 
         document.getElementById('conversation-tool').textContent =
-            `Tool: ${conv.tool.charAt(0).toUpperCase() + conv.tool.slice(1)}`;
+            `Tool: ${this.getToolLabel(conv.tool)}`;
 
         document.getElementById('conversation-date').textContent =
             `Updated: ${this.formatDate(new Date(conv.conversation.updated))}`;
 
         document.getElementById('message-count').textContent =
-            `${conv.metadata.message_count} messages`;
+            `${conv.messageCount ?? '?'} messages`;
 
         // Render tags
         const tagsContainer = document.getElementById('conversation-tags');
@@ -251,16 +816,44 @@ export class ConversationsModule {
                 tagsContainer.appendChild(tagEl);
             });
         }
+    }
 
-        // Render messages
-        this.renderMessages(conv.conversation.messages);
+    /**
+     * Show a status message in place of the messages
+     */
+    showMessagesPlaceholder(text) {
+        const container = document.getElementById('messages-container');
+        container.innerHTML = `<div class="welcome-message"><p>${this.escapeHtml(text)}</p></div>`;
+    }
 
-        // Render metadata
-        this.renderMetadata(conv);
+    /**
+     * Route for the open conversation
+     */
+    getRoute() {
+        return { tab: 'conversations', id: this.currentConversation, params: {} };
+    }
 
-        // Show related insights in context panel
-        if (this.contextPanel) {
-            this.showRelatedInsights(id);
+    /**
+     * Open the conversation of a route (#/conversations/<id>?msg=12&q=words).
+     * `msg` scrolls to a message and `q` highlights words in it.
+     */
+    showRoute(route) {
+        if (!route.id) return;
+        if (!this.conversations.has(route.id)) {
+            console.warn(`Conversation ${route.id} not found`);
+            return;
+        }
+
+        const messageIndex = route.params.msg !== undefined ? Number(route.params.msg) : null;
+        if (route.id === this.currentConversation && messageIndex === null) return;
+
+        this.routing = true;
+        try {
+            this.loadConversation(route.id, messageIndex !== null
+                ? { messageIndex, terms: tokenize(route.params.q || '') }
+                : null);
+        } finally {
+            this.routing = false;
         }
     }
 
@@ -280,9 +873,10 @@ export class ConversationsModule {
         const container = document.getElementById('messages-container');
         container.innerHTML = '';
 
-        messages.forEach(msg => {
+        messages.forEach((msg, index) => {
             const messageEl = this.createMessageElement(msg);
             if (messageEl.children.length > 0) {
+                messageEl.dataset.messageIndex = index;
                 container.appendChild(messageEl);
             }
         });
@@ -291,6 +885,43 @@ export class ConversationsModule {
         container.scrollTop = container.scrollHeight;
     }
 
+    /**
+     * Scroll to a rendered message and highlight the search terms in it
+     */
+    focusMessage(messageIndex, terms = []) {
+        const messageEl = document.querySelector(`#messages-container [data-message-index="${messageIndex}"]`);
+        if (!messageEl) return;
+
+        const content = messageEl.querySelector('.message-content');
+        if (content && terms.length > 0) {
+            // Wrap matches text node by text node so the formatted markup survives
+            const walker = document.createTreeWalker(content, NodeFilter.SHOW_TEXT);
+            const nodes = [];
+            while (walker.nextNode()) nodes.push(walker.currentNode);
+
+            nodes.forEach(node => {
+                const segments = splitMatches(node.textContent, terms);
+                if (!segments.some(segment => segment.match)) return;
+
+                const fragment = document.createDocumentFragment();
+                segments.forEach(segment => {
+                    if (segment.match) {
+                        const mark = document.createElement('mark');
+                        mark.className = 'search-mark';
+                        mark.textContent = segment.text;
+                        fragment.appendChild(mark);
+                    } else {
+                        fragment.appendChild(document.createTextNode(segment.text));
+                    }
+                });
+                node.replaceWith(fragment);
+            });
+        }
+
+        messageEl.classList.add('message-highlight');
+        messageEl.scrollIntoView({ block: 'center' });
+    }
+
     /**
      * Create a message element
      */
@@ -306,7 +937,7 @@ export class ConversationsModule {
                     contentHtml += this.formatMessageContent(item.text);
                     hasVisibleContent = true;
                 } else if (item.type === 'tool_use' && item.name) {
-                    contentHtml += `<div style="color: var(--text-secondary); font-style: italic;">🔧 Using tool: ${item.name}</div>`;
+                    contentHtml += `<div style="color: var(--text-secondary); font-style: italic;">🔧 Using tool: ${this.escapeHtml(item.name)}</div>`;
                     hasVisibleContent = true;
                 }
                 // Skip 'thinking' blocks - they're internal and not meant for display
@@ -387,7 +1018,7 @@ export class ConversationsModule {
                 </div>
                 <div class="metadata-item">
                     <span class="metadata-label">Message Count</span>
-                    <span class="metadata-value">${conv.metadata.message_count}</span>
+                    <span class="metadata-value">${conv.messageCount ?? '?'}</span>
                 </div>
             </div>
 
@@ -395,15 +1026,15 @@ export class ConversationsModule {
                 <h4>Conversation Details</h4>
                 <div class="metadata-item">
                     <span class="metadata-label">ID</span>
-                    <span class="metadata-value">${conv.conversation.id.substring(0, 8)}...</span>
+                    <span class="metadata-value">${this.escapeHtml(conv.conversation.id.substring(0, 8))}...</span>
                 </div>
                 <div class="metadata-item">
                     <span class="metadata-label">Tool</span>
-                    <span class="metadata-value">${conv.tool}</span>
+                    <span class="metadata-value">${this.escapeHtml(conv.tool)}</span>
                 </div>
                 <div class="metadata-item">
                     <span class="metadata-label">Model</span>
-                    <span class="metadata-value">${conv.conversation.model || 'N/A'}</span>
+                    <span class="metadata-value">${this.escapeHtml(conv.conversation.model || 'N/A')}</span>
                 </div>
                 <div class="metadata-item">
                     <span class="metadata-label">Created</span>
@@ -417,13 +1048,13 @@ export class ConversationsModule {
 
             <div class="metadata-section">
                 <h4>Archive Path</h4>
-                <div class="metadata-path">${conv.metadata.archive_path}</div>
+                <div class="metadata-path">${this.escapeHtml(conv.metadata.archive_path)}</div>
             </div>
 
             ${conv.conversation.project_path ? `
                 <div class="metadata-section">
                     <h4>Project Path</h4>
-                    <div class="metadata-path">${conv.conversation.project_path}</div>
+                    <div class="metadata-path">${this.escapeHtml(conv.conversation.project_path)}</div>
                 </div>
             ` : ''}
         `;
@@ -0,0 +1,68 @@
+// Diff Module
+// Minimal LCS-based line diff for previews
+
+/**
+ * Compute a line diff between two strings.
+ * Returns [{ type: 'same' | 'add' | 'remove', text }] in display order.
+ */
+export function diffLines(oldText, newText) {
+    const a = (oldText || '').split('\n');
+    const b = (newText || '').split('\n');
+    return diffSequences(a, b);
+}
+
+/**
+ * LCS diff over two arrays of comparable tokens
+ */
+export function diffSequences(a, b) {
+    const n = a.length;
+    const m = b.length;
+
+    // lcs[i][j] = length of LCS of a[i..] and b[j..]
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j]
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (a[i] === b[j]) {
+            result.push({ type: 'same', text: a[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            result.push({ type: 'remove', text: a[i++] });
+        } else {
+            result.push({ type: 'add', text: b[j++] });
+        }
+    }
+    while (i < n) result.push({ type: 'remove', text: a[i++] });
+    while (j < m) result.push({ type: 'add', text: b[j++] });
+
+    return result;
+}
+
+/**
+ * Summarise a diff as { added, removed }
+ */
+export function diffStats(diff) {
+    return diff.reduce((acc, part) => {
+        if (part.type === 'add') acc.added++;
+        if (part.type === 'remove') acc.removed++;
+        return acc;
+    }, { added: 0, removed: 0 });
+}
+
+/**
+ * Word-level diff for inline display (whitespace is kept as its own token)
+ */
+export function diffWords(oldText, newText) {
+    const tokenize = (text) => (text || '').split(/(\s+)/).filter(token => token !== '');
+    return diffSequences(tokenize(oldText), tokenize(newText));
+}
@@ -0,0 +1,271 @@
+// Global Search Module
+// Command palette (Ctrl+K / Cmd+K) that searches every module at once and
+// groups the results by type
+
+import { tokenize, buildSnippet } from './searchIndex.js';
+import { Modal } from './modal.js';
+
+const RESULTS_PER_GROUP = 5;
+
+export class GlobalSearch {
+    /**
+     * @param {Array} sources - Searchable result types, shown in this order:
+     *   { type, label, icon, search(query) }
+     *   `search` returns (or resolves to) [{ title, meta, text, open }] where
+     *   `text` is an optional longer passage to show a snippet from and
+     *   `open` navigates to the result.
+     */
+    constructor(sources) {
+        this.sources = sources;
+        this.overlay = null;
+        this.input = null;
+        this.results = []; // Flat list of rendered results, for keyboard navigation
+        this.activeIndex = 0;
+        this.searchId = 0; // Discards results of searches overtaken by newer input
+    }
+
+    /**
+     * Register the keyboard shortcut and any [data-global-search] buttons
+     */
+    init() {
+        document.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                if (this.isOpen()) {
+                    this.close();
+                } else if (!Modal.isOpen()) {
+                    this.open();
+                }
+            }
+        });
+
+        document.querySelectorAll('[data-global-search]').forEach(btn => {
+            btn.addEventListener('click', () => this.open());
+        });
+    }
+
+    /**
+     * Check whether the palette is showing
+     */
+    isOpen() {
+        return this.overlay !== null;
+    }
+
+    /**
+     * Show the palette. Uses the modal overlay so other shortcuts are suspended while open.
+     */
+    open() {
+        if (this.isOpen()) return;
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'modal-overlay palette-overlay';
+        this.overlay.innerHTML = `
+            <div class="command-palette" role="dialog" aria-label="Search everything">
+                <input type="text" class="palette-input" placeholder="Search conversations, insights and anchors..." autocomplete="off">
+                <div class="palette-results"></div>
+                <div class="palette-footer">
+                    <span><kbd>↑</kbd><kbd>↓</kbd> select</span>
+                    <span><kbd>Enter</kbd> open</span>
+                    <span><kbd>Esc</kbd> close</span>
+                </div>
+            </div>
+        `;
+
+        this.input = this.overlay.querySelector('.palette-input');
+
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) {
+                this.close();
+                return;
+            }
+            const item = e.target.closest('[data-result-index]');
+            if (item) {
+                this.openResult(Number(item.dataset.resultIndex));
+            }
+        });
+
+        this.overlay.addEventListener('mousemove', (e) => {
+            const item = e.target.closest('[data-result-index]');
+            if (item) {
+                this.setActive(Number(item.dataset.resultIndex), false);
+            }
+        });
+
+        this.input.addEventListener('input', () => this.search(this.input.value));
+        this.input.addEventListener('keydown', (e) => this.handleKey(e));
+
+        document.body.appendChild(this.overlay);
+        this.input.focus();
+        this.search('');
+    }
+
+    /**
+     * Remove the palette
+     */
+    close() {
+        if (!this.overlay) return;
+        this.overlay.remove();
+        this.overlay = null;
+        this.input = null;
+        this.results = [];
+    }
+
+    /**
+     * Keyboard navigation inside the palette
+     */
+    handleKey(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.setActive(this.activeIndex + 1);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.setActive(this.activeIndex - 1);
+                break;
+            case 'Enter':
+                e.preventDefault();
+                this.openResult(this.activeIndex);
+                break;
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                break;
+        }
+    }
+
+    /**
+     * Query every source and render the grouped results
+     */
+    async search(query) {
+        const searchId = ++this.searchId;
+        const trimmed = query.trim();
+
+        if (!trimmed) {
+            this.results = [];
+            this.renderHint('Type to search conversations, insights and anchors. Conversation filters such as <code>tool:claude</code> or <code>tag:refactor</code> work here too.');
+            return;
+        }
+
+        const groups = await Promise.all(this.sources.map(async source => {
+            try {
+                return { source, items: await source.search(trimmed) };
+            } catch (error) {
+                console.error(`Global search failed for ${source.type}:`, error);
+                return { source, items: [] };
+            }
+        }));
+
+        // A newer search started while this one was waiting
+        if (searchId !== this.searchId || !this.isOpen()) return;
+
+        this.renderGroups(groups.filter(group => group.items.length > 0), this.getHighlightTerms(trimmed));
+    }
+
+    /**
+     * Words to highlight: the query minus negated words and field filters
+     */
+    getHighlightTerms(query) {
+        const words = query
+            .split(/\s+/)
+            .filter(word => !word.startsWith('-') && !/^[a-z]+:/i.test(word))
+            .join(' ');
+        return [...new Set(tokenize(words))];
+    }
+
+    /**
+     * Show a message instead of results
+     */
+    renderHint(html) {
+        this.overlay.querySelector('.palette-results').innerHTML = `<div class="palette-hint">${html}</div>`;
+    }
+
+    /**
+     * Render results grouped by type, with a running index across groups
+     */
+    renderGroups(groups, terms) {
+        if (groups.length === 0) {
+            this.results = [];
+            this.renderHint('No matches');
+            return;
+        }
+
+        this.results = [];
+        const html = groups.map(({ source, items }) => {
+            const shown = items.slice(0, RESULTS_PER_GROUP);
+            return `
+                <div class="palette-group">
+                    <div class="palette-group-header">
+                        <span>${source.icon} ${source.label}</span>
+                        <span class="palette-group-count">${items.length > shown.length ? `${shown.length} of ${items.length}` : items.length}</span>
+                    </div>
+                    ${shown.map(item => {
+                        const index = this.results.push(item) - 1;
+                        return `
+                            <div class="palette-item" data-result-index="${index}">
+                                <div class="palette-item-title">${this.highlight(item.title, terms)}</div>
+                                ${item.meta ? `<div class="palette-item-meta">${this.escapeHtml(item.meta)}</div>` : ''}
+                                ${item.text ? `<div class="palette-item-snippet">${this.renderSnippet(item.text, terms)}</div>` : ''}
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            `;
+        }).join('');
+
+        this.overlay.querySelector('.palette-results').innerHTML = html;
+        this.setActive(0);
+    }
+
+    /**
+     * Highlight query words in a short string
+     */
+    highlight(text, terms) {
+        return this.renderSnippet(text, terms, Infinity);
+    }
+
+    /**
+     * Render a snippet around the first matching word, with matches in <mark>
+     */
+    renderSnippet(text, terms, radius = 50) {
+        return buildSnippet(text, terms, radius)
+            .map(segment => segment.match
+                ? `<mark class="search-mark">${this.escapeHtml(segment.text)}</mark>`
+                : this.escapeHtml(segment.text))
+            .join('');
+    }
+
+    /**
+     * Move the keyboard selection
+     */
+    setActive(index, scroll = true) {
+        if (this.results.length === 0) return;
+
+        this.activeIndex = (index + this.results.length) % this.results.length;
+        this.overlay.querySelectorAll('.palette-item').forEach(item => {
+            const active = Number(item.dataset.resultIndex) === this.activeIndex;
+            item.classList.toggle('active', active);
+            if (active && scroll) item.scrollIntoView({ block: 'nearest' });
+        });
+    }
+
+    /**
+     * Close the palette and navigate to a result
+     */
+    openResult(index) {
+        const result = this.results[index];
+        if (!result) return;
+
+        this.close();
+        result.open();
+    }
+
+    /**
+     * Escape HTML
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
@@ -0,0 +1,145 @@
+// Hub API Module
+// Client for the local write-back server (server.js)
+
+export class HubApi {
+    constructor(baseUrl = '/api') {
+        this.baseUrl = baseUrl;
+        this.available = false;
+        this.detectPromise = null;
+    }
+
+    /**
+     * Detect whether the write-back server is running.
+     * Resolves false under a plain static server (python -m http.server etc.)
+     */
+    detect() {
+        if (!this.detectPromise) {
+            this.detectPromise = (async () => {
+                try {
+                    const response = await fetch(`${this.baseUrl}/status`, { cache: 'no-store' });
+                    if (!response.ok) return false;
+                    const status = await response.json();
+                    this.available = status.writable === true;
+                } catch (error) {
+                    this.available = false;
+                }
+
+                console.log(`Write-back server ${this.available ? 'detected' : 'not available'}`);
+                return this.available;
+            })();
+        }
+
+        return this.detectPromise;
+    }
+
+    /**
+     * Check if writes are possible
+     */
+    isWritable() {
+        return this.available;
+    }
+
+    /**
+     * Persist anchors.json
+     */
+    saveAnchors(document) {
+        return this.request('PUT', 'insights/anchors', document);
+    }
+
+    /**
+     * Persist rejected-insights.json
+     */
+    saveRejected(document) {
+        return this.request('PUT', 'insights/rejected', document);
+    }
+
+    /**
+     * Persist suppression-rules.json
+     */
+    saveSuppressionRules(document) {
+        return this.request('PUT', 'insights/suppression', document);
+    }
+
+    /**
+     * Persist auto-approve-policies.json
+     */
+    saveAutoApprovePolicies(document) {
+        return this.request('PUT', 'insights/policies', document);
+    }
+
+    /**
+     * Load the saved review session and skipped queue
+     */
+    loadReviewState() {
+        return this.request('GET', 'insights/review');
+    }
+
+    /**
+     * Persist the review session and skipped queue
+     */
+    saveReviewState(document) {
+        return this.request('PUT', 'insights/review', document);
+    }
+
+    /**
+     * Append an entry to the audit log (the server adds time and actor)
+     */
+    appendAuditEntry(entry) {
+        return this.request('POST', 'audit', entry);
+    }
+
+    /**
+     * Write a generated context file under ai-memory-sync/output/context
+     */
+    saveContextFile(relativePath, content) {
+        const endpoint = relativePath.split('/').map(encodeURIComponent).join('/');
+        return this.request('PUT', `context/${endpoint}`, { content });
+    }
+
+    /**
+     * List the file names in a directory under ai-memory-sync/output/context
+     */
+    async listContextFiles(relativeDir) {
+        const endpoint = relativeDir.split('/').map(encodeURIComponent).join('/');
+        const { files } = await this.request('GET', `context/${endpoint}`);
+        return files;
+    }
+
+    /**
+     * Remove a generated context file (the server keeps it as <file>.bak)
+     */
+    deleteContextFile(relativePath) {
+        const endpoint = relativePath.split('/').map(encodeURIComponent).join('/');
+        return this.request('DELETE', `context/${endpoint}`);
+    }
+
+    /**
+     * Send a JSON request and surface server errors as exceptions
+     */
+    async request(method, endpoint, body) {
+        if (!this.available) {
+            throw new Error('Write-back server is not available');
+        }
+
+        const options = { method, headers: {} };
+        if (body !== undefined) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+
+        const response = await fetch(`${this.baseUrl}/${endpoint}`, options);
+
+        let data = null;
+        try {
+            data = await response.json();
+        } catch (error) {
+            // Non-JSON response (e.g. static server 404 page)
+        }
+
+        if (!response.ok) {
+            throw new Error(data?.error || `Request failed (${response.status})`);
+        }
+
+        return data;
+    }
+}
@@ -0,0 +1,156 @@
+// Hub Cache Module
+// IndexedDB copy of conversation archives and data files, shared by the
+// conversations, insights and anchors modules, so a reload only fetches what changed.
+// Stores:
+//   conversations: { id, last_synced, archive }   reused while sync-status.json's
+//                                                  last_synced for the id is unchanged
+//   files:         { url, etag, last_modified, data }   revalidated with a conditional request
+//   meta:          { key, value }                  e.g. every conversation's last_synced at the last visit
+//
+// Every method fails soft: without IndexedDB (private browsing, old browsers)
+// reads miss and fetchJson behaves like a plain fetch.
+
+const DB_NAME = 'ai-memory-hub';
+const DB_VERSION = 1;
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class HubCache {
+    constructor() {
+        this.opening = null;
+    }
+
+    /**
+     * Open (and on first use create) the database. Resolves to null if IndexedDB is unavailable.
+     */
+    open() {
+        if (!this.opening) {
+            this.opening = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('conversations', { keyPath: 'id' });
+                    db.createObjectStore('files', { keyPath: 'url' });
+                    db.createObjectStore('meta', { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('Cache database is blocked by another tab'));
+            }).catch(error => {
+                console.warn('Cache unavailable, loading everything from disk:', error.message);
+                return null;
+            });
+        }
+        return this.opening;
+    }
+
+    /**
+     * Run a request against one store. Resolves to `fallback` if the cache is unavailable or fails.
+     */
+    async run(storeName, mode, makeRequest, fallback = null) {
+        const db = await this.open();
+        if (!db) return fallback;
+
+        try {
+            const store = db.transaction(storeName, mode).objectStore(storeName);
+            return await promisify(makeRequest(store));
+        } catch (error) {
+            console.warn(`Cache ${mode === 'readonly' ? 'read' : 'write'} failed (${storeName}):`, error);
+            return fallback;
+        }
+    }
+
+    /**
+     * Every cached conversation archive
+     * @returns {Map} id -> { id, last_synced, archive }
+     */
+    async getConversations() {
+        const entries = await this.run('conversations', 'readonly', store => store.getAll(), []);
+        return new Map(entries.map(entry => [entry.id, entry]));
+    }
+
+    /**
+     * Cache a conversation archive for the sync it came from
+     */
+    putConversation(id, lastSynced, archive) {
+        return this.run('conversations', 'readwrite', store => store.put({ id, last_synced: lastSynced, archive }));
+    }
+
+    /**
+     * Drop cached archives (e.g. conversations no longer in sync-status.json)
+     */
+    async deleteConversations(ids) {
+        for (const id of ids) {
+            await this.run('conversations', 'readwrite', store => store.delete(id));
+        }
+    }
+
+    /**
+     * Read a stored value
+     */
+    async getMeta(key) {
+        const entry = await this.run('meta', 'readonly', store => store.get(key));
+        return entry ? entry.value : null;
+    }
+
+    /**
+     * Store a value
+     */
+    setMeta(key, value) {
+        return this.run('meta', 'readwrite', store => store.put({ key, value }));
+    }
+
+    /**
+     * Fetch a JSON file, reusing the cached copy when the server says it hasn't
+     * changed (304). Falls back to the cached copy if the server can't be reached.
+     * @returns {Object|null} Parsed JSON, or null if the file doesn't exist
+     */
+    async fetchJson(url) {
+        const cached = await this.run('files', 'readonly', store => store.get(url));
+
+        const headers = {};
+        if (cached?.etag) headers['If-None-Match'] = cached.etag;
+        if (cached?.last_modified) headers['If-Modified-Since'] = cached.last_modified;
+
+        let response;
+        try {
+            response = await fetch(url, { cache: 'no-store', headers });
+        } catch (error) {
+            if (cached) {
+                console.warn(`Could not reach ${url}, using cached copy`);
+                return cached.data;
+            }
+            throw error;
+        }
+
+        if (response.status === 304 && cached) {
+            return cached.data;
+        }
+        if (!response.ok) {
+            return null;
+        }
+
+        const data = await response.json();
+        const etag = response.headers.get('ETag');
+        const lastModified = response.headers.get('Last-Modified');
+
+        // Only worth keeping if it can be revalidated next time
+        if (etag || lastModified) {
+            this.run('files', 'readwrite', store => store.put({ url, etag, last_modified: lastModified, data }));
+        }
+        return data;
+    }
+}
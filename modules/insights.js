@@ -2,9 +2,11 @@
 // Handles insights visualization and analysis
 
 export class InsightsModule {
-    constructor(container, contextPanel) {
+    constructor(container, contextPanel, router = null, cache = null) {
         this.container = container;
         this.contextPanel = contextPanel;
+        this.router = router;
+        this.cache = cache; // HubCache for insights.json (optional)
         this.insights = [];
         this.sortMode = 'recency'; // recency | strength | weakness
         this.currentSortColumn = 'last_seen';
@@ -32,20 +34,7 @@ export class InsightsModule {
      */
     async loadData() {
         try {
-            // Try primary path first, then fallback
-            let response;
-            try {
-                response = await fetch('../ai-memory-sync/state/insights/insights.json');
-                if (!response.ok) throw new Error('Primary path failed');
-            } catch (e) {
-                response = await fetch('../ai-insight-synthesizer/state/insights.json');
-            }
-
-            const data = await response.json();
-            this.insights = Object.keys(data.insights).map(key => ({
-                id: key,
-                ...data.insights[key]
-            }));
+            this.insights = await this.fetchInsights();
 
             // Generate category colors
             this.generateCategoryColors();
@@ -56,6 +45,68 @@ export class InsightsModule {
         }
     }
 
+    /**
+     * Fetch insights.json as a list of insights
+     */
+    async fetchInsights() {
+        // Try primary path first, then fallback
+        let data;
+        try {
+            data = await this.fetchJson('../ai-memory-sync/state/insights/insights.json');
+            if (!data) throw new Error('Primary path failed');
+        } catch (e) {
+            data = await this.fetchJson('../ai-insight-synthesizer/state/insights.json');
+        }
+
+        return Object.keys(data.insights).map(key => ({
+            id: key,
+            ...data.insights[key]
+        }));
+    }
+
+    /**
+     * Merge a rewritten insights.json (live reload). Search, filters and scroll
+     * position are kept; if the tab is hidden it re-renders when next shown.
+     */
+    async reload() {
+        let insights;
+        try {
+            insights = await this.fetchInsights();
+        } catch (error) {
+            // Keep what's shown if the file is mid-write or unreadable
+            console.warn('Could not reload insights:', error);
+            return;
+        }
+
+        if (JSON.stringify(insights) === JSON.stringify(this.insights)) return;
+        console.log(`insights.json changed: ${insights.length} insights`);
+
+        this.insights = insights;
+        this.generateCategoryColors();
+
+        if (this.container.classList.contains('hidden')) {
+            this.isRendered = false;
+            return;
+        }
+        if (!this.isRendered) return;
+
+        const scroller = this.container.querySelector('.insights-container');
+        const scrollTop = scroller?.scrollTop || 0;
+        this.render();
+        if (scroller) scroller.scrollTop = scrollTop;
+    }
+
+    /**
+     * Fetch a JSON file, through the cache when there is one (null if missing)
+     */
+    async fetchJson(path) {
+        if (this.cache) {
+            return this.cache.fetchJson(path);
+        }
+        const response = await fetch(path);
+        return response.ok ? response.json() : null;
+    }
+
     /**
      * Generate consistent colors for categories
      */
@@ -95,7 +146,10 @@ export class InsightsModule {
         }
 
         if (categoryFilter) {
-            categoryFilter.addEventListener('change', () => this.filterTable());
+            categoryFilter.addEventListener('change', () => {
+                this.filterTable();
+                this.router?.update(this.getRoute());
+            });
         }
 
         if (sourceFilter) {
@@ -120,8 +174,8 @@ export class InsightsModule {
         this.renderTopicCloud();
         this.renderCategoryChart();
         this.renderTimelineGraph();
-        this.renderTable();
         this.populateFilters();
+        this.renderTable();
         this.isRendered = true;
     }
 
@@ -504,11 +558,17 @@ export class InsightsModule {
     }
 
     /**
-     * Populate filter dropdowns
+     * Populate filter dropdowns, keeping the selections that still exist
      */
     populateFilters() {
         const categoryFilter = document.getElementById('category-filter');
         const sourceFilter = document.getElementById('source-filter');
+        const selectedCategory = categoryFilter.value;
+        const selectedSource = sourceFilter.value;
+
+        // Keep only the "All" options before (re)populating
+        categoryFilter.length = 1;
+        sourceFilter.length = 1;
 
         // Populate categories
         const categories = [...new Set(this.insights.map(i => i.category))].sort();
@@ -532,6 +592,9 @@ export class InsightsModule {
             option.textContent = src;
             sourceFilter.appendChild(option);
         });
+
+        categoryFilter.value = categories.includes(selectedCategory) ? selectedCategory : '';
+        sourceFilter.value = sources.includes(selectedSource) ? selectedSource : '';
     }
 
     /**
@@ -543,21 +606,46 @@ export class InsightsModule {
         const selectedSource = document.getElementById('source-filter').value;
 
         const filteredInsights = this.insights.filter(insight => {
-            const source = insight.evidence && insight.evidence.length > 0 ? insight.evidence[0].split('/')[0] : '';
+            const source = this.getInsightSource(insight);
 
             const matchesCategory = !selectedCategory || insight.category === selectedCategory;
             const matchesSource = !selectedSource || source === selectedSource;
-            const matchesSearch = !searchTerm ||
-                insight.content.toLowerCase().includes(searchTerm) ||
-                insight.category.toLowerCase().includes(searchTerm) ||
-                source.toLowerCase().includes(searchTerm);
 
-            return matchesCategory && matchesSource && matchesSearch;
+            return matchesCategory && matchesSource && this.matchesSearch(insight, searchTerm);
         });
 
         this.renderTableContent(filteredInsights);
     }
 
+    /**
+     * Get the tool an insight came from (first path segment of its first evidence)
+     */
+    getInsightSource(insight) {
+        return insight.evidence && insight.evidence.length > 0 ? insight.evidence[0].split('/')[0] : '';
+    }
+
+    /**
+     * Check if an insight's content, category or source contains a (lowercase) search term
+     */
+    matchesSearch(insight, searchTerm) {
+        return !searchTerm ||
+            insight.content.toLowerCase().includes(searchTerm) ||
+            insight.category.toLowerCase().includes(searchTerm) ||
+            this.getInsightSource(insight).toLowerCase().includes(searchTerm);
+    }
+
+    /**
+     * Find insights matching every word of a query, strongest first
+     */
+    search(query) {
+        const words = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        if (words.length === 0) return [];
+
+        return this.insights
+            .filter(insight => words.every(word => this.matchesSearch(insight, word)))
+            .sort((a, b) => (b.strength || 0) - (a.strength || 0));
+    }
+
     /**
      * Render table content
      */
@@ -667,6 +755,32 @@ export class InsightsModule {
 
         // Scroll to table
         document.getElementById('table-view').scrollIntoView({ behavior: 'smooth' });
+
+        this.router?.update(this.getRoute());
+    }
+
+    /**
+     * Route for the current category filter
+     */
+    getRoute() {
+        const category = document.getElementById('category-filter')?.value || '';
+        return { tab: 'insights', id: null, params: { category } };
+    }
+
+    /**
+     * Apply a route's category filter (#/insights?category=x)
+     */
+    showRoute(route) {
+        const category = route.params.category || '';
+        const categoryFilter = document.getElementById('category-filter');
+        if (!categoryFilter || categoryFilter.value === category) return;
+
+        if (category) {
+            this.filterByCategory(category);
+        } else {
+            categoryFilter.value = '';
+            this.filterTable();
+        }
     }
 
     /**
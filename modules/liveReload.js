@@ -0,0 +1,149 @@
+// Live Reload Module
+// Tells the hub when the sync or synthesizer rewrites a data file. Listens to
+// the local server's change events (/api/events); under a plain static server
+// it polls the files' ETag / Last-Modified instead.
+
+// Data files by the name used in change events. A name changes when any of its files does.
+export const WATCHED_FILES = {
+    'sync-status': ['../ai-memory-sync/sync-status.json'],
+    insights: [
+        '../ai-memory-sync/state/insights/insights.json',
+        '../ai-insight-synthesizer/state/insights.json'
+    ],
+    anchors: ['../ai-memory-sync/state/insights/anchors.json']
+};
+
+export const POLL_INTERVAL = 5000;
+
+export class LiveReload {
+    /**
+     * @param {Function} onChange - Called with the names (WATCHED_FILES keys) of changed files
+     * @param {Object} [options]
+     * @param {string} [options.eventsUrl] - Server-Sent Events endpoint
+     * @param {number} [options.pollInterval] - ms between checks when polling
+     */
+    constructor(onChange, { eventsUrl = '/api/events', pollInterval = POLL_INTERVAL } = {}) {
+        this.onChange = onChange;
+        this.eventsUrl = eventsUrl;
+        this.pollInterval = pollInterval;
+        this.mode = null; // 'events' | 'polling'
+        this.source = null;
+        this.pollTimer = null;
+        this.versions = new Map(); // url -> ETag or Last-Modified seen last
+    }
+
+    /**
+     * Connect to the change events, falling back to polling if the server doesn't send them
+     */
+    start() {
+        if (typeof EventSource === 'undefined') {
+            this.startPolling();
+            return;
+        }
+
+        let opened = false;
+        this.source = new EventSource(this.eventsUrl);
+
+        this.source.addEventListener('open', () => {
+            // Reconnected after the server restarted: changes may have been missed
+            if (opened) {
+                this.onChange(Object.keys(WATCHED_FILES));
+                return;
+            }
+
+            opened = true;
+            this.mode = 'events';
+            console.log('Live reload: listening for change events');
+        });
+
+        this.source.addEventListener('change', (e) => {
+            try {
+                const { file } = JSON.parse(e.data);
+                if (WATCHED_FILES[file]) this.onChange([file]);
+            } catch (error) {
+                console.warn('Live reload: ignoring malformed change event', error);
+            }
+        });
+
+        this.source.addEventListener('error', () => {
+            // Never connected: no events endpoint (static server). Once connected,
+            // EventSource reconnects by itself after the server restarts.
+            if (!opened) {
+                this.source.close();
+                this.source = null;
+                this.startPolling();
+            }
+        });
+    }
+
+    /**
+     * Check the data files every pollInterval while the page is visible
+     */
+    async startPolling() {
+        this.mode = 'polling';
+        console.log(`Live reload: polling data files every ${this.pollInterval / 1000}s`);
+
+        // Record the current versions so the first check doesn't report everything
+        await this.checkFiles();
+
+        const schedule = () => {
+            this.pollTimer = setTimeout(async () => {
+                if (!document.hidden) await this.checkFiles();
+                if (this.mode === 'polling') schedule();
+            }, this.pollInterval);
+        };
+        schedule();
+
+        // Catch up straight away when returning to the tab
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden && this.mode === 'polling') this.checkFiles();
+        });
+    }
+
+    /**
+     * HEAD every watched file and report the names whose version changed
+     */
+    async checkFiles() {
+        const changed = [];
+
+        for (const [name, urls] of Object.entries(WATCHED_FILES)) {
+            for (const url of urls) {
+                const version = await this.getVersion(url);
+                const previous = this.versions.get(url);
+                this.versions.set(url, version);
+
+                if (previous !== undefined && previous !== version && !changed.includes(name)) {
+                    changed.push(name);
+                }
+            }
+        }
+
+        if (changed.length > 0) {
+            this.onChange(changed);
+        }
+    }
+
+    /**
+     * ETag (or Last-Modified) of a file; null if it is missing or unreachable
+     */
+    async getVersion(url) {
+        try {
+            const response = await fetch(url, { method: 'HEAD', cache: 'no-store' });
+            if (!response.ok) return null;
+            return response.headers.get('ETag') || response.headers.get('Last-Modified') || response.headers.get('Content-Length');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Stop listening and polling
+     */
+    stop() {
+        this.mode = null;
+        this.source?.close();
+        this.source = null;
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+    }
+}
@@ -0,0 +1,155 @@
+// Modal Module
+// Lightweight form dialog used by the anchors workflows
+
+export class Modal {
+    /**
+     * @param {Object} options
+     * @param {string} options.title - Dialog title
+     * @param {string} options.body - Inner HTML of the form
+     * @param {string} [options.submitLabel] - Primary button label (omit for no submit button)
+     * @param {string} [options.cancelLabel] - Secondary button label
+     * @param {boolean} [options.danger] - Style the primary button as destructive
+     * @param {boolean} [options.wide] - Use the wide layout (previews, diffs)
+     * @param {Function} [options.onSubmit] - Called with the form values; may be async.
+     *   Throw to show an inline error, return false to keep the dialog open.
+     * @param {Function} [options.onOpen] - Called with the dialog element after it is shown
+     * @param {Function} [options.onClose] - Called after the dialog is removed
+     */
+    constructor(options) {
+        this.options = {
+            cancelLabel: 'Cancel',
+            ...options
+        };
+        this.overlay = null;
+        this.keyHandler = null;
+    }
+
+    /**
+     * Check whether any modal is currently open (used to suspend shortcuts)
+     */
+    static isOpen() {
+        return document.querySelector('.modal-overlay') !== null;
+    }
+
+    /**
+     * Render and show the dialog
+     */
+    open() {
+        const { title, body, submitLabel, cancelLabel, danger, wide } = this.options;
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'modal-overlay';
+        this.overlay.innerHTML = `
+            <form class="modal ${wide ? 'modal-wide' : ''}" novalidate>
+                <div class="modal-header">
+                    <h3>${title}</h3>
+                    <button type="button" class="modal-close" data-modal-close>×</button>
+                </div>
+                <div class="modal-body">
+                    ${body}
+                    <div class="modal-error hidden"></div>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" data-modal-close>${cancelLabel}</button>
+                    ${submitLabel ? `
+                        <button type="submit" class="btn ${danger ? 'btn-danger' : 'btn-primary'}">${submitLabel}</button>
+                    ` : ''}
+                </div>
+            </form>
+        `;
+
+        this.form = this.overlay.querySelector('form');
+
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay || e.target.closest('[data-modal-close]')) {
+                this.close();
+            }
+        });
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+
+        this.keyHandler = (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                this.close();
+            }
+        };
+        document.addEventListener('keydown', this.keyHandler, true);
+
+        document.body.appendChild(this.overlay);
+
+        const firstField = this.form.querySelector('input:not([type="hidden"]), textarea, select');
+        if (firstField) firstField.focus();
+
+        if (this.options.onOpen) {
+            this.options.onOpen(this.form);
+        }
+
+        return this;
+    }
+
+    /**
+     * Collect form values as a plain object
+     */
+    getValues() {
+        const values = {};
+        new FormData(this.form).forEach((value, key) => {
+            values[key] = typeof value === 'string' ? value.trim() : value;
+        });
+        return values;
+    }
+
+    /**
+     * Run the submit handler, keeping the dialog open on failure
+     */
+    async submit() {
+        if (!this.options.onSubmit) {
+            this.close();
+            return;
+        }
+
+        const submitBtn = this.form.querySelector('button[type="submit"]');
+        if (submitBtn) submitBtn.disabled = true;
+        this.showError(null);
+
+        try {
+            const result = await this.options.onSubmit(this.getValues(), this.form);
+            if (result !== false) {
+                this.close();
+            }
+        } catch (error) {
+            console.error('Modal submit failed:', error);
+            this.showError(error.message);
+        } finally {
+            if (submitBtn) submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Show or clear the inline error message
+     */
+    showError(message) {
+        const errorEl = this.form.querySelector('.modal-error');
+        errorEl.textContent = message || '';
+        errorEl.classList.toggle('hidden', !message);
+    }
+
+    /**
+     * Remove the dialog
+     */
+    close() {
+        if (!this.overlay) return;
+
+        document.removeEventListener('keydown', this.keyHandler, true);
+        this.overlay.remove();
+        this.overlay = null;
+
+        if (this.options.onClose) {
+            this.options.onClose();
+        }
+    }
+}
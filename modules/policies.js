@@ -0,0 +1,82 @@
+// Auto-Approve Policies Module
+// Conditions over pending insights that elevate every match to an anchor after
+// one confirm, or queue them as suggestions that can be unticked first.
+// Policies are stored in auto-approve-policies.json as { policies: [...] }:
+//   { id, category: 'all' | <category>, min_strength: 0-1, min_occurrences,
+//     action: 'approve' | 'suggest', enabled, created }
+
+export const POLICY_ACTIONS = {
+    approve: 'Approve all matches after one confirm',
+    suggest: 'Suggest for one-click approval'
+};
+
+/**
+ * Check a policy for problems, returning a list of error messages
+ */
+export function validatePolicy(policy) {
+    const errors = [];
+
+    if (!POLICY_ACTIONS[policy.action]) {
+        errors.push('Choose what the policy does');
+    }
+    if (!policy.category) {
+        errors.push('Choose a category');
+    }
+    if (!(policy.min_strength >= 0 && policy.min_strength <= 1)) {
+        errors.push('Minimum strength must be between 0 and 100%');
+    }
+    if (!(Number.isInteger(policy.min_occurrences) && policy.min_occurrences >= 0)) {
+        errors.push('Minimum occurrences must be a whole number');
+    }
+    // A policy with no conditions would approve everything
+    if (policy.action === 'approve' && policy.category === 'all' &&
+        !(policy.min_strength > 0) && !(policy.min_occurrences > 1)) {
+        errors.push('An auto-approve policy needs at least one condition');
+    }
+
+    return errors;
+}
+
+/**
+ * Human-readable summary of a policy's conditions
+ */
+export function describePolicy(policy, formatCategory = c => c) {
+    const conditions = [];
+    if (policy.min_strength > 0) conditions.push(`strength ≥ ${Math.round(policy.min_strength * 100)}%`);
+    if (policy.min_occurrences > 0) conditions.push(`seen ≥ ${policy.min_occurrences} times`);
+
+    const where = policy.category === 'all' ? 'any category' : formatCategory(policy.category);
+    return `${conditions.length ? conditions.join(' and ') : 'Every insight'} in ${where}`;
+}
+
+/**
+ * Check whether an insight satisfies a policy's conditions
+ */
+export function matchesPolicy(policy, insight) {
+    const strength = insight.strength || insight.confidence || 0;
+    const occurrences = insight.occurrence_count || 0;
+
+    return (policy.category === 'all' || (insight.category || 'uncategorized') === policy.category) &&
+        strength >= policy.min_strength &&
+        occurrences >= policy.min_occurrences;
+}
+
+/**
+ * Match insights against enabled, valid policies. The first matching policy wins.
+ * Returns { approve: [{ insight, policy }], suggest: [{ insight, policy }] }
+ */
+export function evaluatePolicies(policies, insights) {
+    const active = policies.filter(policy => policy.enabled !== false && validatePolicy(policy).length === 0);
+    const result = { approve: [], suggest: [] };
+
+    if (active.length === 0) return result;
+
+    insights.forEach(insight => {
+        const policy = active.find(p => matchesPolicy(p, insight));
+        if (policy) {
+            result[policy.action].push({ insight, policy });
+        }
+    });
+
+    return result;
+}
@@ -0,0 +1,146 @@
+// Review Session Module
+// Persists in-progress review sessions and the skipped-insights queue
+
+const STORAGE_KEY = 'anchorReviewState';
+
+export class ReviewSessionStore {
+    constructor(api = null) {
+        this.api = api;
+        this.state = { session: null, skipped: [], updated_at: null };
+        this.serverSaveTimer = null;
+    }
+
+    /**
+     * Load review state from localStorage and the server, keeping whichever is newer
+     */
+    async load() {
+        const local = this.readLocal();
+        let remote = null;
+
+        if (this.api?.isWritable()) {
+            try {
+                remote = this.normalize(await this.api.loadReviewState());
+            } catch (error) {
+                console.warn('Could not load review state from server:', error);
+            }
+        }
+
+        const localTime = local?.updated_at ? new Date(local.updated_at).getTime() : 0;
+        const remoteTime = remote?.updated_at ? new Date(remote.updated_at).getTime() : 0;
+
+        this.state = (remoteTime > localTime ? remote : local) || this.state;
+        return this.state;
+    }
+
+    /**
+     * Read and validate state from localStorage
+     */
+    readLocal() {
+        try {
+            return this.normalize(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Coerce stored data into the expected shape (null if unusable)
+     */
+    normalize(data) {
+        if (!data || typeof data !== 'object') return null;
+
+        const session = data.session && Array.isArray(data.session.insight_ids)
+            ? {
+                ...data.session,
+                index: Number(data.session.index) || 0,
+                decisions: Array.isArray(data.session.decisions) ? data.session.decisions : []
+            }
+            : null;
+
+        return {
+            session,
+            skipped: Array.isArray(data.skipped) ? data.skipped.filter(s => s && s.insight_id) : [],
+            updated_at: data.updated_at || null
+        };
+    }
+
+    /**
+     * Get the saved session (or null)
+     */
+    getSession() {
+        return this.state.session;
+    }
+
+    /**
+     * Get the set of skipped insight ids
+     */
+    getSkippedIds() {
+        return new Set(this.state.skipped.map(s => s.insight_id));
+    }
+
+    /**
+     * Save the current session
+     */
+    saveSession(session) {
+        this.state.session = session ? { ...session, updated_at: new Date().toISOString() } : null;
+        this.persist();
+    }
+
+    /**
+     * Discard the saved session
+     */
+    clearSession() {
+        this.saveSession(null);
+    }
+
+    /**
+     * Mark an insight as skipped (or refresh its skip time)
+     */
+    addSkipped(insightId) {
+        this.state.skipped = [
+            ...this.state.skipped.filter(s => s.insight_id !== insightId),
+            { insight_id: insightId, skipped_at: new Date().toISOString() }
+        ];
+        this.persist();
+    }
+
+    /**
+     * Remove an insight from the skipped queue (after approve/reject)
+     */
+    removeSkipped(insightId) {
+        const before = this.state.skipped.length;
+        this.state.skipped = this.state.skipped.filter(s => s.insight_id !== insightId);
+        if (this.state.skipped.length !== before) {
+            this.persist();
+        }
+    }
+
+    /**
+     * Drop skipped entries for insights that are no longer pending
+     */
+    pruneSkipped(pendingIds) {
+        const before = this.state.skipped.length;
+        this.state.skipped = this.state.skipped.filter(s => pendingIds.has(s.insight_id));
+        if (this.state.skipped.length !== before) {
+            this.persist();
+        }
+    }
+
+    /**
+     * Write state to localStorage now and to the server shortly after
+     */
+    persist() {
+        this.state.updated_at = new Date().toISOString();
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.state));
+
+        if (!this.api?.isWritable()) return;
+
+        // Debounce server writes - keyboard review can produce several per second
+        clearTimeout(this.serverSaveTimer);
+        this.serverSaveTimer = setTimeout(() => {
+            this.api.saveReviewState(this.state).catch(error => {
+                console.warn('Could not save review state to server:', error);
+            });
+        }, 1000);
+    }
+}
@@ -0,0 +1,114 @@
+// Router Module
+// Hash-based routes so reloads, back/forward and shared links restore a view:
+//   #/conversations/<id>?msg=12&q=words
+//   #/insights?category=<category>
+//   #/anchors/<anchor id>
+//   #/review/<index>
+// A route is { tab, id, params }. `review` routes belong to the anchors tab.
+
+export const DEFAULT_ROUTE = { tab: 'conversations', id: null, params: {} };
+
+const ROUTE_TABS = {
+    conversations: 'conversations',
+    insights: 'insights',
+    anchors: 'anchors',
+    review: 'anchors'
+};
+
+/**
+ * Tab button a route is shown under
+ */
+export function tabForRoute(route) {
+    return ROUTE_TABS[route.tab] || DEFAULT_ROUTE.tab;
+}
+
+/**
+ * Parse a location hash into a route. Unknown routes fall back to the default.
+ */
+export function parseHash(hash) {
+    const [path, query = ''] = (hash || '').replace(/^#\/?/, '').split('?');
+    const [tab, ...rest] = path.split('/');
+
+    if (!ROUTE_TABS[tab]) {
+        return { ...DEFAULT_ROUTE, params: {} };
+    }
+
+    let id = null;
+    try {
+        id = rest.length > 0 && rest.join('/') ? decodeURIComponent(rest.join('/')) : null;
+    } catch (error) {
+        // Malformed escape in a typed or shared link
+        return { ...DEFAULT_ROUTE, params: {} };
+    }
+
+    const params = Object.fromEntries(new URLSearchParams(query));
+    return { tab, id, params };
+}
+
+/**
+ * Build the hash for a route (empty params are left out)
+ */
+export function buildHash({ tab, id = null, params = {} }) {
+    const query = new URLSearchParams(
+        Object.entries(params).filter(([, value]) => value !== null && value !== undefined && value !== '')
+    ).toString();
+
+    return `#/${tab}${id !== null && id !== undefined ? `/${encodeURIComponent(id)}` : ''}${query ? `?${query}` : ''}`;
+}
+
+export class Router {
+    /**
+     * @param {Function} onRoute - Called with the route whenever the hash changes
+     *   (links, back/forward, navigate())
+     */
+    constructor(onRoute) {
+        this.onRoute = onRoute;
+    }
+
+    /**
+     * Start listening for hash changes and return the initial route
+     */
+    start() {
+        window.addEventListener('hashchange', () => this.onRoute(this.current()));
+        return this.current();
+    }
+
+    /**
+     * The route in the address bar
+     */
+    current() {
+        return parseHash(window.location.hash);
+    }
+
+    /**
+     * Go to a route, adding a history entry. Routes through onRoute like a link click.
+     */
+    navigate(route) {
+        const hash = buildHash(route);
+        if (hash === window.location.hash) {
+            this.onRoute(parseHash(hash));
+        } else {
+            window.location.hash = hash;
+        }
+    }
+
+    /**
+     * Record a view change a module already made, without routing it again.
+     * Ignored unless the route is on the tab being shown, so modules updating
+     * in the background can't change the URL.
+     * @param {Object} [options]
+     * @param {boolean} [options.replace] - Replace the current history entry instead of adding one
+     */
+    update(route, { replace = false } = {}) {
+        if (tabForRoute(route) !== tabForRoute(this.current())) return;
+
+        const hash = buildHash(route);
+        if (hash === window.location.hash) return;
+
+        if (replace) {
+            history.replaceState(null, '', hash);
+        } else {
+            history.pushState(null, '', hash);
+        }
+    }
+}
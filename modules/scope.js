@@ -0,0 +1,87 @@
+// Anchor Scope Module
+// An anchor's optional `scope` limits it to one project path or a glob of paths.
+// Anchors without a scope are global.
+
+/**
+ * Normalise a project path for comparison (forward slashes, no trailing slash)
+ */
+export function normalizeProjectPath(path) {
+    return (path || '').trim().replace(/\\/g, '/').replace(/\/+$/, '');
+}
+
+/**
+ * Check if a scope is a glob pattern rather than a single path
+ */
+export function isGlobScope(scope) {
+    return /[*?]/.test(scope || '');
+}
+
+/**
+ * Convert a path glob to a RegExp. `**` matches across directories, `*` and `?` within one.
+ */
+function globToRegExp(glob) {
+    const pattern = normalizeProjectPath(glob)
+        .replace(/[.+^${}()|[\]]/g, '\\$&')
+        .replace(/\*\*\/?/g, '\u0000')
+        .replace(/\*/g, '[^/]*')
+        .replace(/\?/g, '[^/]')
+        .replace(/\u0000/g, '.*');
+    return new RegExp(`^${pattern}$`, 'i');
+}
+
+/**
+ * Check if an anchor scope applies to a project path.
+ * Global scopes apply everywhere; a path scope also covers its subdirectories.
+ */
+export function scopeMatches(scope, projectPath) {
+    if (!scope) return true;
+    if (!projectPath) return false;
+
+    const path = normalizeProjectPath(projectPath);
+    if (isGlobScope(scope)) {
+        return globToRegExp(scope).test(path);
+    }
+
+    const base = normalizeProjectPath(scope).toLowerCase();
+    const target = path.toLowerCase();
+    return target === base || target.startsWith(`${base}/`);
+}
+
+/**
+ * Human-readable scope label
+ */
+export function describeScope(scope) {
+    if (!scope) return 'Global';
+    return isGlobScope(scope) ? `Projects matching ${scope}` : `Project ${scope}`;
+}
+
+/**
+ * Short stable hash of a string (FNV-1a, base 36)
+ */
+function shortHash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36).padStart(7, '0');
+}
+
+/**
+ * Directory (relative to output/context) for a project's exported files.
+ * The last two path segments keep it readable; a hash of the full path keeps
+ * /a/client/api and /b/client/api apart.
+ */
+export function projectDirectory(projectPath) {
+    const path = normalizeProjectPath(projectPath);
+    const slug = path
+        .split('/')
+        .filter(Boolean)
+        .slice(-2)
+        .join('-')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+
+    return `projects/${slug || 'project'}-${shortHash(path.toLowerCase())}`;
+}
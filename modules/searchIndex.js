@@ -0,0 +1,248 @@
+// Search Index Module
+// In-browser inverted index over conversation message text, with BM25 ranking
+// and snippet extraction for the conversations search box. Conversations can be
+// added one at a time as their archives load.
+
+const TOKEN_PATTERN = /[\p{L}\p{N}_]+/gu;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Split text into lowercase word tokens
+ */
+export function tokenize(text) {
+    return (text || '').toLowerCase().match(TOKEN_PATTERN) || [];
+}
+
+/**
+ * Get the searchable text of a message: text blocks of a content array, or string content.
+ * Thinking and tool blocks aren't shown in the viewer, so they aren't indexed.
+ */
+export function getMessageText(msg) {
+    if (Array.isArray(msg.content)) {
+        return msg.content
+            .filter(item => item.type === 'text' && item.text)
+            .map(item => item.text)
+            .join('\n');
+    }
+    return typeof msg.content === 'string' ? msg.content : '';
+}
+
+/**
+ * Cut a snippet around the first match of any term.
+ * Returns [{ text, match }] segments so the caller can escape and highlight them.
+ */
+export function buildSnippet(text, terms, radius = 60) {
+    const lower = text.toLowerCase();
+    let start = -1;
+    terms.forEach(term => {
+        const index = lower.indexOf(term);
+        if (index !== -1 && (start === -1 || index < start)) start = index;
+    });
+
+    const from = Math.max(0, start === -1 ? 0 : start - radius);
+    const to = Math.min(text.length, (start === -1 ? 0 : start) + radius * 2);
+    const excerpt = text.slice(from, to).replace(/\s+/g, ' ');
+
+    const segments = splitMatches(excerpt, terms);
+    if (from > 0) segments.unshift({ text: '…', match: false });
+    if (to < text.length) segments.push({ text: '…', match: false });
+    return segments;
+}
+
+/**
+ * Split text into matching / non-matching segments for the given terms
+ */
+export function splitMatches(text, terms) {
+    const pattern = terms
+        .filter(Boolean)
+        .sort((a, b) => b.length - a.length)
+        .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('|');
+    if (!pattern) return [{ text, match: false }];
+
+    return text
+        .split(new RegExp(`(${pattern})`, 'gi'))
+        .filter(Boolean)
+        .map(part => ({ text: part, match: terms.some(term => part.toLowerCase() === term) }));
+}
+
+export class MessageSearchIndex {
+    constructor() {
+        this.documents = []; // { conversationId, messageIndex, text, length }, null once removed
+        this.documentCount = 0;
+        this.postings = new Map(); // token -> Map(docIndex -> term frequency)
+        this.indexed = new Set(); // Conversation ids already added
+        this.vocabulary = [];
+        this.vocabularyStale = false;
+        this.totalLength = 0;
+        this.averageLength = 0;
+    }
+
+    /**
+     * Index every message of every conversation, replacing anything indexed before.
+     * @param {Map} conversations - id -> { conversation: { messages } }
+     */
+    build(conversations) {
+        this.documents = [];
+        this.postings = new Map();
+        this.indexed = new Set();
+        this.documentCount = 0;
+        this.totalLength = 0;
+
+        conversations.forEach((conv, conversationId) => this.add(conversationId, conv));
+        return this;
+    }
+
+    /**
+     * Index one conversation's messages (once; later calls for the same id are ignored).
+     * Lets the index grow as archives load.
+     */
+    add(conversationId, conv) {
+        if (this.indexed.has(conversationId)) return;
+        this.indexed.add(conversationId);
+
+        (conv.conversation?.messages || []).forEach((msg, messageIndex) => {
+            const text = getMessageText(msg);
+            const tokens = tokenize(text);
+            if (tokens.length === 0) return;
+
+            const docIndex = this.documents.length;
+            this.documents.push({ conversationId, messageIndex, text, length: tokens.length });
+            this.documentCount++;
+            this.totalLength += tokens.length;
+
+            tokens.forEach(token => {
+                if (!this.postings.has(token)) this.postings.set(token, new Map());
+                const posting = this.postings.get(token);
+                posting.set(docIndex, (posting.get(docIndex) || 0) + 1);
+            });
+        });
+
+        this.averageLength = this.documentCount ? this.totalLength / this.documentCount : 0;
+        // Sorted lazily on the next prefix search rather than after every conversation
+        this.vocabularyStale = true;
+    }
+
+    /**
+     * Drop a conversation's messages, e.g. before indexing a re-synced archive with add()
+     */
+    remove(conversationId) {
+        if (!this.indexed.delete(conversationId)) return;
+
+        this.documents.forEach((doc, docIndex) => {
+            if (!doc || doc.conversationId !== conversationId) return;
+
+            new Set(tokenize(doc.text)).forEach(token => {
+                const posting = this.postings.get(token);
+                posting.delete(docIndex);
+                if (posting.size === 0) this.postings.delete(token);
+            });
+
+            // Leave a hole so the other documents keep their indexes
+            this.documents[docIndex] = null;
+            this.documentCount--;
+            this.totalLength -= doc.length;
+        });
+
+        this.averageLength = this.documentCount ? this.totalLength / this.documentCount : 0;
+        this.vocabularyStale = true;
+    }
+
+    /**
+     * Tokens matching a query term. The term being typed last also matches as a prefix.
+     */
+    expandTerm(term, prefix) {
+        if (!prefix || term.length < 3) {
+            return this.postings.has(term) ? [term] : [];
+        }
+
+        if (this.vocabularyStale) {
+            this.vocabulary = [...this.postings.keys()].sort();
+            this.vocabularyStale = false;
+        }
+
+        // Binary search for the first vocabulary entry >= term, then walk the prefix range
+        let low = 0;
+        let high = this.vocabulary.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.vocabulary[mid] < term) low = mid + 1;
+            else high = mid;
+        }
+
+        const matches = [];
+        for (let i = low; i < this.vocabulary.length && this.vocabulary[i].startsWith(term); i++) {
+            matches.push(this.vocabulary[i]);
+        }
+        return matches;
+    }
+
+    /**
+     * Rank messages containing every query term (BM25), grouped by conversation.
+     * Returns [{ conversationId, score, hits: [{ messageIndex, score, text }] }], best first.
+     */
+    search(query, { prefix = true } = {}) {
+        const terms = [...new Set(tokenize(query))];
+        if (terms.length === 0) return [];
+
+        const total = this.documentCount;
+        let scores = null;
+
+        for (const [i, term] of terms.entries()) {
+            const termScores = new Map();
+            this.expandTerm(term, prefix && i === terms.length - 1).forEach(token => {
+                const posting = this.postings.get(token);
+                const idf = Math.log(1 + (total - posting.size + 0.5) / (posting.size + 0.5));
+                posting.forEach((tf, docIndex) => {
+                    const { length } = this.documents[docIndex];
+                    const weight = idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * length / this.averageLength));
+                    termScores.set(docIndex, Math.max(termScores.get(docIndex) || 0, weight));
+                });
+            });
+
+            // Every term must match: intersect with the documents matched so far
+            if (scores === null) {
+                scores = termScores;
+            } else {
+                const next = new Map();
+                scores.forEach((score, docIndex) => {
+                    if (termScores.has(docIndex)) next.set(docIndex, score + termScores.get(docIndex));
+                });
+                scores = next;
+            }
+            if (scores.size === 0) return [];
+        }
+
+        // Exact phrase matches rank above scattered terms
+        const phrase = terms.length > 1 ? terms.join(' ') : null;
+        const byConversation = new Map();
+        scores.forEach((score, docIndex) => {
+            const doc = this.documents[docIndex];
+            const boosted = phrase && doc.text.toLowerCase().replace(/\s+/g, ' ').includes(phrase) ? score * 2 : score;
+
+            if (!byConversation.has(doc.conversationId)) {
+                byConversation.set(doc.conversationId, { conversationId: doc.conversationId, score: 0, hits: [] });
+            }
+            byConversation.get(doc.conversationId).hits.push({ messageIndex: doc.messageIndex, score: boosted, text: doc.text });
+        });
+
+        return [...byConversation.values()]
+            .map(result => {
+                result.hits.sort((a, b) => b.score - a.score);
+                // Best message counts most; further matches add a little
+                result.score = result.hits[0].score + 0.1 * result.hits.slice(1).reduce((sum, hit) => sum + hit.score, 0);
+                return result;
+            })
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Terms to highlight for a query
+     */
+    highlightTerms(query) {
+        return [...new Set(tokenize(query))];
+    }
+}
@@ -0,0 +1,231 @@
+// Similarity Module
+// Offline duplicate detection for anchors and insights (TF-IDF cosine with
+// stemming and synonym normalisation). Methods are pluggable.
+
+export const DEFAULT_SIMILARITY_SETTINGS = {
+    method: 'tfidf',
+    threshold: 0.35
+};
+
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'if', 'then', 'of', 'to', 'in', 'on', 'at', 'by',
+    'for', 'with', 'from', 'as', 'into', 'over', 'about', 'than', 'so', 'is', 'are', 'was',
+    'were', 'be', 'been', 'being', 'it', 'its', 'this', 'that', 'these', 'those', 'they',
+    'them', 'their', 'he', 'she', 'his', 'her', 'user', 'users', 'i', 'me', 'my', 'we', 'our',
+    'you', 'your', 'do', 'does', 'did', 'has', 'have', 'had', 'will', 'would', 'should',
+    'can', 'could', 'when', 'while', 'which', 'who', 'what', 'where', 'how', 'all', 'any',
+    'some', 'such', 'very', 'also', 'just', 'more', 'most', 'other', 'using', 'use', 'uses'
+]);
+
+// Multi-word phrases collapsed to a single token before tokenising
+const DEFAULT_PHRASES = {
+    'tab characters': 'tabs',
+    'tab character': 'tabs',
+    'type script': 'typescript',
+    'pull request': 'pr',
+    'pull requests': 'pr',
+    'unit tests': 'tests',
+    'code review': 'review',
+    'dark mode': 'darkmode',
+    'light mode': 'lightmode'
+};
+
+// Word -> canonical word. Applied before stemming.
+const DEFAULT_SYNONYMS = {
+    likes: 'prefer', like: 'prefer', prefers: 'prefer', preferred: 'prefer', preference: 'prefer',
+    favors: 'prefer', favours: 'prefer', wants: 'prefer', want: 'prefer', enjoys: 'prefer',
+    dislikes: 'avoid', dislike: 'avoid', hates: 'avoid', avoids: 'avoid', never: 'avoid',
+    indentation: 'indent', indenting: 'indent', indented: 'indent',
+    js: 'javascript', ts: 'typescript', py: 'python', node: 'nodejs',
+    brief: 'concise', short: 'concise', terse: 'concise', succinct: 'concise',
+    explanation: 'explain', explanations: 'explain', describe: 'explain',
+    docs: 'documentation', doc: 'documentation', comments: 'documentation',
+    test: 'tests', testing: 'tests', spec: 'tests', specs: 'tests',
+    bug: 'error', bugs: 'error', errors: 'error', issue: 'error', issues: 'error',
+    repo: 'repository', repos: 'repository',
+    func: 'function', fn: 'function', method: 'function', methods: 'function'
+};
+
+/**
+ * Light suffix-stripping stemmer (a small subset of Porter's rules).
+ * Good enough to match prefer/prefers/preferring; not a linguistic stemmer.
+ */
+export function stem(word) {
+    if (word.length <= 3) return word;
+
+    const rules = [
+        [/ies$/, 'y'],
+        [/sses$/, 'ss'],
+        [/([^s])s$/, '$1'],
+        [/eed$/, 'ee'],
+        [/(ing|ed)$/, ''],
+        [/ational$/, 'ate'],
+        [/(ization|isation)$/, 'ize'],
+        [/fulness$/, 'ful'],
+        [/ousness$/, 'ous'],
+        [/iveness$/, 'ive'],
+        [/(ment|ness|ly)$/, ''],
+        [/ation$/, 'ate']
+    ];
+
+    let result = word;
+    for (const [pattern, replacement] of rules) {
+        const next = result.replace(pattern, replacement);
+        // Keep at least three characters of stem
+        if (next !== result && next.length >= 3) {
+            result = next;
+        }
+    }
+
+    // "preferr" -> "prefer", "stopp" -> "stop"
+    return result.replace(/([^aeiouls])\1$/, '$1');
+}
+
+/**
+ * Similarity methods. Each turns a token list into a vector and scores two vectors in [0, 1].
+ * `idf` is a Map of term -> inverse document frequency for the indexed corpus.
+ */
+export const SIMILARITY_METHODS = {
+    tfidf: {
+        label: 'TF-IDF cosine',
+        vectorize(tokens, idf, fallbackIdf) {
+            const vector = new Map();
+            tokens.forEach(token => vector.set(token, (vector.get(token) || 0) + 1));
+            vector.forEach((tf, token) => vector.set(token, tf * (idf.get(token) ?? fallbackIdf)));
+            return vector;
+        },
+        score(a, b) {
+            let dot = 0;
+            let normA = 0;
+            let normB = 0;
+            a.forEach((weight, token) => {
+                normA += weight * weight;
+                if (b.has(token)) dot += weight * b.get(token);
+            });
+            b.forEach(weight => { normB += weight * weight; });
+            return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+        }
+    },
+    jaccard: {
+        label: 'Word overlap (Jaccard)',
+        vectorize(tokens) {
+            return new Set(tokens);
+        },
+        score(a, b) {
+            const intersection = [...a].filter(token => b.has(token)).length;
+            const union = new Set([...a, ...b]).size;
+            return union ? intersection / union : 0;
+        }
+    }
+};
+
+/**
+ * Register an additional similarity method (e.g. a local embedding model)
+ */
+export function registerSimilarityMethod(id, method) {
+    if (typeof method?.vectorize !== 'function' || typeof method?.score !== 'function') {
+        throw new Error(`Similarity method "${id}" must implement vectorize() and score()`);
+    }
+    SIMILARITY_METHODS[id] = { label: id, ...method };
+}
+
+export class SimilarityEngine {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.method] - Key of SIMILARITY_METHODS
+     * @param {number} [options.threshold] - Minimum score reported as similar (0-1)
+     * @param {Object} [options.synonyms] - Extra word -> canonical word mappings
+     * @param {Object} [options.phrases] - Extra phrase -> token mappings
+     */
+    constructor({ method, threshold, synonyms = {}, phrases = {} } = {}) {
+        this.method = SIMILARITY_METHODS[method] ? method : DEFAULT_SIMILARITY_SETTINGS.method;
+        this.threshold = Number.isFinite(threshold) ? threshold : DEFAULT_SIMILARITY_SETTINGS.threshold;
+        this.synonyms = { ...DEFAULT_SYNONYMS, ...synonyms };
+        this.phrases = { ...DEFAULT_PHRASES, ...phrases };
+        this.documents = [];
+        this.idf = new Map();
+        this.fallbackIdf = 1;
+    }
+
+    /**
+     * Normalise text into stemmed, synonym-mapped tokens
+     */
+    tokenize(text) {
+        let normalized = (text || '').toLowerCase().replace(/[^\w\s]/g, ' ');
+
+        Object.entries(this.phrases).forEach(([phrase, replacement]) => {
+            normalized = normalized.replace(new RegExp(`\\b${phrase}\\b`, 'g'), replacement);
+        });
+
+        return normalized
+            .split(/\s+/)
+            .filter(word => word && !STOPWORDS.has(word))
+            .map(word => this.synonyms[word] || word)
+            .map(word => stem(word))
+            .map(word => this.synonyms[word] || word);
+    }
+
+    /**
+     * Build the corpus. Documents are { id, kind, text, item } where kind is
+     * 'anchor' | 'insight' | 'rejected' and item is the original object.
+     */
+    index(documents) {
+        const tokenized = documents.map(doc => ({ ...doc, tokens: this.tokenize(doc.text) }));
+
+        const documentFrequency = new Map();
+        tokenized.forEach(doc => {
+            new Set(doc.tokens).forEach(token => {
+                documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+            });
+        });
+
+        // Smoothed IDF so terms present in every document still count a little
+        const total = tokenized.length;
+        this.idf = new Map(
+            [...documentFrequency].map(([token, df]) => [token, Math.log((total + 1) / (df + 1)) + 1])
+        );
+        this.fallbackIdf = Math.log(total + 1) + 1;
+
+        const method = SIMILARITY_METHODS[this.method];
+        this.documents = tokenized.map(doc => ({
+            ...doc,
+            vector: method.vectorize(doc.tokens, this.idf, this.fallbackIdf)
+        }));
+
+        return this;
+    }
+
+    /**
+     * Score two texts against the indexed corpus
+     */
+    compare(textA, textB) {
+        return this.scoreTokens(this.tokenize(textA), this.tokenize(textB));
+    }
+
+    /**
+     * Score two already-tokenized texts against the indexed corpus
+     */
+    scoreTokens(tokensA, tokensB) {
+        const method = SIMILARITY_METHODS[this.method];
+        return method.score(
+            method.vectorize(tokensA, this.idf, this.fallbackIdf),
+            method.vectorize(tokensB, this.idf, this.fallbackIdf)
+        );
+    }
+
+    /**
+     * Find indexed documents similar to a text.
+     * Returns [{ ...document, similarity }] sorted by similarity (highest first).
+     */
+    findSimilar(text, { kinds = null, excludeId = null, threshold = this.threshold, limit = 5 } = {}) {
+        const method = SIMILARITY_METHODS[this.method];
+        const query = method.vectorize(this.tokenize(text), this.idf, this.fallbackIdf);
+
+        return this.documents
+            .filter(doc => (!kinds || kinds.includes(doc.kind)) && doc.id !== excludeId)
+            .map(doc => ({ ...doc, similarity: method.score(query, doc.vector) }))
+            .filter(doc => doc.similarity >= threshold)
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, limit);
+    }
+}
@@ -0,0 +1,154 @@
+// Suppression Module
+// User-defined rules that hide recurring unwanted insights from the pending queue.
+// Rules are stored in suppression-rules.json as { rules: [...] }:
+//   { id, type: 'pattern', mode: 'keywords' | 'regex', pattern }
+//   { id, type: 'category', category }
+//   { id, type: 'similar', rejected_id, threshold }   (threshold 0-1)
+// Every rule also has `enabled` and `created`.
+
+export const SUPPRESSION_RULE_TYPES = {
+    pattern: 'Text pattern',
+    category: 'Category',
+    similar: 'Similar to rejected'
+};
+
+/**
+ * Check a rule for problems, returning a list of error messages
+ */
+export function validateSuppressionRule(rule) {
+    const errors = [];
+
+    switch (rule.type) {
+        case 'pattern':
+            if (!rule.pattern) {
+                errors.push('Enter a pattern');
+            } else if (rule.mode === 'regex') {
+                try {
+                    new RegExp(rule.pattern, 'i');
+                } catch (error) {
+                    errors.push(`Invalid regular expression: ${error.message}`);
+                }
+            } else if (splitKeywords(rule.pattern).length === 0) {
+                errors.push('Enter at least one keyword');
+            }
+            break;
+        case 'category':
+            if (!rule.category) errors.push('Choose a category');
+            break;
+        case 'similar':
+            if (!rule.rejected_id) errors.push('Choose a rejected insight');
+            if (!(rule.threshold > 0 && rule.threshold <= 1)) errors.push('Similarity must be between 1 and 100%');
+            break;
+        default:
+            errors.push(`Unknown rule type "${rule.type}"`);
+    }
+
+    return errors;
+}
+
+/**
+ * Split a comma-separated keyword list
+ */
+function splitKeywords(pattern) {
+    return pattern.split(',').map(keyword => keyword.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Human-readable summary of a rule
+ */
+export function describeSuppressionRule(rule, rejected = []) {
+    switch (rule.type) {
+        case 'pattern':
+            return rule.mode === 'regex'
+                ? `Matches /${rule.pattern}/`
+                : `Mentions ${splitKeywords(rule.pattern).map(k => `"${k}"`).join(' or ')}`;
+        case 'category':
+            return `Category is ${rule.category}`;
+        case 'similar': {
+            const source = rejected.find(entry => entry.insight_id === rule.rejected_id);
+            const percent = Math.round(rule.threshold * 100);
+            return source
+                ? `≥ ${percent}% similar to rejected "${source.statement}"`
+                : `≥ ${percent}% similar to rejected ${rule.rejected_id} (no longer rejected)`;
+        }
+        default:
+            return rule.type;
+    }
+}
+
+export class SuppressionFilter {
+    /**
+     * @param {Array} rules - Suppression rules (disabled and invalid rules are ignored)
+     * @param {Object} options
+     * @param {Function} options.getText - Returns an insight's statement
+     * @param {Array} [options.rejected] - Rejected entries, for 'similar' rules
+     * @param {Function} [options.getEngine] - Returns a SimilarityEngine, for 'similar' rules.
+     *   Only called when such a rule is active.
+     */
+    constructor(rules, { getText, rejected = [], getEngine = null }) {
+        this.getText = getText;
+        this.rejected = rejected;
+        this.getEngine = getEngine;
+        this.matchers = rules
+            .filter(rule => rule.enabled !== false && validateSuppressionRule(rule).length === 0)
+            .map(rule => ({ rule, matches: this.compile(rule) }))
+            .filter(matcher => matcher.matches);
+    }
+
+    /**
+     * Turn a rule into a (insight, text) => boolean predicate, or null if it can't match anything
+     */
+    compile(rule) {
+        switch (rule.type) {
+            case 'pattern': {
+                if (rule.mode === 'regex') {
+                    const regex = new RegExp(rule.pattern, 'i');
+                    return (insight, text) => regex.test(text);
+                }
+                const keywords = splitKeywords(rule.pattern);
+                return (insight, text) => {
+                    const lower = text.toLowerCase();
+                    return keywords.some(keyword => lower.includes(keyword));
+                };
+            }
+            case 'category':
+                return (insight) => (insight.category || 'uncategorized') === rule.category;
+            case 'similar': {
+                const source = this.rejected.find(entry => entry.insight_id === rule.rejected_id);
+                if (!source?.statement || !this.getEngine) return null;
+                return (insight, text) => this.getEngine().compare(source.statement, text) >= rule.threshold;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * First active rule that hides an insight (or null)
+     */
+    match(insight) {
+        const text = this.getText(insight) || '';
+        return this.matchers.find(({ matches }) => matches(insight, text))?.rule || null;
+    }
+
+    /**
+     * Split insights into visible ones and those hidden by each rule.
+     * Returns { visible: [...], hidden: Map(ruleId -> [insights]) }
+     */
+    apply(insights) {
+        const visible = [];
+        const hidden = new Map();
+
+        insights.forEach(insight => {
+            const rule = this.matchers.length > 0 ? this.match(insight) : null;
+            if (!rule) {
+                visible.push(insight);
+                return;
+            }
+            if (!hidden.has(rule.id)) hidden.set(rule.id, []);
+            hidden.get(rule.id).push(insight);
+        });
+
+        return { visible, hidden };
+    }
+}
@@ -0,0 +1,182 @@
+// Virtual List Module
+// Renders only the rows of a long list that are in (or near) view. Row heights
+// are measured once rendered; rows not yet seen use an estimate.
+
+export class VirtualList {
+    /**
+     * @param {HTMLElement} container - Scrolling element the list fills
+     * @param {Object} options
+     * @param {Function} options.renderItem - (item, index) => HTMLElement
+     * @param {Function} [options.getKey] - Identifies an item across setItems calls, so
+     *   measured heights survive a refresh
+     * @param {number} [options.estimateHeight] - Height (px, including the gap) of a row not yet measured
+     * @param {number} [options.overscan] - Rows rendered above and below the visible ones
+     * @param {string} [options.emptyHtml] - Shown when there are no items
+     */
+    constructor(container, { renderItem, getKey = (item, index) => index, estimateHeight = 80, overscan = 8, emptyHtml = '' }) {
+        this.container = container;
+        this.renderItem = renderItem;
+        this.getKey = getKey;
+        this.estimateHeight = estimateHeight;
+        this.overscan = overscan;
+        this.emptyHtml = emptyHtml;
+
+        this.items = [];
+        this.heights = [];
+        this.measured = new Map(); // key -> measured height
+        this.offsets = [0]; // offsets[i] = top of row i; offsets[items.length] = total height
+        this.start = 0;
+        this.end = 0;
+        this.frame = null;
+
+        this.container.innerHTML = '';
+        this.spacer = document.createElement('div');
+        this.spacer.className = 'virtual-list-spacer';
+        this.rows = document.createElement('div');
+        this.rows.className = 'virtual-list-rows';
+        this.spacer.appendChild(this.rows);
+        this.container.appendChild(this.spacer);
+
+        this.container.addEventListener('scroll', () => this.scheduleUpdate());
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => this.scheduleUpdate()).observe(this.container);
+        }
+    }
+
+    /**
+     * Replace the list's items
+     * @param {Object} [options]
+     * @param {boolean} [options.keepScroll] - Keep the scroll position (items refreshed in place)
+     */
+    setItems(items, { keepScroll = false } = {}) {
+        if (!keepScroll) {
+            this.measured.clear();
+        }
+
+        this.items = items;
+        this.heights = items.map((item, index) => this.measured.get(this.getKey(item, index)) || this.estimateHeight);
+        this.computeOffsets();
+
+        if (!keepScroll) {
+            this.container.scrollTop = 0;
+        }
+        this.update(true);
+    }
+
+    /**
+     * Re-render the visible rows (e.g. after an item's state changed)
+     */
+    refresh() {
+        this.update(true);
+    }
+
+    /**
+     * Scroll so a row is in view
+     */
+    scrollToIndex(index) {
+        if (index < 0 || index >= this.items.length) return;
+
+        const top = this.offsets[index];
+        const bottom = this.offsets[index + 1];
+        const { scrollTop, clientHeight } = this.container;
+        if (top < scrollTop) {
+            this.container.scrollTop = top;
+        } else if (bottom > scrollTop + clientHeight) {
+            this.container.scrollTop = bottom - clientHeight;
+        }
+        this.update();
+    }
+
+    /**
+     * Update on the next animation frame (scroll and resize fire often)
+     */
+    scheduleUpdate() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.update();
+        });
+    }
+
+    /**
+     * Recompute row offsets from the row heights
+     */
+    computeOffsets() {
+        this.offsets = [0];
+        this.heights.forEach((height, i) => this.offsets.push(this.offsets[i] + height));
+        this.spacer.style.height = `${this.offsets[this.offsets.length - 1]}px`;
+    }
+
+    /**
+     * Index of the row at a vertical position (binary search over the offsets)
+     */
+    indexAt(position) {
+        let low = 0;
+        let high = this.items.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.offsets[mid] <= position) low = mid;
+            else high = mid - 1;
+        }
+        return Math.max(0, low);
+    }
+
+    /**
+     * Render the rows in view, then measure them. If measuring changed the layout,
+     * render once more so the rows still cover the viewport.
+     */
+    update(force = false) {
+        if (this.items.length === 0) {
+            this.start = this.end = 0;
+            this.rows.style.transform = '';
+            this.rows.innerHTML = this.emptyHtml;
+            this.spacer.style.height = '';
+            return;
+        }
+
+        for (let pass = 0; pass < 2; pass++) {
+            const { scrollTop, clientHeight } = this.container;
+            const start = Math.max(0, this.indexAt(scrollTop) - this.overscan);
+            const end = Math.min(this.items.length, this.indexAt(scrollTop + clientHeight) + 1 + this.overscan);
+
+            if (!force && start === this.start && end === this.end) return;
+            this.start = start;
+            this.end = end;
+            force = false;
+
+            this.rows.innerHTML = '';
+            for (let i = start; i < end; i++) {
+                this.rows.appendChild(this.renderItem(this.items[i], i));
+            }
+            this.rows.style.transform = `translateY(${this.offsets[start]}px)`;
+
+            if (!this.measure()) return;
+        }
+    }
+
+    /**
+     * Record the heights of the rendered rows. Returns true if any changed.
+     */
+    measure() {
+        const gap = parseFloat(getComputedStyle(this.rows).rowGap) || 0;
+        let changed = false;
+
+        Array.from(this.rows.children).forEach((row, offset) => {
+            const height = row.offsetHeight + gap;
+            const index = this.start + offset;
+            if (height <= gap) return; // Not laid out (list hidden)
+
+            this.measured.set(this.getKey(this.items[index], index), height);
+            if (Math.abs(this.heights[index] - height) > 0.5) {
+                this.heights[index] = height;
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            this.computeOffsets();
+            this.rows.style.transform = `translateY(${this.offsets[this.start]}px)`;
+        }
+        return changed;
+    }
+}
@@ -0,0 +1,813 @@
+// AI Memory Hub - Local Write-Back Server
+// Serves the hub and exposes write endpoints for anchor state files
+//
+// Usage (from the ai-memory-hub directory):
+//   node server.js            -> http://localhost:8000/ai-memory-hub/
+//   PORT=9000 node server.js
+//
+// The server root is the parent directory (the Scripts folder), so the hub's
+// relative paths like ../ai-memory-sync/... resolve exactly as they do under
+// `python -m http.server`.
+
+const http = require('http');
+const os = require('os');
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8000;
+const HOST = process.env.HOST || '127.0.0.1';
+const ROOT_DIR = path.resolve(__dirname, '..');
+const HUB_DIR_NAME = path.basename(__dirname);
+const INSIGHTS_DIR = path.join(ROOT_DIR, 'ai-memory-sync', 'state', 'insights');
+const CONTEXT_DIR = path.join(ROOT_DIR, 'ai-memory-sync', 'output', 'context');
+const AUDIT_LOG_FILE = path.join(INSIGHTS_DIR, 'audit-log.jsonl');
+const AUDIT_ACTOR = process.env.HUB_ACTOR || currentUsername();
+const CONTEXT_EXTENSIONS = ['.md', '.mdc', '.json'];
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const WATCH_INTERVAL_MS = 1000;
+const WATCH_DEBOUNCE_MS = 300;
+const EVENTS_KEEPALIVE_MS = 30 * 1000;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.jsonl': 'application/x-ndjson; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+/**
+ * Login name of the user running the server. os.userInfo() throws when the
+ * uid has no passwd entry (e.g. some containers).
+ */
+function currentUsername() {
+    try {
+        return os.userInfo().username;
+    } catch (error) {
+        return process.env.USER || process.env.USERNAME || 'unknown';
+    }
+}
+
+/**
+ * Error carrying an HTTP status code back to the client
+ */
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// ============================================
+// Schema Validation
+// ============================================
+
+/**
+ * Validate a single anchor record
+ */
+function validateAnchor(anchor, where, errors) {
+    if (!anchor || typeof anchor !== 'object' || Array.isArray(anchor)) {
+        errors.push(`${where} must be an object`);
+        return;
+    }
+    if (typeof anchor.id !== 'string' || !anchor.id) {
+        errors.push(`${where}.id must be a non-empty string`);
+    }
+    if (typeof anchor.statement !== 'string' || !anchor.statement.trim()) {
+        errors.push(`${where}.statement must be a non-empty string`);
+    }
+    if (anchor.category !== undefined && (typeof anchor.category !== 'string' || !/^[a-z0-9_-]+$/.test(anchor.category))) {
+        errors.push(`${where}.category must be lowercase letters, digits, - or _`);
+    }
+    if (anchor.scope !== undefined && typeof anchor.scope !== 'string') {
+        errors.push(`${where}.scope must be a string`);
+    }
+    if (anchor.review_after !== undefined && isNaN(Date.parse(anchor.review_after))) {
+        errors.push(`${where}.review_after must be a date string`);
+    }
+    if (anchor.revalidate_every_days !== undefined &&
+        !(Number.isInteger(anchor.revalidate_every_days) && anchor.revalidate_every_days > 0)) {
+        errors.push(`${where}.revalidate_every_days must be a positive whole number`);
+    }
+    if (anchor.created !== undefined && isNaN(Date.parse(anchor.created))) {
+        errors.push(`${where}.created must be an ISO date string`);
+    }
+    if (anchor.source !== undefined && (typeof anchor.source !== 'object' || anchor.source === null)) {
+        errors.push(`${where}.source must be an object`);
+    } else if (anchor.source && anchor.source.insight_ids !== undefined &&
+        (!Array.isArray(anchor.source.insight_ids) || anchor.source.insight_ids.some(id => typeof id !== 'string'))) {
+        errors.push(`${where}.source.insight_ids must be an array of strings`);
+    } else if (anchor.source && anchor.source.type === 'auto_policy' &&
+        (typeof anchor.source.policy_id !== 'string' || !anchor.source.policy_id)) {
+        errors.push(`${where}.source.policy_id is required for auto_policy anchors`);
+    }
+}
+
+/**
+ * Validate the anchors.json document
+ */
+function validateAnchorsFile(data) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['Body must be a JSON object'];
+    }
+    if (!Array.isArray(data.anchors)) {
+        return ['"anchors" must be an array'];
+    }
+
+    if (data.archived !== undefined && !Array.isArray(data.archived)) {
+        return ['"archived" must be an array'];
+    }
+
+    const archived = data.archived || [];
+    data.anchors.forEach((anchor, index) => validateAnchor(anchor, `anchors[${index}]`, errors));
+    archived.forEach((anchor, index) => validateAnchor(anchor, `archived[${index}]`, errors));
+
+    // Ids must be unique across active and archived anchors
+    const seen = new Set();
+    [...data.anchors, ...archived].forEach(anchor => {
+        if (anchor && seen.has(anchor.id)) {
+            errors.push(`Duplicate anchor id: ${anchor.id}`);
+        }
+        seen.add(anchor && anchor.id);
+    });
+
+    return errors;
+}
+
+// Keep in sync with REJECTION_REASONS in modules/anchors.js
+const REJECTION_REASONS = ['wrong', 'outdated', 'too_specific', 'duplicate', 'private'];
+
+/**
+ * Validate the rejected-insights.json document
+ */
+function validateRejectedFile(data) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['Body must be a JSON object'];
+    }
+    if (!Array.isArray(data.rejected)) {
+        return ['"rejected" must be an array'];
+    }
+
+    data.rejected.forEach((entry, index) => {
+        if (!entry || typeof entry !== 'object') {
+            errors.push(`rejected[${index}] must be an object`);
+        } else if (typeof entry.insight_id !== 'string' || !entry.insight_id) {
+            errors.push(`rejected[${index}].insight_id must be a non-empty string`);
+        } else if (entry.reason !== undefined && !REJECTION_REASONS.includes(entry.reason)) {
+            errors.push(`rejected[${index}].reason must be one of ${REJECTION_REASONS.join(', ')}`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Validate the suppression-rules.json document
+ */
+function validateSuppressionFile(data) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['Body must be a JSON object'];
+    }
+    if (!Array.isArray(data.rules)) {
+        return ['"rules" must be an array'];
+    }
+
+    data.rules.forEach((rule, index) => {
+        const where = `rules[${index}]`;
+        if (!rule || typeof rule !== 'object') {
+            errors.push(`${where} must be an object`);
+            return;
+        }
+        if (typeof rule.id !== 'string' || !rule.id) {
+            errors.push(`${where}.id must be a non-empty string`);
+        }
+        if (rule.type === 'pattern') {
+            if (typeof rule.pattern !== 'string' || !rule.pattern) {
+                errors.push(`${where}.pattern must be a non-empty string`);
+            } else if (rule.mode === 'regex') {
+                try {
+                    new RegExp(rule.pattern, 'i');
+                } catch (error) {
+                    errors.push(`${where}.pattern is not a valid regular expression`);
+                }
+            }
+        } else if (rule.type === 'category') {
+            if (typeof rule.category !== 'string' || !rule.category) {
+                errors.push(`${where}.category must be a non-empty string`);
+            }
+        } else if (rule.type === 'similar') {
+            if (typeof rule.rejected_id !== 'string' || !rule.rejected_id) {
+                errors.push(`${where}.rejected_id must be a non-empty string`);
+            }
+            if (typeof rule.threshold !== 'number' || rule.threshold <= 0 || rule.threshold > 1) {
+                errors.push(`${where}.threshold must be a number in (0, 1]`);
+            }
+        } else {
+            errors.push(`${where}.type must be pattern, category or similar`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Validate the auto-approve-policies.json document
+ */
+function validatePoliciesFile(data) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['Body must be a JSON object'];
+    }
+    if (!Array.isArray(data.policies)) {
+        return ['"policies" must be an array'];
+    }
+
+    data.policies.forEach((policy, index) => {
+        const where = `policies[${index}]`;
+        if (!policy || typeof policy !== 'object') {
+            errors.push(`${where} must be an object`);
+            return;
+        }
+        if (typeof policy.id !== 'string' || !policy.id) {
+            errors.push(`${where}.id must be a non-empty string`);
+        }
+        if (policy.action !== 'approve' && policy.action !== 'suggest') {
+            errors.push(`${where}.action must be approve or suggest`);
+        }
+        if (typeof policy.category !== 'string' || !policy.category) {
+            errors.push(`${where}.category must be a non-empty string`);
+        }
+        if (typeof policy.min_strength !== 'number' || policy.min_strength < 0 || policy.min_strength > 1) {
+            errors.push(`${where}.min_strength must be a number between 0 and 1`);
+        }
+        if (!Number.isInteger(policy.min_occurrences) || policy.min_occurrences < 0) {
+            errors.push(`${where}.min_occurrences must be a non-negative whole number`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Validate the review-session.json document (saved review session + skipped queue)
+ */
+function validateReviewStateFile(data) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['Body must be a JSON object'];
+    }
+    if (!Array.isArray(data.skipped)) {
+        errors.push('"skipped" must be an array');
+    } else {
+        data.skipped.forEach((entry, index) => {
+            if (!entry || typeof entry.insight_id !== 'string') {
+                errors.push(`skipped[${index}].insight_id must be a string`);
+            }
+        });
+    }
+    if (data.session !== null && data.session !== undefined) {
+        if (typeof data.session !== 'object' || !Array.isArray(data.session.insight_ids)) {
+            errors.push('"session.insight_ids" must be an array');
+        } else if (typeof data.session.index !== 'number') {
+            errors.push('"session.index" must be a number');
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validate an audit log entry before it is appended
+ */
+function validateAuditEntry(entry) {
+    const errors = [];
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return ['Body must be a JSON object'];
+    }
+    if (typeof entry.action !== 'string' || !entry.action) {
+        errors.push('"action" must be a non-empty string');
+    }
+    if (entry.changes !== undefined && !Array.isArray(entry.changes)) {
+        return [...errors, '"changes" must be an array'];
+    }
+
+    (entry.changes || []).forEach((change, index) => {
+        const where = `changes[${index}]`;
+        if (!change || typeof change.id !== 'string') {
+            errors.push(`${where}.id must be a string`);
+        } else if (!['active', 'archived', 'deleted'].includes(change.state)) {
+            errors.push(`${where}.state must be active, archived or deleted`);
+        } else if (change.state !== 'deleted') {
+            validateAnchor(change.anchor, `${where}.anchor`, errors);
+        }
+    });
+
+    return errors;
+}
+
+// Files the hub may write, keyed by the name used in /api/insights/<name>
+const WRITABLE_FILES = {
+    anchors: {
+        file: path.join(INSIGHTS_DIR, 'anchors.json'),
+        validate: validateAnchorsFile
+    },
+    rejected: {
+        file: path.join(INSIGHTS_DIR, 'rejected-insights.json'),
+        validate: validateRejectedFile
+    },
+    review: {
+        file: path.join(INSIGHTS_DIR, 'review-session.json'),
+        validate: validateReviewStateFile
+    },
+    suppression: {
+        file: path.join(INSIGHTS_DIR, 'suppression-rules.json'),
+        validate: validateSuppressionFile
+    },
+    policies: {
+        file: path.join(INSIGHTS_DIR, 'auto-approve-policies.json'),
+        validate: validatePoliciesFile
+    }
+};
+
+// Data files the hub reloads when the sync or synthesizer rewrites them,
+// keyed by the name sent in /api/events change events
+const WATCHED_FILES = {
+    'sync-status': [path.join(ROOT_DIR, 'ai-memory-sync', 'sync-status.json')],
+    insights: [
+        path.join(INSIGHTS_DIR, 'insights.json'),
+        path.join(ROOT_DIR, 'ai-insight-synthesizer', 'state', 'insights.json')
+    ],
+    anchors: [path.join(INSIGHTS_DIR, 'anchors.json')]
+};
+
+/**
+ * Resolve a generated context file path, keeping it inside CONTEXT_DIR
+ */
+function resolveContextPath(relativePath) {
+    const file = path.resolve(CONTEXT_DIR, relativePath);
+
+    if (!file.startsWith(CONTEXT_DIR + path.sep)) {
+        throw new HttpError(403, 'Path must stay inside output/context');
+    }
+    if (!CONTEXT_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+        throw new HttpError(400, `Context files must be one of: ${CONTEXT_EXTENSIONS.join(', ')}`);
+    }
+
+    return file;
+}
+
+/**
+ * Resolve a directory under CONTEXT_DIR (the directory itself included)
+ */
+function resolveContextDir(relativePath) {
+    const dir = path.resolve(CONTEXT_DIR, relativePath);
+
+    if (dir !== CONTEXT_DIR && !dir.startsWith(CONTEXT_DIR + path.sep)) {
+        throw new HttpError(403, 'Path must stay inside output/context');
+    }
+
+    return dir;
+}
+
+// ============================================
+// File Helpers
+// ============================================
+
+/**
+ * Read a JSON file, returning a fallback if it does not exist
+ */
+async function readJson(file, fallback) {
+    try {
+        return JSON.parse(await fsp.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return fallback;
+        throw error;
+    }
+}
+
+/**
+ * Write a file atomically: write to a temp file, back up the old one, rename
+ */
+async function writeFileAtomic(file, contents) {
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+
+    const tmpFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fsp.writeFile(tmpFile, contents, 'utf8');
+
+    try {
+        await fsp.copyFile(file, `${file}.bak`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            await fsp.unlink(tmpFile).catch(() => {});
+            throw error;
+        }
+    }
+
+    await fsp.rename(tmpFile, file);
+}
+
+// Serialise writes per file so concurrent requests can't interleave
+const writeQueues = new Map();
+
+function enqueueWrite(file, task) {
+    const previous = writeQueues.get(file) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    writeQueues.set(file, next);
+    return next;
+}
+
+// ============================================
+// Request Helpers
+// ============================================
+
+// Host names this server answers writes for (a rebound DNS name is not one of them).
+// Listening on every interface (HOST=0.0.0.0) accepts any host name; Origin is still checked.
+const LOCAL_HOSTNAMES = new Set(['localhost', '127.0.0.1', '[::1]', HOST]);
+const ANY_HOST = HOST === '0.0.0.0' || HOST === '::';
+
+/**
+ * Refuse writes that don't come from the hub itself. A page on another site can
+ * send a no-preflight POST to localhost, so check Host and Origin on every write.
+ */
+function checkWriteOrigin(req) {
+    const host = req.headers.host || '';
+    const hostname = host.replace(/:\d+$/, '');
+    if (!ANY_HOST && !LOCAL_HOSTNAMES.has(hostname)) {
+        throw new HttpError(403, `Writes are not accepted for host ${host}`);
+    }
+
+    const origin = req.headers.origin;
+    if (origin !== undefined && origin !== `http://${host}`) {
+        throw new HttpError(403, `Writes are not accepted from ${origin}`);
+    }
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+function readJsonBody(req) {
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (contentType !== 'application/json') {
+        return Promise.reject(new HttpError(415, 'Content-Type must be application/json'));
+    }
+
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(new HttpError(400, `Invalid JSON: ${error.message}`));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, payload) {
+    res.writeHead(status, {
+        'Content-Type': MIME_TYPES['.json'],
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(payload));
+}
+
+// ============================================
+// Change Events
+// ============================================
+
+// Open /api/events responses
+const eventClients = new Set();
+
+/**
+ * Send a Server-Sent Event to every connected hub
+ */
+function broadcastEvent(event, payload) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+    eventClients.forEach(res => res.write(message));
+}
+
+/**
+ * Stream change events for WATCHED_FILES until the client disconnects
+ */
+function openEventStream(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-store',
+        Connection: 'keep-alive'
+    });
+    res.write(`retry: ${WATCH_INTERVAL_MS * 3}\n\n`);
+    eventClients.add(res);
+
+    // Comment lines keep proxies and idle timeouts from closing the stream
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), EVENTS_KEEPALIVE_MS);
+    req.on('close', () => {
+        clearInterval(keepalive);
+        eventClients.delete(res);
+    });
+}
+
+/**
+ * Watch the data files and broadcast a `change` event when one is rewritten.
+ * Polls with fs.watchFile: unlike fs.watch it keeps working when a file is
+ * replaced by rename (atomic writes) and when it doesn't exist yet.
+ */
+function watchDataFiles() {
+    const timers = new Map();
+
+    Object.entries(WATCHED_FILES).forEach(([name, files]) => {
+        files.forEach(file => {
+            fs.watchFile(file, { interval: WATCH_INTERVAL_MS }, (current, previous) => {
+                if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) return;
+
+                // A sync often writes several times in a row; report the last one
+                clearTimeout(timers.get(name));
+                timers.set(name, setTimeout(() => {
+                    timers.delete(name);
+                    console.log(`Changed: ${path.relative(ROOT_DIR, file)}`);
+                    broadcastEvent('change', { file: name, at: new Date().toISOString() });
+                }, WATCH_DEBOUNCE_MS));
+            });
+        });
+    });
+}
+
+// ============================================
+// API Routes
+// ============================================
+
+/**
+ * Handle /api/* requests
+ */
+async function handleApi(req, res, pathname) {
+    if (pathname === '/api/status' && req.method === 'GET') {
+        sendJson(res, 200, {
+            ok: true,
+            writable: true,
+            files: Object.keys(WRITABLE_FILES),
+            contextDir: path.relative(ROOT_DIR, CONTEXT_DIR).split(path.sep).join('/')
+        });
+        return;
+    }
+
+    if (pathname === '/api/events' && req.method === 'GET') {
+        openEventStream(req, res);
+        return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        checkWriteOrigin(req);
+    }
+
+    const contextMatch = pathname.match(/^\/api\/context\/(.+)$/);
+    if (contextMatch && req.method === 'GET') {
+        // List a directory's files, so exports can find ones they no longer write
+        const dir = resolveContextDir(contextMatch[1]);
+        let entries = [];
+        try {
+            entries = await fsp.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        sendJson(res, 200, { files: entries.filter(entry => entry.isFile()).map(entry => entry.name).sort() });
+        return;
+    }
+
+    if (contextMatch && req.method === 'DELETE') {
+        // Kept as <file>.bak, like the previous version of a rewritten file
+        const file = resolveContextPath(contextMatch[1]);
+        await enqueueWrite(file, async () => {
+            try {
+                await fsp.rename(file, `${file}.bak`);
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        });
+
+        console.log(`Removed ${path.relative(ROOT_DIR, file)}`);
+        sendJson(res, 200, { ok: true });
+        return;
+    }
+
+    if (contextMatch) {
+        if (req.method !== 'PUT') throw new HttpError(405, `Method ${req.method} not allowed`);
+
+        const file = resolveContextPath(contextMatch[1]);
+        const body = await readJsonBody(req);
+        if (!body || typeof body.content !== 'string') {
+            throw new HttpError(400, 'Validation failed: "content" must be a string');
+        }
+
+        await enqueueWrite(file, () => writeFileAtomic(file, body.content));
+
+        console.log(`Wrote ${path.relative(ROOT_DIR, file)}`);
+        sendJson(res, 200, { ok: true, path: path.relative(CONTEXT_DIR, file).split(path.sep).join('/') });
+        return;
+    }
+
+    if (pathname === '/api/audit') {
+        if (req.method !== 'POST') throw new HttpError(405, `Method ${req.method} not allowed`);
+
+        const body = await readJsonBody(req);
+        const errors = validateAuditEntry(body);
+        if (errors.length > 0) {
+            throw new HttpError(400, `Validation failed: ${errors.slice(0, 5).join('; ')}`);
+        }
+
+        // Time and actor come from the server, not the client
+        const entry = { ...body, at: new Date().toISOString(), actor: AUDIT_ACTOR };
+        await enqueueWrite(AUDIT_LOG_FILE, async () => {
+            await fsp.mkdir(path.dirname(AUDIT_LOG_FILE), { recursive: true });
+            await fsp.appendFile(AUDIT_LOG_FILE, JSON.stringify(entry) + '\n', 'utf8');
+        });
+
+        sendJson(res, 200, { ok: true, entry });
+        return;
+    }
+
+    const match = pathname.match(/^\/api\/insights\/([\w-]+)$/);
+    if (match) {
+        const target = WRITABLE_FILES[match[1]];
+        if (!target) throw new HttpError(404, `Unknown file: ${match[1]}`);
+
+        if (req.method === 'GET') {
+            sendJson(res, 200, await readJson(target.file, {}));
+            return;
+        }
+
+        if (req.method === 'PUT') {
+            const body = await readJsonBody(req);
+            const errors = target.validate(body);
+            if (errors.length > 0) {
+                throw new HttpError(400, `Validation failed: ${errors.slice(0, 5).join('; ')}`);
+            }
+
+            const saved = await enqueueWrite(target.file, async () => {
+                // Preserve top-level fields the hub doesn't manage (version, etc.)
+                const existing = await readJson(target.file, {});
+                const document = {
+                    ...existing,
+                    ...body,
+                    last_updated: new Date().toISOString()
+                };
+                await writeFileAtomic(target.file, JSON.stringify(document, null, 2) + '\n');
+                return document;
+            });
+
+            console.log(`Wrote ${path.relative(ROOT_DIR, target.file)}`);
+            sendJson(res, 200, { ok: true, last_updated: saved.last_updated });
+            return;
+        }
+
+        throw new HttpError(405, `Method ${req.method} not allowed`);
+    }
+
+    throw new HttpError(404, `Unknown endpoint: ${pathname}`);
+}
+
+// ============================================
+// Static Files
+// ============================================
+
+/**
+ * Serve a static file from ROOT_DIR
+ */
+async function serveStatic(req, res, pathname) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        throw new HttpError(405, `Method ${req.method} not allowed`);
+    }
+
+    if (pathname === '/') {
+        res.writeHead(302, { Location: `/${HUB_DIR_NAME}/` });
+        res.end();
+        return;
+    }
+
+    let filePath = path.join(ROOT_DIR, pathname);
+    if (filePath !== ROOT_DIR && !filePath.startsWith(ROOT_DIR + path.sep)) {
+        throw new HttpError(403, 'Forbidden');
+    }
+
+    let stat;
+    try {
+        stat = await fsp.stat(filePath);
+    } catch (error) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    if (stat.isDirectory()) {
+        if (!pathname.endsWith('/')) {
+            res.writeHead(301, { Location: `${pathname}/` });
+            res.end();
+            return;
+        }
+        filePath = path.join(filePath, 'index.html');
+        try {
+            stat = await fsp.stat(filePath);
+        } catch (error) {
+            throw new HttpError(404, 'Not found');
+        }
+    }
+
+    // Let the hub's cache revalidate data files cheaply
+    const etag = `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+    const lastModified = stat.mtime.toUTCString();
+    const ifNoneMatch = req.headers['if-none-match'];
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+    const notModified = ifNoneMatch
+        ? ifNoneMatch.split(',').map(tag => tag.trim()).includes(etag)
+        : !isNaN(ifModifiedSince) && Math.floor(stat.mtimeMs / 1000) <= Math.floor(ifModifiedSince / 1000);
+
+    if (notModified) {
+        res.writeHead(304, { ETag: etag, 'Last-Modified': lastModified, 'Cache-Control': 'no-cache' });
+        res.end();
+        return;
+    }
+
+    res.writeHead(200, {
+        'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+        'Content-Length': stat.size,
+        'Cache-Control': 'no-cache',
+        ETag: etag,
+        'Last-Modified': lastModified
+    });
+
+    if (req.method === 'HEAD') {
+        res.end();
+        return;
+    }
+
+    fs.createReadStream(filePath).pipe(res);
+}
+
+// ============================================
+// Server
+// ============================================
+
+const server = http.createServer(async (req, res) => {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+        sendJson(res, 400, { error: 'Malformed URL' });
+        return;
+    }
+
+    try {
+        if (pathname.startsWith('/api/')) {
+            await handleApi(req, res, pathname);
+        } else {
+            await serveStatic(req, res, pathname);
+        }
+    } catch (error) {
+        const status = error.status || 500;
+        if (status === 500) console.error(`Error handling ${req.method} ${pathname}:`, error);
+        if (!res.headersSent) {
+            sendJson(res, status, { error: error.message });
+        } else {
+            res.end();
+        }
+    }
+});
+
+watchDataFiles();
+
+server.listen(PORT, HOST, () => {
+    console.log(`AI Memory Hub server running at http://${HOST === '127.0.0.1' ? 'localhost' : HOST}:${PORT}/${HUB_DIR_NAME}/`);
+    console.log(`Serving files from ${ROOT_DIR}`);
+    console.log(`Write-back enabled for ${path.relative(ROOT_DIR, INSIGHTS_DIR)}`);
+    console.log('Watching sync-status.json, insights.json and anchors.json for changes');
+});
@@ -0,0 +1,70 @@
+// Audit log diff and replay checks. Run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AuditLog, diffAnchorLists, replayAuditLog } from '../modules/auditLog.js';
+
+const version = (number, statement) => ({ version: number, action: number === 1 ? 'create' : 'edit', statement });
+
+function createLog(entries) {
+    const api = {
+        isWritable: () => true,
+        appendAuditEntry: async entry => ({ entry })
+    };
+    const log = new AuditLog(api, 'audit-log.jsonl');
+    log.entries = entries;
+    return log;
+}
+
+test('changes store only the versions they added', () => {
+    const before = { id: 'a1', statement: 'Old', versions: [version(1, 'Old')] };
+    const after = { ...before, statement: 'New', versions: [...before.versions, version(2, 'New')] };
+
+    const [change] = diffAnchorLists({ anchors: [before], archived: [] }, { anchors: [after], archived: [] });
+
+    assert.equal(change.anchor.versions, undefined);
+    assert.deepEqual(change.versions, [version(2, 'New')]);
+});
+
+test('replay rebuilds version history from the added versions', () => {
+    const created = { id: 'a1', statement: 'Old', versions: [version(1, 'Old')] };
+    const edited = { ...created, statement: 'New', versions: [...created.versions, version(2, 'New')] };
+    const empty = { anchors: [], archived: [] };
+
+    const entries = [
+        { changes: diffAnchorLists(empty, { anchors: [created], archived: [] }) },
+        { changes: diffAnchorLists({ anchors: [created], archived: [] }, { anchors: [], archived: [edited] }) }
+    ];
+
+    assert.deepEqual(replayAuditLog(entries), { anchors: [], archived: [edited] });
+});
+
+test('replay still reads entries that store the whole anchor', () => {
+    const anchor = { id: 'a1', statement: 'Kept', versions: [version(1, 'Kept')] };
+    const entries = [{ changes: [{ id: 'a1', state: 'active', anchor }] }];
+
+    assert.deepEqual(replayAuditLog(entries).anchors, [anchor]);
+});
+
+test('reconcile logs changes made outside the hub', async () => {
+    const anchor = { id: 'a1', statement: 'Kept', versions: [version(1, 'Kept')] };
+    const log = createLog([
+        { action: 'audit.baseline', changes: diffAnchorLists({ anchors: [], archived: [] }, { anchors: [anchor], archived: [] }) }
+    ]);
+
+    // Same content read back from disk, keys in another order: nothing to log
+    await log.reconcile([{ versions: anchor.versions, statement: 'Kept', id: 'a1' }], []);
+    assert.equal(log.entries.length, 1);
+
+    const added = { id: 'a2', statement: 'Synced' };
+    await log.reconcile([anchor, added], []);
+    assert.equal(log.entries.length, 2);
+    assert.equal(log.entries[1].action, 'anchor.external');
+    assert.deepEqual(replayAuditLog(log.entries).anchors, [anchor, added]);
+});
+
+test('reconcile starts an empty log with a baseline', async () => {
+    const log = createLog([]);
+    await log.reconcile([{ id: 'a1', statement: 'First' }], []);
+    assert.equal(log.entries[0].action, 'audit.baseline');
+});
@@ -0,0 +1,44 @@
+// Conflict detection regression checks. Run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimilarityEngine } from '../modules/similarity.js';
+import { ConflictDetector } from '../modules/conflicts.js';
+
+function createDetector() {
+    const engine = new SimilarityEngine();
+    engine.index([]);
+    return new ConflictDetector(engine);
+}
+
+test('antonyms contradict when neither statement is negated', () => {
+    const conflict = createDetector().compareStatements('Prefers verbose answers', 'Prefers concise answers');
+    assert.equal(conflict?.reason, 'antonym');
+});
+
+test('a negated antonym agrees with the other statement', () => {
+    const detector = createDetector();
+    assert.equal(detector.compareStatements('Never writes long functions', 'Writes short functions'), null);
+    assert.equal(detector.compareStatements('Writes short functions', 'Never writes long functions'), null);
+});
+
+test('negating the same topic is a conflict', () => {
+    const conflict = createDetector().compareStatements('Never uses tabs', 'Uses tabs');
+    assert.equal(conflict?.reason, 'negation');
+});
+
+test('antonyms about different topics are not a conflict', () => {
+    const detector = createDetector();
+    assert.equal(detector.compareStatements('Keeps commit messages concise', 'Runs long integration suites before merging'), null);
+    assert.equal(detector.compareStatements('Prefers single quotes in JavaScript', 'Wants double-checked error handling'), null);
+});
+
+test('scopes overlap across trailing slashes, parent paths and globs', () => {
+    const detector = createDetector();
+    const overlaps = (a, b) => detector.scopesOverlap({ scope: a }, { scope: b });
+
+    assert.equal(overlaps('~/work/api/', '~/work/api'), true);
+    assert.equal(overlaps('~/work', '~/work/api'), true);
+    assert.equal(overlaps('~/work/*', '~/work/api'), true);
+    assert.equal(overlaps('~/work/api', '~/work/web'), false);
+});
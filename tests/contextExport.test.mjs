@@ -0,0 +1,20 @@
+// Context export checks. Run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ContextExporter } from '../modules/contextExport.js';
+
+const existing = ['memory-testing.mdc', 'memory-style.mdc', 'memory-old-topic.mdc', 'team.mdc', 'memory-style.mdc.bak'];
+const written = [{ path: '.cursor/rules/memory-style.mdc' }];
+
+test('Cursor rule files no longer written are stale', () => {
+    const exporter = new ContextExporter();
+    assert.deepEqual(exporter.findStaleFiles('cursor', existing, written), [
+        '.cursor/rules/memory-testing.mdc',
+        '.cursor/rules/memory-old-topic.mdc'
+    ]);
+});
+
+test('single-file targets have no stale files', () => {
+    assert.deepEqual(new ContextExporter().findStaleFiles('agents', existing, written), []);
+});
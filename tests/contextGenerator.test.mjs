@@ -0,0 +1,40 @@
+// Context file generation checks. Run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ContextGenerator } from '../modules/contextGenerator.js';
+
+const generatedAt = '2026-01-01T00:00:00.000Z';
+
+test('anchors are grouped by category with per-category and overall counts', () => {
+    const generator = new ContextGenerator('{{anchor_count}} in {{category_count}}\n{{#each_category}}## {{category_title}} ({{anchor_count}})\n{{anchor_list}}\n{{/each_category}}');
+    const output = generator.generate([
+        { statement: 'Uses tabs', category: 'code_style', created: '2026-01-02' },
+        { statement: 'Likes tests', category: 'testing' },
+        { statement: 'Prefers early returns', category: 'code_style', created: '2026-01-01' }
+    ], { generatedAt });
+
+    assert.equal(output, [
+        ContextGenerator.marker(generatedAt),
+        '3 in 2',
+        '## Code Style (2)',
+        '- Prefers early returns',
+        '- Uses tabs',
+        '## Testing (1)',
+        '- Likes tests',
+        ''
+    ].join('\n'));
+});
+
+test('placeholders inside anchor text are left as written', () => {
+    const output = new ContextGenerator('{{#each_category}}{{anchor_list}}{{/each_category}}').generate([
+        { statement: 'Use {{anchor_count}} spaces and {{generated_at}} markers', category: 'style' }
+    ], { generatedAt });
+
+    assert.match(output, /- Use \{\{anchor_count\}\} spaces and \{\{generated_at\}\} markers/);
+});
+
+test('the generation time is read back from the marker', () => {
+    const output = new ContextGenerator().generate([], { generatedAt });
+    assert.equal(ContextGenerator.parseGeneratedAt(output), generatedAt);
+});
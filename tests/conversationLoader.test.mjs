@@ -0,0 +1,65 @@
+// Archive loader queue checks. Run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConversationLoader, getArchiveUrl } from '../modules/conversationLoader.js';
+
+const archive = name => `/home/me/ai-memory-sync/archive/claude/${name}.json`;
+
+/**
+ * A loader whose fetches wait until finish(url) is called
+ */
+function createLoader(concurrency) {
+    const loader = new ConversationLoader({ concurrency });
+    const pending = new Map();
+    loader.started = [];
+    loader.fetchArchive = url => new Promise(resolve => {
+        loader.started.push(url);
+        pending.set(url, resolve);
+    });
+    loader.finish = async url => {
+        pending.get(url)({ url });
+        // Let the settled fetch start the next queued one
+        await new Promise(resolve => setImmediate(resolve));
+    };
+    return loader;
+}
+
+test('archive paths from the syncing machine become hub-relative URLs', () => {
+    assert.equal(getArchiveUrl('C:\\Users\\me\\ai-memory-sync\\archive\\claude\\a.json'), '../ai-memory-sync/archive/claude/a.json');
+    assert.equal(getArchiveUrl('/tmp/elsewhere/a.json'), null);
+});
+
+test('no more than the concurrency limit is fetched at once', async () => {
+    const loader = createLoader(2);
+    const loads = ['a', 'b', 'c'].map(name => loader.load(archive(name)));
+
+    assert.equal(loader.started.length, 2);
+    await loader.finish(getArchiveUrl(archive('a')));
+    assert.equal(loader.started.length, 3);
+
+    await loader.finish(getArchiveUrl(archive('b')));
+    await loader.finish(getArchiveUrl(archive('c')));
+    assert.deepEqual((await Promise.all(loads)).map(result => result.url), loader.started);
+});
+
+test('priority requests jump the queue, including ones already queued', async () => {
+    const loader = createLoader(1);
+    loader.load(archive('busy'));
+    loader.load(archive('queued-1'));
+    loader.load(archive('queued-2'));
+    loader.load(archive('opened'), { priority: true });
+    loader.load(archive('queued-2'), { priority: true });
+
+    for (let i = 0; i < 3; i++) {
+        await loader.finish(loader.started[i]);
+    }
+
+    assert.deepEqual(loader.started.map(url => url.split('/').pop()), ['busy.json', 'queued-2.json', 'opened.json', 'queued-1.json']);
+});
+
+test('duplicate requests share one fetch', () => {
+    const loader = createLoader(4);
+    assert.equal(loader.load(archive('a')), loader.load(archive('a')));
+    assert.equal(loader.started.length, 1);
+});
@@ -0,0 +1,27 @@
+// Conversation query parsing and filter checks. Run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseConversationQuery, matchesConversationFilters } from '../modules/conversationQuery.js';
+
+const inProject = projectPath => ({ tool: 'claude', metadata: {}, conversation: { project_path: projectPath } });
+
+test('dates that roll over are rejected', () => {
+    for (const value of ['2026-02-30', '2026-13-01', '2026-04-31']) {
+        const { filters, errors } = parseConversationQuery(`before:${value}`);
+        assert.equal(filters.length, 0, value);
+        assert.equal(errors.length, 1, value);
+    }
+});
+
+test('valid dates become local midnight', () => {
+    const { filters, errors } = parseConversationQuery('after:2024-02-29');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(filters[0].value, new Date(2024, 1, 29));
+});
+
+test('a plain project name matches whole path segments only', () => {
+    const { filters } = parseConversationQuery('project:api');
+    assert.equal(matchesConversationFilters(filters, inProject('/work/api/server')), true);
+    assert.equal(matchesConversationFilters(filters, inProject('/work/rapid')), false);
+});
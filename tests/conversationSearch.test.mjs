@@ -0,0 +1,51 @@
+// Conversation search ranking checks. Run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConversationsModule } from '../modules/conversations.js';
+import { parseConversationQuery } from '../modules/conversationQuery.js';
+
+function conversation(id, title, texts, updated) {
+    return {
+        tool: 'claude',
+        metadata: {},
+        loaded: true,
+        conversation: {
+            id,
+            title,
+            updated,
+            messages: texts.map(text => ({ role: 'user', content: text }))
+        }
+    };
+}
+
+function createModule(conversations) {
+    const module = new ConversationsModule(null, null);
+    conversations.forEach(conv => {
+        module.conversations.set(conv.conversation.id, conv);
+        module.searchIndex.add(conv.conversation.id, conv);
+    });
+    return module;
+}
+
+test('title matches rank above message-only matches however well the messages score', () => {
+    // Rare words in a short message: the BM25 score comes out well above 10
+    const module = createModule([
+        conversation('messages', 'Unrelated', ['retry backoff jitter'], '2026-01-02'),
+        conversation('title', 'Retry backoff jitter', ['Something else entirely'], '2026-01-01'),
+        ...Array.from({ length: 10 }, (_, i) => conversation(`filler-${i}`, 'Filler', ['Nothing to see here'], '2026-01-01'))
+    ]);
+
+    const ids = module.findConversations(parseConversationQuery('retry backoff jitter')).map(result => result.id);
+    assert.deepEqual(ids, ['title', 'messages']);
+});
+
+test('message-only matches are ordered by score', () => {
+    const module = createModule([
+        conversation('weak', 'One', ['retry once among many other words in this message'], '2026-01-02'),
+        conversation('strong', 'Two', ['retry retry retry'], '2026-01-01')
+    ]);
+
+    const ids = module.findConversations(parseConversationQuery('retry')).map(result => result.id);
+    assert.deepEqual(ids, ['strong', 'weak']);
+});
@@ -0,0 +1,59 @@
+// Source adapter checks. Run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSourceAdapter } from '../modules/conversationSources.js';
+
+function parse(tool, raw, id, metadata = {}) {
+    const adapter = getSourceAdapter(tool);
+    return adapter.parse(adapter.prepare(raw), { id, metadata }).conversation;
+}
+
+test('one prepared JSONL file serves each of its conversations', () => {
+    const adapter = getSourceAdapter('jsonl');
+    const file = adapter.prepare([
+        '{"conversation_id": "a", "role": "user", "content": "First question", "title": "Alpha"}',
+        '{"conversation_id": "b", "role": "user", "content": "Other question"}',
+        '{"conversation_id": "a", "role": "assistant", "content": "First answer"}'
+    ].join('\n'));
+
+    const a = adapter.parse(file, { id: 'a', metadata: {} }).conversation;
+    const b = adapter.parse(file, { id: 'b', metadata: {} }).conversation;
+
+    assert.equal(a.title, 'Alpha');
+    assert.deepEqual(a.messages.map(msg => msg.content), ['First question', 'First answer']);
+    assert.deepEqual(b.messages.map(msg => msg.content), ['Other question']);
+});
+
+test('JSONL without conversation ids is a single conversation', () => {
+    const conversation = parse('jsonl', '{"role": "human", "text": "Hello"}\n{"role": "ai", "text": "Hi"}', 'only');
+    assert.deepEqual(conversation.messages.map(msg => msg.role), ['user', 'assistant']);
+});
+
+test('aider sessions are picked by their start time', () => {
+    const raw = [
+        '# aider chat started at 2026-03-01 10:00:00',
+        '#### Fix the build',
+        'Done.',
+        '# aider chat started at 2026-03-02 09:00:00',
+        '#### Add tests',
+        'Added.'
+    ].join('\n');
+
+    const conversation = parse('aider', raw, 'second', { started_at: '2026-03-02 09:00:00' });
+    assert.equal(conversation.title, 'Add tests');
+    assert.deepEqual(conversation.messages.map(msg => msg.content), ['Add tests', 'Added.']);
+});
+
+test('ChatGPT exports are looked up by conversation id', () => {
+    const exported = ['one', 'two'].map(id => ({
+        id,
+        title: `Chat ${id}`,
+        current_node: 'n1',
+        mapping: { n1: { parent: null, message: { author: { role: 'user' }, content: { parts: [`Hello from ${id}`] } } } }
+    }));
+
+    const conversation = parse('chatgpt', exported, 'two');
+    assert.equal(conversation.title, 'Chat two');
+    assert.equal(conversation.messages[0].content, 'Hello from two');
+});
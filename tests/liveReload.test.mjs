@@ -0,0 +1,50 @@
+// Live reload polling checks. Run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LiveReload, WATCHED_FILES } from '../modules/liveReload.js';
+
+/**
+ * A LiveReload whose file versions come from a url -> version map
+ */
+function createLiveReload(versions) {
+    const changes = [];
+    const live = new LiveReload(names => changes.push(names));
+    live.getVersion = async url => versions[url] ?? null;
+    return { live, changes };
+}
+
+const [insightsFile, synthesizerFile] = WATCHED_FILES.insights;
+const anchorsFile = WATCHED_FILES.anchors[0];
+
+test('the first check only records versions', async () => {
+    const { live, changes } = createLiveReload({ [anchorsFile]: '"v1"' });
+    await live.checkFiles();
+    assert.deepEqual(changes, []);
+});
+
+test('changed files are reported once per name', async () => {
+    const versions = { [insightsFile]: '"a"', [synthesizerFile]: '"b"', [anchorsFile]: '"c"' };
+    const { live, changes } = createLiveReload(versions);
+    await live.checkFiles();
+
+    versions[insightsFile] = '"a2"';
+    versions[synthesizerFile] = '"b2"';
+    await live.checkFiles();
+    await live.checkFiles();
+
+    assert.deepEqual(changes, [['insights']]);
+});
+
+test('a file appearing or disappearing counts as a change', async () => {
+    const versions = {};
+    const { live, changes } = createLiveReload(versions);
+    await live.checkFiles();
+
+    versions[anchorsFile] = '"new"';
+    await live.checkFiles();
+    delete versions[anchorsFile];
+    await live.checkFiles();
+
+    assert.deepEqual(changes, [['anchors'], ['anchors']]);
+});
@@ -0,0 +1,46 @@
+// Auto-approve policy checks. Run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validatePolicy, describePolicy, evaluatePolicies } from '../modules/policies.js';
+
+const policy = (overrides) => ({ id: 'p', category: 'all', min_strength: 0, min_occurrences: 0, action: 'suggest', ...overrides });
+
+const insights = [
+    { id: 'i1', category: 'code_style', strength: 0.9, occurrence_count: 5 },
+    { id: 'i2', category: 'code_style', confidence: 0.6, occurrence_count: 2 },
+    { id: 'i3', category: 'tools', strength: 0.95, occurrence_count: 1 }
+];
+
+test('the first matching policy decides what happens to an insight', () => {
+    const result = evaluatePolicies([
+        policy({ id: 'strong', action: 'approve', min_strength: 0.8, min_occurrences: 3 }),
+        policy({ id: 'style', category: 'code_style' })
+    ], insights);
+
+    assert.deepEqual(result.approve.map(({ insight, policy }) => [insight.id, policy.id]), [['i1', 'strong']]);
+    assert.deepEqual(result.suggest.map(({ insight, policy }) => [insight.id, policy.id]), [['i2', 'style']]);
+});
+
+test('disabled and invalid policies are ignored', () => {
+    const result = evaluatePolicies([
+        policy({ action: 'approve', min_strength: 0.5, enabled: false }),
+        policy({ action: 'approve' })
+    ], insights);
+
+    assert.deepEqual(result, { approve: [], suggest: [] });
+});
+
+test('an approve policy needs at least one condition', () => {
+    assert.deepEqual(validatePolicy(policy({ action: 'approve' })), ['An auto-approve policy needs at least one condition']);
+    assert.deepEqual(validatePolicy(policy({ action: 'approve', category: 'tools' })), []);
+    assert.deepEqual(validatePolicy(policy({ min_strength: 2, min_occurrences: 1.5 })), [
+        'Minimum strength must be between 0 and 100%',
+        'Minimum occurrences must be a whole number'
+    ]);
+});
+
+test('policies describe their conditions', () => {
+    assert.equal(describePolicy(policy({ min_strength: 0.8, min_occurrences: 3 })), 'strength ≥ 80% and seen ≥ 3 times in any category');
+    assert.equal(describePolicy(policy({ category: 'code_style' }), c => c.toUpperCase()), 'Every insight in CODE_STYLE');
+});
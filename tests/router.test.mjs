@@ -0,0 +1,32 @@
+// Hash route checks. Run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHash, buildHash, tabForRoute, DEFAULT_ROUTE } from '../modules/router.js';
+
+test('routes survive a build and parse round trip', () => {
+    const routes = [
+        { tab: 'conversations', id: 'claude/2026-01-01 chat?#%', params: { msg: '12', q: 'retry & backoff' } },
+        { tab: 'insights', id: null, params: { category: 'coding_style' } },
+        { tab: 'anchors', id: 'anchor-1', params: {} },
+        { tab: 'review', id: '3', params: {} }
+    ];
+
+    for (const route of routes) {
+        assert.deepEqual(parseHash(buildHash(route)), route);
+    }
+});
+
+test('empty params are left out of the hash', () => {
+    assert.equal(buildHash({ tab: 'insights', params: { category: '', q: null } }), '#/insights');
+});
+
+test('unknown tabs and malformed escapes fall back to the default route', () => {
+    assert.deepEqual(parseHash('#/settings'), DEFAULT_ROUTE);
+    assert.deepEqual(parseHash('#/anchors/%E0%A4%A'), DEFAULT_ROUTE);
+    assert.deepEqual(parseHash(''), DEFAULT_ROUTE);
+});
+
+test('review routes are shown under the anchors tab', () => {
+    assert.equal(tabForRoute(parseHash('#/review/2')), 'anchors');
+});
@@ -0,0 +1,34 @@
+// Anchor scope checks. Run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeProjectPath, scopeMatches, isGlobScope, projectDirectory } from '../modules/scope.js';
+
+test('project paths are compared without trailing slashes or backslashes', () => {
+    assert.equal(normalizeProjectPath(' C:\\work\\api\\ '), 'C:/work/api');
+    assert.equal(normalizeProjectPath('~/work/api///'), '~/work/api');
+});
+
+test('a path scope covers the project and its subdirectories only', () => {
+    assert.equal(scopeMatches('~/work/api', '~/work/api'), true);
+    assert.equal(scopeMatches('~/work/api/', '~/Work/API/server'), true);
+    assert.equal(scopeMatches('~/work/api', '~/work/api-v2'), false);
+    assert.equal(scopeMatches('', '~/anything'), true);
+    assert.equal(scopeMatches('~/work/api', null), false);
+});
+
+test('glob scopes match within one directory or across them', () => {
+    assert.equal(isGlobScope('~/work/*'), true);
+    assert.equal(scopeMatches('~/work/*', '~/work/api'), true);
+    assert.equal(scopeMatches('~/work/*', '~/work/api/server'), false);
+    assert.equal(scopeMatches('~/work/**', '~/work/api/server'), true);
+});
+
+test('same-named projects in different places export to different directories', () => {
+    const a = projectDirectory('/a/client/api');
+    const b = projectDirectory('/b/client/api');
+
+    assert.match(a, /^projects\/client-api-[a-z0-9]+$/);
+    assert.notEqual(a, b);
+    assert.equal(projectDirectory('/a/client/api/'), a);
+});
@@ -0,0 +1,41 @@
+// Similarity engine checks. Run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimilarityEngine, stem, registerSimilarityMethod, SIMILARITY_METHODS } from '../modules/similarity.js';
+
+test('stemming folds inflections onto one stem', () => {
+    assert.equal(stem('prefers'), stem('preferring'));
+    assert.equal(stem('stopped'), 'stop');
+    assert.equal(stem('use'), 'use');
+});
+
+test('tokenizing maps phrases and synonyms and drops stopwords', () => {
+    const engine = new SimilarityEngine();
+    assert.deepEqual(engine.tokenize('The user likes tab characters'), ['prefer', 'tab']);
+    assert.deepEqual(engine.tokenize('Prefers brief docs'), engine.tokenize('Likes short documentation'));
+});
+
+test('paraphrased statements are found as duplicates and unrelated ones are not', () => {
+    const engine = new SimilarityEngine().index([
+        { id: 'a1', kind: 'anchor', text: 'Prefers tabs for indentation' },
+        { id: 'a2', kind: 'anchor', text: 'Writes unit tests before the code' },
+        { id: 'i1', kind: 'insight', text: 'Likes tab characters when indenting' }
+    ]);
+
+    const similar = engine.findSimilar('User prefers indenting with tab characters', { kinds: ['anchor'] });
+    assert.deepEqual(similar.map(doc => doc.id), ['a1']);
+    assert.equal(engine.findSimilar('Deploys on Fridays').length, 0);
+});
+
+test('jaccard scores word overlap', () => {
+    const engine = new SimilarityEngine({ method: 'jaccard' }).index([]);
+    assert.equal(engine.compare('tabs indentation', 'tabs indentation'), 1);
+    assert.equal(engine.compare('tabs python', 'tabs indentation'), 1 / 3);
+});
+
+test('unknown methods fall back to the default and custom ones must score', () => {
+    assert.equal(new SimilarityEngine({ method: 'missing' }).method, 'tfidf');
+    assert.throws(() => registerSimilarityMethod('broken', {}), /must implement/);
+    assert.equal(SIMILARITY_METHODS.broken, undefined);
+});
@@ -0,0 +1,55 @@
+// Suppression rule checks. Run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SuppressionFilter, validateSuppressionRule, describeSuppressionRule } from '../modules/suppression.js';
+import { SimilarityEngine } from '../modules/similarity.js';
+
+const insights = [
+    { id: 'i1', content: 'Uses Jira for ticket tracking', category: 'tools' },
+    { id: 'i2', content: 'Prefers tabs for indentation', category: 'code_style' },
+    { id: 'i3', content: 'Works late on Fridays', category: 'schedule' }
+];
+
+const filter = (rules, options = {}) => new SuppressionFilter(rules, { getText: insight => insight.content, ...options });
+const visibleIds = result => result.visible.map(insight => insight.id);
+
+test('keyword, regex and category rules hide the insights they match', () => {
+    const result = filter([
+        { id: 'r1', type: 'pattern', mode: 'keywords', pattern: 'jira, confluence' },
+        { id: 'r2', type: 'pattern', mode: 'regex', pattern: '^works late' },
+        { id: 'r3', type: 'category', category: 'code_style' }
+    ]).apply(insights);
+
+    assert.deepEqual(visibleIds(result), []);
+    assert.deepEqual([...result.hidden.keys()], ['r1', 'r3', 'r2']);
+});
+
+test('disabled and invalid rules hide nothing', () => {
+    const result = filter([
+        { id: 'r1', type: 'category', category: 'tools', enabled: false },
+        { id: 'r2', type: 'pattern', mode: 'regex', pattern: '(' }
+    ]).apply(insights);
+
+    assert.deepEqual(visibleIds(result), ['i1', 'i2', 'i3']);
+});
+
+test('similar rules compare against the rejected statement', () => {
+    const rejected = [{ insight_id: 'x1', statement: 'Likes tab characters when indenting' }];
+    const engine = new SimilarityEngine().index([]);
+    const rule = { id: 'r1', type: 'similar', rejected_id: 'x1', threshold: 0.5 };
+
+    const result = filter([rule], { rejected, getEngine: () => engine }).apply(insights);
+    assert.deepEqual(result.hidden.get('r1').map(insight => insight.id), ['i2']);
+
+    // Without the rejected entry the rule can't match anything
+    assert.deepEqual(visibleIds(filter([rule], { getEngine: () => engine }).apply(insights)), ['i1', 'i2', 'i3']);
+    assert.match(describeSuppressionRule(rule), /no longer rejected/);
+});
+
+test('rules are validated by type', () => {
+    assert.deepEqual(validateSuppressionRule({ type: 'pattern', mode: 'keywords', pattern: ' , ' }), ['Enter at least one keyword']);
+    assert.match(validateSuppressionRule({ type: 'pattern', mode: 'regex', pattern: '[' })[0], /Invalid regular expression/);
+    assert.deepEqual(validateSuppressionRule({ type: 'similar', rejected_id: 'x1', threshold: 0 }), ['Similarity must be between 1 and 100%']);
+    assert.deepEqual(validateSuppressionRule({ type: 'other' }), ['Unknown rule type "other"']);
+});